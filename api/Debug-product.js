@@ -1,25 +1,33 @@
 /**
  * GET /api/debug-product?id=PRODUCT_ID
  * Returns the raw Printful API response for a single product
- * so you can see all available image fields.
+ * so you can see all available image fields. The normalised product
+ * the store uses is at /api/product.
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>` — the response includes print file URLs.
  *
- * Usage: https://overlay-maps.vercel.app/api/debug-product?id=123456
- * Delete this file after debugging!
+ * ENV VARS NEEDED:
+ *   ADMIN_TOKEN, PRINTFUL_API_KEY, PRINTFUL_STORE_ID
  */
 
+import { requireAdmin } from './_lib/auth.js';
+import { printfulGet, sendPrintfulError } from './_lib/printful.js';
+
 export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
   const { id } = req.query;
   if (!id) return res.status(400).json({ error: 'Pass ?id=PRODUCT_ID' });
 
-  const headers = {
-    'Authorization': `Bearer ${process.env.PRINTFUL_API_KEY}`,
-    'X-PF-Store-Id': process.env.PRINTFUL_STORE_ID,
-  };
-
   // Fetch product detail
-  const r = await fetch(`https://api.printful.com/store/products/${id}`, { headers });
-  const data = await r.json();
-  const { sync_product, sync_variants } = data.result || {};
+  let result;
+  try {
+    result = await printfulGet(`/store/products/${id}`);
+  } catch (err) {
+    return sendPrintfulError(res, err, 'Printful request failed');
+  }
+  const { sync_product, sync_variants } = result || {};
 
   // Summarize what image fields exist
   const summary = {
@@ -43,6 +51,5 @@ export default async function handler(req, res) {
     raw_sync_product: sync_product,
   };
 
-  res.setHeader('Access-Control-Allow-Origin', '*');
   return res.status(200).json(summary);
 }
\ No newline at end of file
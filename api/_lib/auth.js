@@ -0,0 +1,37 @@
+/**
+ * Bearer-token auth for internal endpoints (admin tools, cron jobs).
+ *
+ * ENV VARS NEEDED:
+ *   ADMIN_TOKEN  — long random string; send as `Authorization: Bearer <token>`
+ *   CRON_SECRET  — set in Vercel; Vercel Cron sends it as a bearer token automatically
+ */
+
+import crypto from 'crypto';
+
+/** Returns true if the request carries the admin token; otherwise sends 401 */
+export function requireAdmin(req, res) {
+  if (matchesBearer(req, process.env.ADMIN_TOKEN)) return true;
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
+/** Cron routes accept Vercel's CRON_SECRET, or the admin token for a manual run */
+export function requireCron(req, res) {
+  if (matchesBearer(req, process.env.CRON_SECRET) || matchesBearer(req, process.env.ADMIN_TOKEN)) return true;
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
+/** Constant-time check of a token from a request against a secret */
+export function secretsMatch(token, secret) {
+  if (!secret) return false;  // an unset secret never authorizes anything
+  const a = Buffer.from(String(token ?? ''));
+  const b = Buffer.from(String(secret));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function matchesBearer(req, secret) {
+  const header = String(req.headers?.authorization || '');
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  return secretsMatch(token, secret);
+}
@@ -0,0 +1,70 @@
+/**
+ * Shareable cart links: variant IDs and quantities packed into a short token,
+ * signed so a link can't be edited into a different cart.
+ *
+ *   <variantId base36>_<quantity>.<variantId base36>_<quantity>~<signature>
+ *
+ * The signature is the first 16 hex characters of an HMAC-SHA256 over the items.
+ * Only IDs and quantities travel in the link — prices and availability are looked
+ * up again when it's opened (see /api/cart-link).
+ *
+ * ENV VARS NEEDED:
+ *   CART_LINK_SECRET — long random string; changing it invalidates every link shared so far
+ */
+
+import crypto from 'crypto';
+import { MAX_QUANTITY } from './pricing.js';
+import { secretsMatch } from './auth.js';
+
+export const MAX_LINK_ITEMS = 50;
+
+const TOKEN_RE = /^([0-9a-z]+_\d+(?:\.[0-9a-z]+_\d+)*)~([0-9a-f]{16})$/;
+
+export class CartLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CartLinkError';
+  }
+}
+
+export function cartLinksConfigured() {
+  return Boolean(process.env.CART_LINK_SECRET);
+}
+
+/** Token for validated cart items ({ variantId, quantity }); duplicate variants are summed */
+export function encodeCartLink(items) {
+  const quantities = new Map();
+  for (const { variantId, quantity } of items) {
+    const id = Number(variantId);
+    quantities.set(id, Math.min(MAX_QUANTITY, (quantities.get(id) || 0) + quantity));
+  }
+  if (quantities.size > MAX_LINK_ITEMS) throw new CartLinkError(`A cart link holds at most ${MAX_LINK_ITEMS} items`);
+
+  const payload = [...quantities].map(([id, quantity]) => `${id.toString(36)}_${quantity}`).join('.');
+  return `${payload}~${sign(payload)}`;
+}
+
+/** The { variantId, quantity } items in a token; throws CartLinkError if it's malformed or was altered */
+export function decodeCartLink(token) {
+  const match = TOKEN_RE.exec(String(token || ''));
+  if (!match) throw new CartLinkError('Invalid cart link');
+
+  const [, payload, signature] = match;
+  if (!secretsMatch(signature, sign(payload))) throw new CartLinkError('Invalid cart link');
+
+  const items = payload.split('.').map(part => {
+    const [id, quantity] = part.split('_');
+    return { variantId: parseInt(id, 36), quantity: Number(quantity) };
+  });
+  if (items.length > MAX_LINK_ITEMS || items.some(i => !Number.isSafeInteger(i.variantId) || i.quantity < 1)) {
+    throw new CartLinkError('Invalid cart link');
+  }
+  return items.map(i => ({ ...i, quantity: Math.min(MAX_QUANTITY, i.quantity) }));
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', process.env.CART_LINK_SECRET)
+    .update(`cart-link:v1:${payload}`)
+    .digest('hex')
+    .slice(0, 16);
+}
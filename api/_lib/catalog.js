@@ -0,0 +1,496 @@
+/**
+ * Printful catalog helpers shared by the API routes.
+ * Builds the normalised product list served by /api/products and used
+ * server-side to price checkout sessions.
+ *
+ * /api/products is served from a snapshot in storage (see getCatalog). Refreshes
+ * are incremental: the product list is always fetched, but detail requests are
+ * only made for products whose Printful `updated` timestamp changed.
+ *
+ * Category, countries and the other merchandising fields come from
+ * ./product-metadata.json; for products without an entry they're guessed from the name.
+ * Places are normalised to geo entities (ISO codes, continent, parent country — see ./geo.js).
+ * Metadata is merged when the catalog is read, so a deploy applies it to cached snapshots too.
+ *
+ * ENV VARS NEEDED:
+ *   PRINTFUL_API_KEY    — your Printful private token
+ *   PRINTFUL_STORE_ID   — your Printful store ID
+ */
+
+import crypto from 'crypto';
+import {
+  printfulGet, printfulListAll, mapWithConcurrency,
+  PrintfulConfigError, PrintfulNotFoundError,
+} from './printful.js';
+import { getStorage } from './storage.js';
+import { getProductMetadata, validateProductMetadata } from './product-metadata.js';
+import { inferGeo, resolveGeo } from './geo.js';
+
+// Detail requests in flight at once — Printful allows ~120 requests/minute
+const DETAIL_CONCURRENCY = 5;
+
+const CATALOG_CACHE_KEY = 'catalog:snapshot';
+const CATALOG_CACHE_TTL_MS = 5 * 60 * 1000;
+const CATALOG_LOCK_KEY = 'lock:catalog-refresh';
+const CATALOG_LOCK_TTL_SEC = 30;
+
+/**
+ * Fetch and normalise the whole catalog from Printful, with product metadata merged in.
+ * Products without priced variants are dropped unless `includeEmpty` is set
+ * (the admin health check wants to see them). Hidden products are kept — checkout
+ * still prices them; only the storefront leaves them out.
+ */
+export async function fetchPrintfulCatalog({ deadline, includeEmpty = false } = {}) {
+  const { entries } = await fetchCatalogEntries({ deadline });
+  return entries
+    .map(e => applyProductMetadata(e.product))
+    .filter(p => includeEmpty || p.variants.length > 0);
+}
+
+/**
+ * Fetch the product list and normalise each product, reusing entries from
+ * `previous` ([{ id, updated, product }]) whose `updated` timestamp hasn't changed.
+ * Returns { entries, fetched } — `fetched` is how many detail requests were made.
+ */
+async function fetchCatalogEntries({ deadline, previous = [] } = {}) {
+  if (!process.env.PRINTFUL_STORE_ID) throw new PrintfulConfigError('PRINTFUL_STORE_ID is not set');
+
+  // 1. Fetch all products (paginate through all pages)
+  const allProducts = await printfulListAll('/store/products', { deadline });
+  const known = new Map(previous.map(e => [e.id, e]));
+  let fetched = 0;
+
+  // 2. Fetch full details (variants + pricing) for new and changed products, a few at a time
+  const entries = await mapWithConcurrency(allProducts, DETAIL_CONCURRENCY, async (p) => {
+    const updated = p.updated ?? null;
+    const cached = known.get(p.id);
+    if (cached && updated != null && cached.updated === updated) return cached;
+
+    let result;
+    try {
+      fetched++;
+      result = await printfulGet(`/store/products/${p.id}`, { deadline });
+    } catch (err) {
+      // A product deleted between list and detail is skipped; anything else fails the catalog
+      if (err instanceof PrintfulNotFoundError) return null;
+      throw err;
+    }
+    return { id: p.id, updated, product: normalizeProduct(result) };
+  });
+
+  return { entries: entries.filter(Boolean), fetched };
+}
+
+function normalizeProduct({ sync_product, sync_variants }) {
+  // Keep all variants — don't filter by is_enabled or availability_status
+  // (these fields are unreliable across Printful API versions)
+  const variants = (sync_variants || [])
+    .filter(v => v.retail_price != null)  // only skip variants with no price set
+    .map(v => ({
+      id: v.id,
+      catalogVariantId: v.variant_id || null,
+      previewUrl: v.files?.find(f => f.type === "preview")?.preview_url || v.files?.[0]?.preview_url || null,
+      name: v.name,
+      sku: v.sku || '',
+      price: parseFloat(v.retail_price),
+      currency: v.currency || 'EUR',
+      options: parseVariantName(v.name, sync_product.name),
+      available: v.availability_status !== 'discontinued',
+    }));
+
+  return {
+    id: sync_product.id,
+    name: sync_product.name,
+    thumbnail: sync_product.thumbnail_url || null,
+    images: extractProductImages(sync_product, sync_variants),
+    ...variantFields(variants),
+  };
+}
+
+/** The price range, currency and option groups that go with a product's variants */
+function variantFields(variants) {
+  const prices = variants.map(v => v.price);
+  return {
+    minPrice: prices.length ? Math.min(...prices) : null,
+    maxPrice: prices.length ? Math.max(...prices) : null,
+    currency: variants[0]?.currency || 'EUR',
+    variants,
+    variantGroups: groupVariants(variants),
+  };
+}
+
+/**
+ * The catalog served to shoppers: a snapshot in storage, refreshed once it's
+ * older than CATALOG_CACHE_TTL_MS. Never fails while a snapshot exists — if
+ * Printful errors (or another instance is already refreshing) the last good
+ * snapshot is returned with `stale: true`. Storage problems fall back to a live fetch.
+ * Hidden products are left out unless `includeHidden` is set (they can still be
+ * bought, so cart pricing and reconciliation need them).
+ * Returns { products, fetchedAt, etag, stale }.
+ */
+export async function getCatalog({ deadline, includeHidden = false } = {}) {
+  const served = (snapshot, stale) => servedCatalog(snapshot, stale, { includeHidden });
+  const storage = getStorage();
+  let snapshot = null;
+  try {
+    snapshot = await storage.get(CATALOG_CACHE_KEY);
+  } catch (err) {
+    console.warn('Catalog cache unavailable:', err.message);
+  }
+  // Snapshots from before incremental refresh have no entries to reuse — rebuild them
+  if (snapshot && !snapshot.entries) snapshot = null;
+  if (snapshot && Date.now() - Date.parse(snapshot.fetchedAt) < CATALOG_CACHE_TTL_MS) {
+    return served(snapshot, false);
+  }
+  if (!snapshot) return served(await refreshCatalog({ deadline }), false);
+
+  // Only one instance refreshes at a time; the others keep serving the old snapshot
+  const locked = await storage.setIfAbsent(CATALOG_LOCK_KEY, { at: new Date().toISOString() }, CATALOG_LOCK_TTL_SEC)
+    .catch(() => true);
+  if (!locked) return served(snapshot, true);
+
+  try {
+    return served(await refreshCatalog({ deadline, previous: snapshot }), false);
+  } catch (err) {
+    console.error(`Catalog refresh failed, serving snapshot from ${snapshot.fetchedAt}:`, err);
+    return served(snapshot, true);
+  } finally {
+    await storage.delete(CATALOG_LOCK_KEY).catch(() => {});
+  }
+}
+
+/**
+ * Refetch the catalog from Printful and replace the cached snapshot. With a
+ * `previous` snapshot only new and changed products are fetched in detail;
+ * without one (e.g. the admin refresh) everything is.
+ */
+export async function refreshCatalog({ deadline, previous = null } = {}) {
+  const { entries, fetched } = await fetchCatalogEntries({ deadline, previous: previous?.entries });
+  const snapshot = { entries, fetchedAt: new Date().toISOString() };
+  if (previous) console.log(`Catalog refreshed: ${fetched} of ${entries.length} products changed`);
+
+  try {
+    await getStorage().set(CATALOG_CACHE_KEY, snapshot);
+  } catch (err) {
+    console.warn('Could not cache catalog:', err.message);
+  }
+  return snapshot;
+}
+
+/**
+ * Write variants checkout just looked up live ([{ variant }] from fetchPrintfulVariant)
+ * back into the cached snapshot where their price, currency or availability differ,
+ * so quotes and cart links agree with checkout instead of reverting the cart to a
+ * snapshot that can stay stale for as long as refreshes fail. Skipped while a
+ * refresh holds the lock — it's about to replace the snapshot anyway.
+ * Returns how many products were updated.
+ */
+export async function updateCatalogVariants(found) {
+  const live = new Map(found.map(({ variant }) => [variant.id, variant]));
+  const isStale = v => live.has(v.id) && !sameVariantPricing(v, live.get(v.id));
+  const staleEntries = snapshot => (snapshot?.entries || []).filter(e => e.product.variants.some(isStale));
+
+  const storage = getStorage();
+  if (staleEntries(await storage.get(CATALOG_CACHE_KEY)).length === 0) return 0;
+
+  const locked = await storage.setIfAbsent(CATALOG_LOCK_KEY, { at: new Date().toISOString() }, CATALOG_LOCK_TTL_SEC);
+  if (!locked) return 0;
+  try {
+    // Re-read under the lock — a refresh may have replaced the snapshot since
+    const snapshot = await storage.get(CATALOG_CACHE_KEY);
+    const stale = staleEntries(snapshot);
+    for (const entry of stale) {
+      const variants = entry.product.variants.map(v => (isStale(v) ? live.get(v.id) : v));
+      entry.product = { ...entry.product, ...variantFields(variants) };
+    }
+    if (stale.length) await storage.set(CATALOG_CACHE_KEY, snapshot);
+    return stale.length;
+  } finally {
+    await storage.delete(CATALOG_LOCK_KEY).catch(() => {});
+  }
+}
+
+function sameVariantPricing(a, b) {
+  return a.price === b.price && a.currency === b.currency && a.available === b.available;
+}
+
+/**
+ * What shoppers see of a snapshot: priced, visible (or with `includeHidden`, all)
+ * products with metadata applied. Visible products get their page `slug`
+ * (see productSlugs); hidden ones have no page, so theirs is null.
+ */
+function servedCatalog(snapshot, stale, { includeHidden = false } = {}) {
+  const priced = snapshot.entries
+    .map(e => applyProductMetadata(e.product))
+    .filter(p => p.variants.length > 0);
+  const slugs = productSlugs(priced.filter(p => !p.hidden));
+  const products = priced
+    .filter(p => includeHidden || !p.hidden)
+    .map(p => ({ ...p, slug: slugs.get(p.id) ?? null }));
+  // Hashed here rather than stored, so metadata changes show up as a new ETag
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(products)).digest('base64url')}"`;
+  return { products, fetchedAt: snapshot.fetchedAt, etag, stale };
+}
+
+/** When the cached snapshot was taken, or null if there isn't one */
+export async function getCatalogCacheInfo() {
+  const snapshot = await getStorage().get(CATALOG_CACHE_KEY);
+  return snapshot?.entries ? describeSnapshot(snapshot) : null;
+}
+
+/** { fetchedAt, productCount } for a snapshot from refreshCatalog */
+export function describeSnapshot(snapshot) {
+  return { fetchedAt: snapshot.fetchedAt, productCount: servedCatalog(snapshot, false).products.length };
+}
+
+/**
+ * One product, fetched live from Printful, in the same shape as fetchPrintfulCatalog.
+ * Returns null for unknown IDs and for products the storefront doesn't list
+ * (hidden, or no priced variants).
+ */
+export async function fetchPrintfulProduct(id, { deadline } = {}) {
+  let result;
+  try {
+    result = await printfulGet(`/store/products/${id}`, { deadline });
+  } catch (err) {
+    if (err instanceof PrintfulNotFoundError) return null;
+    throw err;
+  }
+  const product = applyProductMetadata(normalizeProduct(result));
+  return product.variants.length > 0 && !product.hidden ? product : null;
+}
+
+/**
+ * One sync variant with its product, fetched live from Printful in a single
+ * request. Hidden products are included (they can still be checked out).
+ * Returns { product, variant }, or null for unknown or unpriced variants.
+ */
+export async function fetchPrintfulVariant(id, { deadline } = {}) {
+  let result;
+  try {
+    result = await printfulGet(`/store/variants/${id}`, { deadline });
+  } catch (err) {
+    if (err instanceof PrintfulNotFoundError) return null;
+    throw err;
+  }
+  if (!result?.sync_variant || !result.sync_product) return null;
+  const product = applyProductMetadata(normalizeProduct({
+    sync_product: result.sync_product,
+    sync_variants: [result.sync_variant],
+  }));
+  return product.variants.length ? { product, variant: product.variants[0] } : null;
+}
+
+/**
+ * One storefront product by ID or page slug, from the catalog snapshot so it's
+ * priced the same as cart quotes. IDs the snapshot doesn't have yet (products
+ * added since the last refresh) are looked up live. Returns null for unknown,
+ * hidden and unpriced products.
+ */
+export async function findCatalogProduct({ id, slug }) {
+  const { products } = await getCatalog({ includeHidden: true });
+  const product = products.find(p => (id != null ? p.id === Number(id) : p.slug === slug));
+  if (product) return product.hidden ? null : product;
+  return id != null ? fetchPrintfulProduct(id) : null;
+}
+
+/**
+ * Product page slugs for a list of products: Map<productId, slug>. Repeated names
+ * get -2, -3… in list order, so scripts/build-seo.js and the served catalog agree
+ * as long as both see the visible catalog in Printful's order.
+ */
+export function productSlugs(products) {
+  const seen = new Map();
+  return new Map(products.map(product => {
+    const slug = productSlug(product.name);
+    const count = (seen.get(slug) || 0) + 1;
+    seen.set(slug, count);
+    return [product.id, count > 1 ? `${slug}-${count}` : slug];
+  }));
+}
+
+/** URL slug for a product name — before duplicates are numbered (see productSlugs) */
+export function productSlug(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .substring(0, 80);
+}
+
+/**
+ * A normalised Printful product with its metadata entry merged in. Without an
+ * entry, category and places are inferred from the name.
+ *   countries — display names, primary first
+ *   geo       — the same places as geo entities: [{ code, name, type, country, continent }]
+ */
+export function applyProductMetadata(product) {
+  const meta = getProductMetadata(product.id) || {};
+  const geo = meta.countries ? meta.countries.map(resolveGeo).filter(Boolean) : inferGeo(product.name);
+  const countries = meta.countries ? meta.countries.map(c => resolveGeo(c)?.name || c) : geo.map(g => g.name);
+  return {
+    ...product,
+    thumbnail: meta.thumbnail || product.thumbnail,
+    category: meta.category || inferCategory(product.name),
+    country: countries[0] || null,
+    countries,
+    geo,
+    tags: meta.tags || [],
+    featured: meta.featured || false,
+    sortWeight: meta.sortWeight || 0,
+    hidden: meta.hidden || false,
+    description: meta.description || null,
+  };
+}
+
+/**
+ * Catalog problems worth fixing in Printful or ./product-metadata.json: products
+ * with no priced variants, no thumbnail, no metadata entry or no country, invalid
+ * metadata entries and entries for products Printful doesn't have. Expects a
+ * catalog fetched with `includeEmpty: true`. Returns [{ id, name, issues: [...] }].
+ */
+export function findCatalogProblems(products) {
+  const metadataProblems = validateProductMetadata(products.map(p => p.id));
+  const productProblems = products
+    .map(p => {
+      const issues = [];
+      if (p.variants.length === 0) issues.push('no_variants');
+      else if (p.variants.every(v => !v.available)) issues.push('all_variants_discontinued');
+      if (!p.thumbnail) issues.push('missing_thumbnail');
+      if (!getProductMetadata(p.id)) issues.push('no_metadata');
+      if (p.geo.length === 0) issues.push('unknown_country');
+      issues.push(...(metadataProblems[p.id] || []).map(i => `metadata:${i}`));
+      return { id: p.id, name: p.name, issues };
+    });
+  const orphaned = Object.entries(metadataProblems)
+    .filter(([, issues]) => issues.includes('unknown_product'))
+    .map(([id, issues]) => ({ id: Number(id) || id, name: null, issues: issues.map(i => `metadata:${i}`) }));
+
+  return [...productProblems, ...orphaned].filter(p => p.issues.length > 0);
+}
+
+export function inferCategory(name) {
+  const lower = name.toLowerCase();
+  if (lower.includes('t-shirt') || lower.includes('hoodie') || lower.includes('shirt')) return 'apparel';
+  if (lower.includes('poster') || lower.includes('print') || lower.includes('framed')) return 'posters';
+  if (lower.includes('sticker')) return 'stickers';
+  if (lower.includes('notebook') || lower.includes('stationary') || lower.includes('mug') || lower.includes('tote')) return 'stationary';
+  return 'other';
+}
+
+function parseVariantName(variantName, productName) {
+  // Remove product name prefix
+  let optionStr = variantName.replace(productName, '').replace(/^[\s\-\/]+/, '').trim();
+  if (!optionStr) optionStr = variantName;
+
+  const parts = optionStr.split(' / ').map(s => s.trim()).filter(Boolean);
+  if (parts.length >= 2) return { primary: parts[0], secondary: parts[1] };
+  if (parts.length === 1) return { primary: parts[0], secondary: null };
+  return { primary: optionStr, secondary: null };
+}
+
+function groupVariants(variants) {
+  const groups = {};
+  variants.forEach(v => {
+    const key = v.options.primary;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(v);
+  });
+  return groups;
+}
+
+/**
+ * Extract all unique preview images from a product's variants.
+ * Collects front, back, and all other preview images.
+ * Returns array of { variantId, url, type } — used for image swapping in the UI.
+ */
+function extractProductImages(sync_product, sync_variants) {
+  // We build a structured image set:
+  //   - images.byVariant[variantId] = { front, back, label } (URLs per variant)
+  //   - images.shared = [{ url, type }]  (back/label that are the same across all colors)
+  //   - images.list = flat array used by the modal thumb strip for the SELECTED color
+  //
+  // Printful file types on sync_variants:
+  //   'preview'       → color mockup (one per color, changes when color changes)
+  //   'default'       → front print file preview (usually same across sizes of same color)
+  //   'back'          → back print file preview (shared across all colors)
+  //   'label_inside'  → inner label (shared)
+
+  const byVariant = {};   // variantId → { front, back, label }
+  const seenShared = new Set();
+  const shared = [];      // back/label images (same for all colors)
+
+  // First pass: index every variant's files
+  for (const v of sync_variants || []) {
+    const entry = { front: null, back: null, label: null };
+
+    for (const file of v.files || []) {
+      const url = file.preview_url || null;
+      if (!url) continue;
+
+      if (file.type === 'preview') {
+        entry.front = url;  // color mockup = best "front" image
+      } else if (file.type === 'default' && !entry.front) {
+        entry.front = url;  // fallback front if no mockup
+      } else if (file.type === 'back') {
+        entry.back = url;
+        // Collect unique back images as shared (usually same across colors)
+        if (!seenShared.has(url)) {
+          seenShared.add(url);
+          shared.push({ url, type: 'back', label: 'Back' });
+        }
+      } else if (file.type === 'label_inside') {
+        entry.label = url;
+        if (!seenShared.has(url)) {
+          seenShared.add(url);
+          shared.push({ url, type: 'label_inside', label: 'Label' });
+        }
+      }
+    }
+
+    byVariant[v.id] = entry;
+  }
+
+  // Build a flat `images` array for backward compatibility with the modal:
+  // - One entry per variant (front mockup), keyed by variantId
+  // - Plus shared back/label entries (variantId: null so they always show)
+  const seen = new Set();
+  const images = [];
+
+  // Thumbnail first
+  if (sync_product.thumbnail_url) {
+    seen.add(sync_product.thumbnail_url);
+    images.push({ variantId: null, url: sync_product.thumbnail_url, type: 'thumbnail', isDefault: true });
+  }
+
+  // One front mockup per variant
+  for (const [variantId, entry] of Object.entries(byVariant)) {
+    if (entry.front && !seen.has(entry.front)) {
+      seen.add(entry.front);
+      images.push({ variantId: parseInt(variantId), url: entry.front, type: 'front' });
+    }
+  }
+
+  // Shared back + label images (always shown regardless of selected color)
+  for (const s of shared) {
+    images.push({ variantId: null, url: s.url, type: s.type, label: s.label, isShared: true });
+  }
+
+  return images;
+}
+
+/**
+ * Index every variant in a catalog by its sync variant ID.
+ * Returns Map<variantId, { product, variant }> for O(1) cart lookups.
+ */
+export function indexVariants(products) {
+  const index = new Map();
+  for (const product of products) {
+    for (const variant of product.variants) {
+      index.set(variant.id, { product, variant });
+    }
+  }
+  return index;
+}
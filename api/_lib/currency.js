@@ -0,0 +1,123 @@
+/**
+ * Presentment currencies and exchange rates.
+ *
+ * Catalog prices are set in EUR in Printful. Visitors can browse and pay in any of
+ * SUPPORTED_CURRENCIES; prices are converted with the ECB reference rates (refreshed
+ * every RATES_TTL_MS, cached in storage, falling back to FALLBACK_RATES).
+ *
+ * Rounding rule — used identically by the browser (see convertPrice in the front-end
+ * scripts) so the drawer, the quote and Stripe always agree:
+ *   each UNIT price is converted and rounded half-up to the cent, then multiplied
+ *   by the quantity. Totals are sums of rounded unit prices, never converted totals.
+ *
+ * Only two-decimal currencies are supported, so Stripe amounts are always cents.
+ */
+
+import { getStorage } from './storage.js';
+
+export const BASE_CURRENCY = 'EUR';
+export const SUPPORTED_CURRENCIES = ['EUR', 'USD', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'DKK', 'NOK', 'PLN'];
+
+const ECB_RATES_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+const RATES_CACHE_KEY = 'fx:rates';
+const RATES_TTL_MS = 12 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 4000;
+
+// Used only if the ECB feed and the cache are both unavailable — update occasionally
+const FALLBACK_RATES = {
+  EUR: 1, USD: 1.08, GBP: 0.85, CAD: 1.47, AUD: 1.65, NZD: 1.8,
+  CHF: 0.95, SEK: 11.5, DKK: 7.46, NOK: 11.6, PLN: 4.3,
+};
+
+export class UnsupportedCurrencyError extends Error {
+  constructor(currency) {
+    super(`Currency ${currency} is not supported`);
+    this.name = 'UnsupportedCurrencyError';
+    this.currency = currency;
+  }
+}
+
+/** Normalise a client-supplied currency code; throws UnsupportedCurrencyError */
+export function parseCurrency(currency) {
+  const code = String(currency || BASE_CURRENCY).toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(code)) throw new UnsupportedCurrencyError(code);
+  return code;
+}
+
+/**
+ * Current rates, 1 EUR → n units. Never throws.
+ * Returns { base, rates, updatedAt, source: 'ecb' | 'cache' | 'fallback' }.
+ */
+export async function getExchangeRates() {
+  const storage = getStorage();
+  let cached = null;
+  try {
+    cached = await storage.get(RATES_CACHE_KEY);
+  } catch (err) {
+    console.warn('Exchange rate cache unavailable:', err.message);
+  }
+  if (cached && Date.now() - Date.parse(cached.fetchedAt) < RATES_TTL_MS) {
+    return { base: BASE_CURRENCY, rates: cached.rates, updatedAt: cached.updatedAt, source: 'cache' };
+  }
+
+  try {
+    const fresh = await fetchEcbRates();
+    await storage.set(RATES_CACHE_KEY, fresh).catch(err => console.warn('Could not cache exchange rates:', err.message));
+    return { base: BASE_CURRENCY, rates: fresh.rates, updatedAt: fresh.updatedAt, source: 'ecb' };
+  } catch (err) {
+    console.warn('Could not fetch ECB exchange rates:', err.message);
+  }
+
+  if (cached) return { base: BASE_CURRENCY, rates: cached.rates, updatedAt: cached.updatedAt, source: 'cache' };
+  return { base: BASE_CURRENCY, rates: FALLBACK_RATES, updatedAt: null, source: 'fallback' };
+}
+
+async function fetchEcbRates() {
+  const res = await fetch(ECB_RATES_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`ECB returned ${res.status}`);
+  const xml = await res.text();
+
+  const rates = { EUR: 1 };
+  for (const [, code, rate] of xml.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+    if (SUPPORTED_CURRENCIES.includes(code)) rates[code] = parseFloat(rate);
+  }
+  const missing = SUPPORTED_CURRENCIES.filter(c => !rates[c]);
+  if (missing.length) throw new Error(`ECB feed is missing ${missing.join(', ')}`);
+
+  const updatedAt = xml.match(/time=['"](\d{4}-\d{2}-\d{2})['"]/)?.[1] || null;
+  return { rates, updatedAt, fetchedAt: new Date().toISOString() };
+}
+
+/** Convert an amount between two supported currencies, rounded half-up to the cent */
+export function convertPrice(amount, from, to, rates) {
+  if (from === to) return amount;
+  const eur = amount / rates[from];
+  return Math.round(eur * rates[to] * 100 + Number.EPSILON) / 100;
+}
+
+/**
+ * Priced cart lines ([{ product, variant, quantity }]) with unit prices converted
+ * to `currency`. Everything downstream (promotions, Stripe line items) then works
+ * in the presentment currency.
+ */
+export function convertLines(lines, currency, rates) {
+  return lines.map(line => ({
+    ...line,
+    variant: {
+      ...line.variant,
+      price: convertPrice(line.variant.price, line.variant.currency || BASE_CURRENCY, currency, rates),
+      currency,
+    },
+  }));
+}
+
+/**
+ * The shipping rate the customer picked, in `currency`. Rates are quoted in the
+ * presentment currency already; this only matters if the currency changed since.
+ */
+export function convertShippingOption(option, currency, rates) {
+  if (option?.rate == null) return option || null;
+  const from = String(option.currency || BASE_CURRENCY).toUpperCase();
+  if (from === currency || !rates[from]) return { ...option, currency };
+  return { ...option, rate: convertPrice(option.rate, from, currency, rates), currency };
+}
@@ -0,0 +1,177 @@
+/**
+ * Printful order creation for paid Checkout sessions.
+ * Used by the Stripe webhook for the first attempt, and by the retry queue
+ * (scheduled retries and admin replays) for later ones.
+ */
+
+import { printfulGet, printfulPost, PrintfulNotFoundError } from './printful.js';
+import { sendAlert, ALERT_TYPES } from './alerts.js';
+import {
+  getOrderRecord, saveOrderRecord, withOrderLock, externalIdForSession, ORDER_STATUS,
+} from './orders.js';
+
+/**
+ * Create a Printful order from a completed Stripe session — exactly once.
+ * Returns the Printful order ID, or null if the session was refunded/disputed first.
+ */
+export async function createPrintfulOrder(session) {
+  return fulfillOrder(session.id, () => buildPrintfulOrder(session), {
+    email: session.customer_details?.email || null,
+    amountTotal: session.amount_total,
+    currency: session.currency,
+  });
+}
+
+/**
+ * Create the Printful order for a session from a lazily built payload.
+ *
+ * The ledger records session → Printful order. Concurrent attempts (Stripe retries,
+ * completed + async_payment_succeeded arriving together, a queued retry) serialise on
+ * a per-session lock; the loser gets OrderLockedError.
+ */
+export async function fulfillOrder(sessionId, getPayload, details = {}) {
+  // Fast path: already fulfilled by an earlier attempt
+  const recorded = await getOrderRecord(sessionId);
+  if (recorded?.printfulOrderId) {
+    console.log(`Order already exists: ${recorded.printfulOrderId}`);
+    return recorded.printfulOrderId;
+  }
+
+  return withOrderLock(sessionId, async () => {
+    // Re-check under the lock — a concurrent delivery may have finished first
+    const current = await getOrderRecord(sessionId);
+    if (current?.printfulOrderId) return current.printfulOrderId;
+
+    // Refunded or disputed before we got to it — don't print anything
+    if (current?.status === ORDER_STATUS.CANCELED || current?.disputeId) {
+      console.log(`Skipping Printful order for session ${sessionId} (${current.disputeId ? 'disputed' : 'canceled'})`);
+      return null;
+    }
+
+    const externalId = externalIdForSession(sessionId);
+    await saveOrderRecord(sessionId, { ...details, status: ORDER_STATUS.PENDING, error: null });
+
+    try {
+      // The order may exist in Printful without a ledger entry (e.g. we crashed after creating it)
+      let printfulOrder = await findPrintfulOrder(externalId);
+      if (printfulOrder) {
+        console.log(`Order already exists in Printful: ${printfulOrder.id}`);
+      } else {
+        // external_id always comes from the session, even for hand-edited payloads
+        printfulOrder = await printfulPost('/orders', { ...(await getPayload()), external_id: externalId });
+      }
+
+      await saveOrderRecord(sessionId, { status: ORDER_STATUS.CREATED, printfulOrderId: printfulOrder.id });
+      if (printfulOrder.status === 'draft') await confirmPrintfulOrder(sessionId, printfulOrder.id);
+      else await saveOrderRecord(sessionId, { status: ORDER_STATUS.CONFIRMED });
+
+      return printfulOrder.id;
+    } catch (err) {
+      const record = await getOrderRecord(sessionId);
+      // Only mark failed if no order was created — a confirm failure is recorded separately
+      if (!record?.printfulOrderId) {
+        await saveOrderRecord(sessionId, { status: ORDER_STATUS.FAILED, error: err.message });
+      }
+      throw err;
+    }
+  });
+}
+
+async function findPrintfulOrder(externalId) {
+  try {
+    return await printfulGet(`/orders/@${externalId}`);
+  } catch (err) {
+    if (err instanceof PrintfulNotFoundError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Build the Printful order payload (submitted as a draft) from a Stripe session.
+ * Throws if the session is missing the shipping address or cart metadata.
+ */
+export function buildPrintfulOrder(session) {
+  const shipping = session.shipping_details;
+  const customer = session.customer_details;
+
+  if (!shipping?.address) {
+    throw new Error('No shipping address in session');
+  }
+
+  // Parse cart from metadata
+  let cartItems;
+  try {
+    cartItems = JSON.parse(session.metadata.cart);
+  } catch {
+    throw new Error('Could not parse cart metadata');
+  }
+
+  // Build Printful order payload
+  const order = {
+    // Derived from the Stripe session ID so retries can find this order again
+    external_id: externalIdForSession(session.id),
+
+    recipient: {
+      name: shipping.name || customer.name,
+      email: customer.email,
+      phone: customer.phone || '',
+      address1: shipping.address.line1,
+      address2: shipping.address.line2 || '',
+      city: shipping.address.city,
+      state_code: shipping.address.state || '',
+      country_code: shipping.address.country,
+      zip: shipping.address.postal_code,
+    },
+
+    items: cartItems.map(item => ({
+      sync_variant_id: item.variantId,
+      quantity: item.quantity,
+    })),
+
+    // Use the shipping method the customer selected during cart checkout
+    ...(session.metadata.shipping_id && { shipping: session.metadata.shipping_id }),
+
+    // What the customer paid, for packing slips and customs declarations
+    retail_costs: retailCosts(session),
+  };
+
+  return order;
+}
+
+/**
+ * Retail costs from the paid session. EU VAT is already inside the item prices,
+ * so only tax added on top (tax_behavior 'exclusive') is reported separately.
+ */
+function retailCosts(session) {
+  const money = cents => ((cents || 0) / 100).toFixed(2);
+  const totals = session.total_details || {};
+  const taxIncluded = session.metadata?.tax_behavior !== 'exclusive';
+  return {
+    currency: session.currency?.toUpperCase() || 'EUR',
+    subtotal: money(session.amount_subtotal),
+    discount: money(totals.amount_discount),
+    shipping: money(totals.amount_shipping),
+    tax: taxIncluded ? '0.00' : money(totals.amount_tax),
+    total: money(session.amount_total),
+  };
+}
+
+/**
+ * Auto-confirm the order so Printful starts production immediately.
+ * Remove the call if you want to review orders manually first.
+ */
+async function confirmPrintfulOrder(sessionId, printfulOrderId) {
+  try {
+    await printfulPost(`/orders/${printfulOrderId}/confirm`);
+    await saveOrderRecord(sessionId, { status: ORDER_STATUS.CONFIRMED, error: null });
+  } catch (err) {
+    console.warn(`Could not auto-confirm order ${printfulOrderId}: ${err.message}`);
+    await saveOrderRecord(sessionId, { status: ORDER_STATUS.CREATED, error: `Auto-confirm failed: ${err.message}` });
+    await sendAlert({
+      type: ALERT_TYPES.ORDER_CONFIRM_FAILED,
+      title: `Could not auto-confirm Printful order ${printfulOrderId}`,
+      details: { session: sessionId, printfulOrder: printfulOrderId, error: err.message },
+      dedupeKey: `order_confirm_failed:${sessionId}`,
+    });
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Places our designs show, normalised: every product is tagged with geo entities
+ *   { code, name, type, country, continent }
+ * where `code` is the ISO 3166-1 alpha-2 code for countries, the ISO 3166-2 code
+ * for sub-regions (whose `country` is the parent's alpha-2 code), or 'world'.
+ *
+ * Names in product titles and in ./product-metadata.json are resolved through each
+ * entity's name, aliases and code, so "Brasil", "Brazil" and "BR" are the same place.
+ * Add an entity (or an alias) here when a design covers somewhere new.
+ */
+
+export const CONTINENTS = ['africa', 'asia', 'europe', 'north-america', 'south-america', 'oceania'];
+
+// [code, name, continent, aliases] — sub-regions list their parent country in REGIONS
+const COUNTRIES = [
+  // Africa
+  ['DZ', 'Algeria', 'africa'], ['AO', 'Angola', 'africa'], ['CM', 'Cameroon', 'africa'],
+  ['CG', 'Congo', 'africa'], ['EG', 'Egypt', 'africa'], ['ET', 'Ethiopia', 'africa'],
+  ['GH', 'Ghana', 'africa'], ['KE', 'Kenya', 'africa'], ['LY', 'Libya', 'africa'],
+  ['MA', 'Morocco', 'africa'], ['MZ', 'Mozambique', 'africa'], ['NE', 'Niger', 'africa'],
+  ['NG', 'Nigeria', 'africa'], ['SN', 'Senegal', 'africa'], ['ZA', 'South Africa', 'africa'],
+  ['SD', 'Sudan', 'africa'], ['TZ', 'Tanzania', 'africa'], ['TN', 'Tunisia', 'africa'],
+  ['UG', 'Uganda', 'africa'], ['ZW', 'Zimbabwe', 'africa'],
+  // Asia & Middle East
+  ['AF', 'Afghanistan', 'asia'], ['CN', 'China', 'asia'], ['IN', 'India', 'asia'],
+  ['ID', 'Indonesia', 'asia'], ['IR', 'Iran', 'asia'], ['IQ', 'Iraq', 'asia'],
+  ['IL', 'Israel', 'asia'], ['JP', 'Japan', 'asia'], ['JO', 'Jordan', 'asia'],
+  ['KZ', 'Kazakhstan', 'asia'], ['KR', 'South Korea', 'asia', ['Korea']], ['LB', 'Lebanon', 'asia'],
+  ['MY', 'Malaysia', 'asia'], ['MN', 'Mongolia', 'asia'], ['MM', 'Myanmar', 'asia', ['Burma']],
+  ['NP', 'Nepal', 'asia'], ['PK', 'Pakistan', 'asia'], ['PH', 'Philippines', 'asia'],
+  ['SA', 'Saudi Arabia', 'asia'], ['SG', 'Singapore', 'asia'], ['LK', 'Sri Lanka', 'asia'],
+  ['SY', 'Syria', 'asia'], ['TW', 'Taiwan', 'asia'], ['TH', 'Thailand', 'asia'],
+  ['TR', 'Turkey', 'asia', ['Türkiye', 'Turkiye']], ['VN', 'Vietnam', 'asia', ['Viet Nam']],
+  ['YE', 'Yemen', 'asia'],
+  // Europe
+  ['AL', 'Albania', 'europe'], ['AT', 'Austria', 'europe'], ['BE', 'Belgium', 'europe'],
+  ['BA', 'Bosnia and Herzegovina', 'europe', ['Bosnia']], ['BG', 'Bulgaria', 'europe'],
+  ['HR', 'Croatia', 'europe'], ['CY', 'Cyprus', 'europe'], ['CZ', 'Czechia', 'europe', ['Czech Republic']],
+  ['DK', 'Denmark', 'europe'], ['EE', 'Estonia', 'europe'], ['FI', 'Finland', 'europe'],
+  ['FR', 'France', 'europe'], ['DE', 'Germany', 'europe'], ['GR', 'Greece', 'europe'],
+  ['HU', 'Hungary', 'europe'], ['IS', 'Iceland', 'europe'], ['IE', 'Ireland', 'europe'],
+  ['IT', 'Italy', 'europe'], ['XK', 'Kosovo', 'europe'], ['LV', 'Latvia', 'europe'],
+  ['LT', 'Lithuania', 'europe'], ['LU', 'Luxembourg', 'europe'], ['MT', 'Malta', 'europe'],
+  ['MD', 'Moldova', 'europe'], ['ME', 'Montenegro', 'europe'], ['NL', 'Netherlands', 'europe', ['Holland']],
+  ['MK', 'North Macedonia', 'europe', ['Macedonia']], ['NO', 'Norway', 'europe'], ['PL', 'Poland', 'europe'],
+  ['PT', 'Portugal', 'europe'], ['RO', 'Romania', 'europe'], ['RS', 'Serbia', 'europe'],
+  ['SK', 'Slovakia', 'europe'], ['SI', 'Slovenia', 'europe'], ['ES', 'Spain', 'europe', ['España']],
+  ['SE', 'Sweden', 'europe'], ['CH', 'Switzerland', 'europe'], ['UA', 'Ukraine', 'europe'],
+  ['GB', 'United Kingdom', 'europe', ['UK', 'Great Britain']],
+  // North & Central America
+  ['CA', 'Canada', 'north-america'], ['CR', 'Costa Rica', 'north-america'], ['CU', 'Cuba', 'north-america'],
+  ['GT', 'Guatemala', 'north-america'], ['MX', 'Mexico', 'north-america', ['México']],
+  ['PA', 'Panama', 'north-america', ['Panamá']],
+  ['US', 'United States', 'north-america', ['USA', 'United States of America']],
+  // South America
+  ['AR', 'Argentina', 'south-america'], ['BO', 'Bolivia', 'south-america'],
+  ['BR', 'Brazil', 'south-america', ['Brasil']], ['CL', 'Chile', 'south-america'],
+  ['CO', 'Colombia', 'south-america'], ['EC', 'Ecuador', 'south-america'],
+  ['PY', 'Paraguay', 'south-america'], ['PE', 'Peru', 'south-america', ['Perú']],
+  ['UY', 'Uruguay', 'south-america'], ['VE', 'Venezuela', 'south-america'],
+  // Oceania
+  ['AU', 'Australia', 'oceania'], ['NZ', 'New Zealand', 'oceania'],
+];
+
+// [ISO 3166-2 code, name, aliases]
+const REGIONS = [
+  ['ES-CT', 'Catalonia', ['Catalunya', 'Cataluña']],
+  ['IR-10', 'Isfahan', ['Esfahan']],
+];
+
+const WORLD = { code: 'world', name: 'World', type: 'world', country: null, continent: null };
+
+export const GEO_ENTITIES = [
+  ...COUNTRIES.map(([code, name, continent, aliases = []]) =>
+    ({ code, name, type: 'country', country: code, continent, aliases })),
+  ...REGIONS.map(([code, name, aliases = []]) => {
+    const country = code.slice(0, 2);
+    const continent = COUNTRIES.find(c => c[0] === country)[2];
+    return { code, name, type: 'region', country, continent, aliases };
+  }),
+  { ...WORLD, aliases: ['Worldwide'] },
+];
+
+const byKey = new Map();
+for (const entity of GEO_ENTITIES) {
+  for (const key of [entity.code, entity.name, ...entity.aliases]) byKey.set(key.toLowerCase(), entity);
+}
+
+// Every name and alias, longest first, so "Niger" can't claim the start of "Nigeria"
+const NAMES_LONGEST_FIRST = GEO_ENTITIES
+  .flatMap(entity => [entity.name, ...entity.aliases].map(name => ({ name: name.toLowerCase(), entity })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/** The entity for a code, name or alias (case-insensitive), without its aliases; null if unknown */
+export function resolveGeo(nameOrCode) {
+  const entity = byKey.get(String(nameOrCode || '').trim().toLowerCase());
+  return entity ? publicEntity(entity) : null;
+}
+
+/** Every place named in `text`, as whole words, in the order they appear */
+export function inferGeo(text) {
+  let rest = text.toLowerCase();
+  const found = [];
+  for (const { name, entity } of NAMES_LONGEST_FIRST) {
+    const match = new RegExp(`(?<![\\p{L}])${escapeRegExp(name)}(?![\\p{L}])`, 'u').exec(rest);
+    if (!match) continue;
+    if (!found.some(f => f.entity === entity)) found.push({ entity, index: match.index });
+    // Blank it out so shorter names can't match inside it
+    rest = rest.slice(0, match.index) + ' '.repeat(name.length) + rest.slice(match.index + name.length);
+  }
+  return found.sort((a, b) => a.index - b.index).map(f => publicEntity(f.entity));
+}
+
+function publicEntity({ code, name, type, country, continent }) {
+  return { code, name, type, country, continent };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
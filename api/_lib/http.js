@@ -0,0 +1,16 @@
+/**
+ * Small request helpers shared by the API routes.
+ */
+
+/**
+ * Read raw request body as a Buffer (needed for webhook signature verification).
+ * Routes using this must export `config = { api: { bodyParser: false } }`.
+ */
+export function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
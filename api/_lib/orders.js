@@ -0,0 +1,131 @@
+/**
+ * Order ledger — maps each Stripe Checkout session to its Printful order.
+ *
+ * Records live in the storage adapter under `order:<sessionId>`:
+ *   { sessionId, externalId, status, printfulOrderId, printfulStatus, error,
+ *     tracking: [{ shipmentId, carrier, service, number, url, shippedAt }], events,
+ *     needsReview: { reason, at } | null, disputeId, createdAt, updatedAt }
+ * plus an `order-ext:<externalId>` → sessionId index for Printful webhook lookups.
+ *
+ * Status flow:
+ *   pending   → a webhook delivery holds the lock and is creating the order
+ *   created   → Printful order exists but auto-confirm failed
+ *   confirmed → Printful order exists and was confirmed for production
+ *   shipped   → at least one package has shipped (Printful package_shipped)
+ *   returned  → a package came back to Printful (package_returned)
+ *   on_hold   → Printful put the order on hold (order_put_hold)
+ *   canceled  → the order was canceled in Printful (order_canceled)
+ *   failed    → order creation threw, or Printful reported order_failed; see `error`
+ *
+ * `needsReview` is set when something can't be handled automatically (e.g. a refund
+ * after production started) and a human has to act in Stripe or Printful.
+ */
+
+import { getStorage } from './storage.js';
+import { sendAlert, ALERT_TYPES } from './alerts.js';
+
+const LOCK_TTL_SEC = 60;  // longer than the 15 s maxDuration, so a crashed holder can't block forever
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  CREATED: 'created',
+  CONFIRMED: 'confirmed',
+  SHIPPED: 'shipped',
+  RETURNED: 'returned',
+  ON_HOLD: 'on_hold',
+  CANCELED: 'canceled',
+  FAILED: 'failed',
+};
+
+const MAX_EVENTS = 50;
+
+/** Another invocation is creating the order for this session right now */
+export class OrderLockedError extends Error {
+  constructor(sessionId) {
+    super(`Order creation already in progress for session ${sessionId}`);
+    this.name = 'OrderLockedError';
+    this.sessionId = sessionId;
+  }
+}
+
+/**
+ * Stable Printful external_id for a Stripe session (max 64 chars).
+ * Deterministic so a retried delivery finds the order created by the first one.
+ */
+export function externalIdForSession(sessionId) {
+  return `stripe_${sessionId.slice(-50)}`;
+}
+
+export async function getOrderRecord(sessionId) {
+  return getStorage().get(`order:${sessionId}`);
+}
+
+/** Merge `patch` into the session's ledger record, creating it if needed */
+export async function saveOrderRecord(sessionId, patch) {
+  const storage = getStorage();
+  const existing = await storage.get(`order:${sessionId}`);
+  const now = new Date().toISOString();
+  const record = {
+    sessionId,
+    externalId: externalIdForSession(sessionId),
+    createdAt: now,
+    ...existing,
+    ...patch,
+    updatedAt: now,
+  };
+  await storage.set(`order:${sessionId}`, record);
+  if (!existing) await storage.set(`order-ext:${record.externalId}`, sessionId);
+  return record;
+}
+
+/** Append an entry to the record's event history (newest last, capped) */
+export async function appendOrderEvent(sessionId, event, patch = {}) {
+  const existing = await getOrderRecord(sessionId);
+  const events = [...(existing?.events || []), { at: new Date().toISOString(), ...event }].slice(-MAX_EVENTS);
+  return saveOrderRecord(sessionId, { ...patch, events });
+}
+
+/** Flag an order for a human and record why */
+export async function flagOrderForReview(sessionId, reason) {
+  const record = await appendOrderEvent(sessionId, { type: 'needs_review', reason }, {
+    needsReview: { reason, at: new Date().toISOString() },
+  });
+  await sendAlert({
+    type: ALERT_TYPES.ORDER_NEEDS_REVIEW,
+    title: 'Order needs manual review',
+    details: { session: sessionId, printfulOrder: record.printfulOrderId, reason },
+    dedupeKey: `order_needs_review:${sessionId}:${reason}`,
+  });
+  return record;
+}
+
+/** Find a ledger record by the Printful external_id we assigned */
+export async function findOrderByExternalId(externalId) {
+  const sessionId = await getStorage().get(`order-ext:${externalId}`);
+  return sessionId ? getOrderRecord(sessionId) : null;
+}
+
+export async function listOrderRecords() {
+  const entries = await getStorage().list('order:');
+  return entries
+    .map(e => e.value)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Run `fn` while holding the session's order lock.
+ * Throws OrderLockedError if another delivery already holds it.
+ */
+export async function withOrderLock(sessionId, fn) {
+  const storage = getStorage();
+  const lockKey = `lock:order:${sessionId}`;
+
+  const acquired = await storage.setIfAbsent(lockKey, { at: new Date().toISOString() }, LOCK_TTL_SEC);
+  if (!acquired) throw new OrderLockedError(sessionId);
+
+  try {
+    return await fn();
+  } finally {
+    await storage.delete(lockKey);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Server-side cart pricing shared by /api/create-checkout, /api/cart-quote and /api/cart-link.
+ * Cart items from the browser are only trusted for variantId and quantity —
+ * prices, names and availability come from the Printful catalog.
+ *
+ * Quotes and cart links price from the catalog snapshot (see getCatalog), so they
+ * cost no Printful requests while it's fresh. Checkout looks up just the cart's
+ * variants live, so the amount charged is Printful's current price, and writes any
+ * it finds changed back into the snapshot so the next quote agrees.
+ */
+
+import { getCatalog, fetchPrintfulVariant, indexVariants, updateCatalogVariants } from './catalog.js';
+import { mapWithConcurrency } from './printful.js';
+
+export const MAX_QUANTITY = 20;
+export const MAX_CART_LINES = 50;
+
+// Live variant lookups in flight at once — Printful allows ~120 requests/minute
+const VARIANT_CONCURRENCY = 5;
+
+/** Returns an error message for a malformed cart, or null if it's usable */
+export function validateCartItems(items) {
+  if (!items || !Array.isArray(items) || items.length === 0) return 'Cart is empty';
+  if (items.length > MAX_CART_LINES) return `A cart holds at most ${MAX_CART_LINES} different items`;
+  for (const item of items) {
+    if (!item.variantId || !item.quantity) return 'Invalid cart item structure';
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_QUANTITY) {
+      return 'Invalid quantity';
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve cart items against the catalog snapshot, or with `live` against
+ * Printful itself (one request per distinct variant).
+ * Returns { lines, unavailable, priceChanges } — lines are only usable when
+ * both lists are empty.
+ */
+export async function priceCartItems(items, { live = false, deadline } = {}) {
+  const index = live
+    ? await fetchVariants(items, { deadline })
+    : indexVariants((await getCatalog({ deadline, includeHidden: true })).products);
+  const lines = [];
+  const unavailable = [];
+  const priceChanges = [];
+
+  for (const item of items) {
+    const match = index.get(Number(item.variantId));
+    if (!match || !match.variant.available) {
+      unavailable.push(item.variantId);
+      continue;
+    }
+
+    const { product, variant } = match;
+    // Compare in cents so float noise from localStorage doesn't count as a change
+    if (item.price != null && Math.round(item.price * 100) !== Math.round(variant.price * 100)) {
+      priceChanges.push({
+        variantId: variant.id,
+        oldPrice: item.price,
+        newPrice: variant.price,
+        currency: variant.currency,
+      });
+    }
+    lines.push({ product, variant, quantity: item.quantity });
+  }
+
+  return { lines, unavailable, priceChanges };
+}
+
+/** Map<variantId, { product, variant }> of the cart's variants, looked up live */
+async function fetchVariants(items, { deadline }) {
+  const ids = [...new Set(items.map(item => Number(item.variantId)))];
+  const found = await mapWithConcurrency(ids, VARIANT_CONCURRENCY, id => fetchPrintfulVariant(id, { deadline }));
+  // Best effort: a snapshot left stale only costs the shopper another price correction
+  await updateCatalogVariants(found.filter(Boolean))
+    .catch(err => console.warn('Could not update catalog snapshot:', err.message));
+  return new Map(ids.flatMap((id, i) => (found[i] ? [[id, found[i]]] : [])));
+}
+
+/** 422/409 response for a cart that can't be priced as-is, or null if it can */
+export function sendCartCorrections(res, priced) {
+  if (priced.unavailable.length) {
+    return res.status(422).json({
+      error: 'Some items in your cart are no longer available',
+      unavailable: priced.unavailable,
+    });
+  }
+  if (priced.priceChanges.length) {
+    return res.status(409).json({
+      error: 'Some prices have changed since you added them to your cart',
+      priceChanges: priced.priceChanges,
+    });
+  }
+  return null;
+}
+
+export function variantLabel(variant) {
+  return [variant.options?.primary, variant.options?.secondary].filter(Boolean).join(' / ');
+}
@@ -0,0 +1,232 @@
+/**
+ * Shared Printful API client.
+ * Every route (and scripts/build-seo.js) talks to Printful through here so auth
+ * headers, retries, rate-limit backoff and timeouts behave the same everywhere.
+ *
+ * - 429 responses are retried after Printful's Retry-After (any method — the request was rejected)
+ * - 5xx responses and network errors are retried with exponential backoff (GET only by default)
+ * - Each attempt is aborted after PER_REQUEST_TIMEOUT_MS, and no retry is scheduled
+ *   past the caller's `deadline`, so handlers stay inside Vercel's 15 s maxDuration
+ *
+ * ENV VARS NEEDED:
+ *   PRINTFUL_API_KEY    — your Printful private token
+ *   PRINTFUL_STORE_ID   — your Printful store ID (sent as X-PF-Store-Id when set)
+ */
+
+const API_ROOT = 'https://api.printful.com';
+const PER_REQUEST_TIMEOUT_MS = 8000;
+const DEFAULT_BUDGET_MS = 12000;   // leaves headroom under the 15 s maxDuration
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 300;
+const PAGE_SIZE = 100;
+
+// ═══════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════
+export class PrintfulError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = 'PrintfulError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/** PRINTFUL_API_KEY missing — a deployment problem, not a Printful one */
+export class PrintfulConfigError extends PrintfulError {
+  constructor(message) {
+    super(message);
+    this.name = 'PrintfulConfigError';
+  }
+}
+
+export class PrintfulNotFoundError extends PrintfulError {
+  constructor(message, opts) {
+    super(message, { ...opts, status: 404 });
+    this.name = 'PrintfulNotFoundError';
+  }
+}
+
+/** Still rate limited after retrying, or the wait would overrun the deadline */
+export class PrintfulRateLimitError extends PrintfulError {
+  constructor(message, { retryAfter = null, ...opts } = {}) {
+    super(message, { ...opts, status: 429 });
+    this.name = 'PrintfulRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class PrintfulTimeoutError extends PrintfulError {
+  constructor(message) {
+    super(message);
+    this.name = 'PrintfulTimeoutError';
+  }
+}
+
+/**
+ * Map a thrown error to an HTTP response. Handlers call this from their catch block:
+ *   return sendPrintfulError(res, err, 'Failed to load products');
+ */
+export function sendPrintfulError(res, err, fallbackMessage = 'Printful request failed') {
+  if (err instanceof PrintfulConfigError) {
+    return res.status(500).json({ error: 'Store is not configured correctly' });
+  }
+  if (err instanceof PrintfulNotFoundError) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (err instanceof PrintfulRateLimitError) {
+    if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+    return res.status(503).json({ error: 'Our print partner is busy. Please try again shortly.' });
+  }
+  if (err instanceof PrintfulTimeoutError) {
+    return res.status(504).json({ error: 'Our print partner took too long to respond. Please try again.' });
+  }
+  if (err instanceof PrintfulError) {
+    return res.status(502).json({ error: fallbackMessage });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// ═══════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════
+
+/**
+ * Perform a Printful API request and return the parsed JSON body ({ code, result, paging }).
+ *
+ * Options:
+ *   method     — HTTP method (default GET)
+ *   body       — object, sent as JSON
+ *   retries    — max retries on 5xx/network errors (default 3 for GET, 0 otherwise)
+ *   deadline   — absolute ms timestamp; no attempt or backoff is started past it
+ */
+export async function printfulRequest(path, { method = 'GET', body, retries, deadline } = {}) {
+  const apiKey = process.env.PRINTFUL_API_KEY;
+  if (!apiKey) throw new PrintfulConfigError('PRINTFUL_API_KEY is not set');
+
+  const headers = { 'Authorization': `Bearer ${apiKey}` };
+  if (process.env.PRINTFUL_STORE_ID) headers['X-PF-Store-Id'] = process.env.PRINTFUL_STORE_ID;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const maxRetries = retries ?? (method === 'GET' ? MAX_RETRIES : 0);
+  const until = deadline ?? Date.now() + DEFAULT_BUDGET_MS;
+  const url = `${API_ROOT}${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const remaining = until - Date.now();
+    if (remaining <= 0) throw new PrintfulTimeoutError(`Printful ${method} ${path} ran out of time`);
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(Math.min(PER_REQUEST_TIMEOUT_MS, remaining)),
+      });
+    } catch (err) {
+      const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+      if (attempt < maxRetries && await backoff(attempt, until)) continue;
+      if (timedOut) throw new PrintfulTimeoutError(`Printful ${method} ${path} timed out`);
+      throw new PrintfulError(`Printful ${method} ${path} failed: ${err.message}`);
+    }
+
+    const data = await parseBody(res);
+    if (res.ok) return data;
+
+    const message = `Printful ${method} ${path} → ${res.status}: ${data?.error?.message || data?.result || res.statusText}`;
+
+    if (res.status === 429) {
+      const retryAfter = parseRetryAfter(res, data);
+      // A 429 means Printful did not process the request, so retrying is safe for any method
+      if (attempt < MAX_RETRIES && Date.now() + retryAfter * 1000 < until) {
+        await sleep(retryAfter * 1000);
+        continue;
+      }
+      throw new PrintfulRateLimitError(message, { retryAfter, body: data });
+    }
+
+    if (res.status >= 500 && attempt < maxRetries && await backoff(attempt, until)) continue;
+
+    if (res.status === 404) throw new PrintfulNotFoundError(message, { body: data });
+    throw new PrintfulError(message, { status: res.status, body: data });
+  }
+}
+
+/** GET a Printful resource and return its `result` */
+export async function printfulGet(path, opts) {
+  const data = await printfulRequest(path, opts);
+  return data.result;
+}
+
+/** POST to Printful and return the `result` */
+export async function printfulPost(path, body, opts) {
+  const data = await printfulRequest(path, { ...opts, method: 'POST', body });
+  return data.result;
+}
+
+/** Fetch every page of a paginated list endpoint (e.g. /store/products) */
+export async function printfulListAll(path, opts) {
+  const sep = path.includes('?') ? '&' : '?';
+  let all = [];
+  let offset = 0;
+
+  while (true) {
+    const data = await printfulRequest(`${path}${sep}limit=${PAGE_SIZE}&offset=${offset}`, opts);
+    const page = data.result || [];
+    all = all.concat(page);
+
+    // Stop if we've fetched everything
+    if (all.length >= (data.paging?.total ?? 0) || page.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return all;
+}
+
+/**
+ * Promise.all with at most `limit` calls in flight — keeps per-product detail
+ * fetches under Printful's rate limit.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+async function parseBody(res) {
+  const text = await res.text();
+  try { return JSON.parse(text); } catch { return { result: text }; }
+}
+
+function parseRetryAfter(res, data) {
+  const header = parseInt(res.headers.get('retry-after'), 10);
+  if (header > 0) return header;
+  // Printful also puts it in the message: "Too Many Requests. Please try again after 60 seconds."
+  const match = /after (\d+) second/i.exec(data?.error?.message || data?.result || '');
+  return match ? parseInt(match[1], 10) : 60;
+}
+
+/** Sleep before the next retry; returns false if the wait would pass the deadline */
+async function backoff(attempt, until) {
+  const delay = BASE_BACKOFF_MS * 2 ** attempt + Math.random() * 100;
+  if (Date.now() + delay >= until) return false;
+  await sleep(delay);
+  return true;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,89 @@
+/**
+ * Hand-maintained product metadata, keyed by Printful sync product ID, in
+ * ./product-metadata.json. Whatever is set there wins over what the catalog
+ * infers from the product name (see applyProductMetadata in ./catalog.js).
+ *
+ * Entry fields, all optional:
+ *   category     — one of CATEGORIES
+ *   countries    — places the design shows, primary first, as names, aliases or codes
+ *                  known to ./geo.js: ["Spain", "Portugal"], ["ES-CT"]
+ *   tags         — extra search terms
+ *   featured     — listed first in the storefront's default sort
+ *   sortWeight   — higher is listed earlier among equally featured products (default 0)
+ *   hidden       — left out of /api/products (unless ?include=hidden) and the product pages; carts can still check out
+ *   description  — replaces the generated description: a string or { en, nl, es, de }
+ *   thumbnail    — https URL replacing Printful's thumbnail
+ *
+ * Bump `version` in the file (and METADATA_VERSION) when the format changes.
+ */
+
+import fs from 'fs';
+import { resolveGeo } from './geo.js';
+
+const METADATA_VERSION = 1;
+
+export const CATEGORIES = ['posters', 'apparel', 'stickers', 'stationary', 'other'];
+
+const FIELDS = ['category', 'countries', 'tags', 'featured', 'sortWeight', 'hidden', 'description', 'thumbnail'];
+
+const metadata = loadMetadata();
+
+function loadMetadata() {
+  const file = JSON.parse(fs.readFileSync(new URL('./product-metadata.json', import.meta.url), 'utf8'));
+  if (file.version !== METADATA_VERSION) {
+    throw new Error(`product-metadata.json is version ${file.version}, expected ${METADATA_VERSION}`);
+  }
+  return file.products || {};
+}
+
+/** The metadata entry for a Printful product ID, or null */
+export function getProductMetadata(id) {
+  return metadata[String(id)] || null;
+}
+
+/**
+ * Check every entry in the metadata file. With `knownIds` (the catalog's product IDs),
+ * entries for products that no longer exist are flagged too.
+ * Returns { [id]: [issue, …] } for entries with problems.
+ */
+export function validateProductMetadata(knownIds = null) {
+  const known = knownIds && new Set(knownIds.map(String));
+  const problems = {};
+
+  for (const [id, entry] of Object.entries(metadata)) {
+    const issues = [];
+    if (!/^\d+$/.test(id)) issues.push('invalid_id');
+    if (known && !known.has(id)) issues.push('unknown_product');
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems[id] = [...issues, 'invalid_entry'];
+      continue;
+    }
+
+    for (const field of Object.keys(entry)) {
+      if (!FIELDS.includes(field)) issues.push(`unknown_field:${field}`);
+    }
+    if ('category' in entry && !CATEGORIES.includes(entry.category)) issues.push('invalid_category');
+    if ('countries' in entry && !isStringList(entry.countries, { nonEmpty: true })) issues.push('invalid_countries');
+    else if ('countries' in entry && !entry.countries.every(resolveGeo)) issues.push('unknown_country');
+    if ('tags' in entry && !isStringList(entry.tags)) issues.push('invalid_tags');
+    if ('featured' in entry && typeof entry.featured !== 'boolean') issues.push('invalid_featured');
+    if ('hidden' in entry && typeof entry.hidden !== 'boolean') issues.push('invalid_hidden');
+    if ('sortWeight' in entry && !Number.isFinite(entry.sortWeight)) issues.push('invalid_sort_weight');
+    if ('description' in entry && !isDescription(entry.description)) issues.push('invalid_description');
+    if ('thumbnail' in entry && !/^https:\/\/\S+$/.test(String(entry.thumbnail))) issues.push('invalid_thumbnail');
+
+    if (issues.length) problems[id] = issues;
+  }
+  return problems;
+}
+
+function isStringList(value, { nonEmpty = false } = {}) {
+  return Array.isArray(value) && (!nonEmpty || value.length > 0)
+    && value.every(v => typeof v === 'string' && v.trim());
+}
+
+function isDescription(value) {
+  if (typeof value === 'string') return Boolean(value.trim());
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).length > 0 && Object.values(value).every(v => typeof v === 'string' && v.trim());
+}
@@ -0,0 +1,230 @@
+/**
+ * Discounts for a priced cart: our own promotion rules, Stripe promotion codes
+ * and the free shipping threshold. Used by /api/cart-quote to show totals in the
+ * cart drawer, and by /api/create-checkout to charge the same amounts.
+ *
+ * Rule discounts are baked into the Stripe line item prices (see discountedLineItems
+ * in api/create-checkout.js); a promotion code is passed to Stripe as-is so its
+ * redemption limits keep working. Stripe applies the code after the rule discounts,
+ * and quoteCart does the same.
+ *
+ * All amounts are in cents internally and in major units in the quote. Lines are
+ * expected in the presentment currency already (see convertLines in ./currency.js).
+ *
+ * ENV VARS (optional):
+ *   FREE_SHIPPING_THRESHOLD — discounted subtotal in EUR that ships free (default 75, 0 disables)
+ */
+
+import { convertPrice, BASE_CURRENCY } from './currency.js';
+
+const DEFAULT_FREE_SHIPPING_THRESHOLD = 75;
+const POSTER_TSHIRT_PERCENT_OFF = 10;
+
+/**
+ * Automatic promotions. Each `apply` gets the cart expanded to one entry per unit
+ * ({ lineIndex, product, variant, cents }) and returns the discounts it grants as
+ * [{ unit, cents }]. Rules don't stack on the same unit — later rules only
+ * see units earlier rules left alone.
+ *
+ * The storefront shows a rule by its id (promo.rule.<id> in public/js/i18n.js,
+ * filled in from `params`); `label` is the English fallback.
+ */
+const PROMOTION_RULES = [
+  {
+    id: 'stickers_3_for_2',
+    label: '3 stickers for the price of 2',
+    apply(units) {
+      // Most expensive first, so the free sticker in each group of three is the cheapest one
+      const stickers = units
+        .filter(u => u.product.category === 'stickers')
+        .sort((a, b) => b.cents - a.cents);
+      return stickers
+        .filter((_, i) => i % 3 === 2)
+        .map(u => ({ unit: u, cents: u.cents }));
+    },
+  },
+  {
+    id: 'poster_tshirt_same_country',
+    label: `${POSTER_TSHIRT_PERCENT_OFF}% off a poster + t-shirt from the same country`,
+    params: { percent: POSTER_TSHIRT_PERCENT_OFF },
+    apply(units) {
+      const byCents = (a, b) => b.cents - a.cents;
+      const posters = units.filter(u => u.product.category === 'posters').sort(byCents);
+      const tshirts = units.filter(u => isTshirt(u.product)).sort(byCents);
+      return pairBySharedCountry(posters, tshirts).flatMap(pair => pair.map(unit => ({
+        unit,
+        cents: Math.round(unit.cents * POSTER_TSHIRT_PERCENT_OFF / 100),
+      })));
+    },
+  },
+];
+
+/** The customer's promotion code is unknown, expired or doesn't apply to this cart */
+export class PromotionCodeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PromotionCodeError';
+    this.code = code;
+  }
+}
+
+/**
+ * Apply the automatic rules to priced cart lines ([{ product, variant, quantity }]).
+ * Returns { lineDiscounts: [cents per line], applied: [{ id, label, params, amount }] }.
+ */
+export function applyPromotionRules(lines) {
+  let units = lines.flatMap((line, lineIndex) =>
+    Array.from({ length: line.quantity }, () => ({
+      lineIndex,
+      product: line.product,
+      variant: line.variant,
+      cents: Math.round(line.variant.price * 100),
+    })));
+
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+
+  for (const rule of PROMOTION_RULES) {
+    const granted = rule.apply(units).filter(d => d.cents > 0);
+    if (!granted.length) continue;
+
+    const total = granted.reduce((sum, d) => sum + d.cents, 0);
+    granted.forEach(d => { lineDiscounts[d.unit.lineIndex] += d.cents; });
+    applied.push({ id: rule.id, label: rule.label, params: rule.params || {}, amount: total / 100 });
+
+    const used = new Set(granted.map(d => d.unit));
+    units = units.filter(u => !used.has(u));
+  }
+
+  return { lineDiscounts, applied };
+}
+
+/**
+ * Look up a customer-entered code in Stripe and check it can be used on these
+ * priced cart lines (minimums are checked against the subtotal after rule discounts).
+ * Returns { id, code, label, percentOff, amountOff } or throws PromotionCodeError.
+ */
+export async function lookupPromotionCode(stripe, code, lines) {
+  const currency = lines[0]?.variant.currency || 'EUR';
+  const subtotalCents = afterRulesSubtotalCents(lines);
+  const normalized = String(code || '').trim();
+  if (!normalized) throw new PromotionCodeError('Enter a promotion code', code);
+
+  const { data } = await stripe.promotionCodes.list({ code: normalized, active: true, limit: 1 });
+  const promo = data[0];
+  if (!promo || !promo.coupon.valid) throw new PromotionCodeError(`"${normalized}" is not a valid code`, code);
+
+  if (promo.expires_at && promo.expires_at * 1000 < Date.now()) {
+    throw new PromotionCodeError(`"${normalized}" has expired`, code);
+  }
+  if (promo.max_redemptions && promo.times_redeemed >= promo.max_redemptions) {
+    throw new PromotionCodeError(`"${normalized}" has been fully redeemed`, code);
+  }
+  // Checkout line items are created ad hoc, so product-restricted coupons can never match
+  if (promo.coupon.applies_to?.products?.length) {
+    throw new PromotionCodeError(`"${normalized}" can't be used in this store`, code);
+  }
+
+  const { minimum_amount: minimum, minimum_amount_currency: minimumCurrency } = promo.restrictions || {};
+  if (minimum && minimumCurrency === currency.toLowerCase() && subtotalCents < minimum) {
+    throw new PromotionCodeError(`"${normalized}" needs a minimum order of ${(minimum / 100).toFixed(2)} ${currency.toUpperCase()}`, code);
+  }
+
+  const { percent_off: percentOff, amount_off: amountOff } = promo.coupon;
+  if (amountOff && promo.coupon.currency !== currency.toLowerCase()) {
+    throw new PromotionCodeError(`"${normalized}" can't be used with ${currency.toUpperCase()} prices`, code);
+  }
+
+  return {
+    id: promo.id,
+    code: promo.code,
+    label: promo.coupon.name || promo.code,
+    percentOff: percentOff || null,
+    amountOff: amountOff || null,
+  };
+}
+
+/**
+ * Totals for a priced cart, as shown in the drawer and charged at checkout.
+ *   promotion       — result of lookupPromotionCode, or null
+ *   shippingOption  — the rate picked in the drawer ({ id, name, rate, currency }), or null
+ *   rates           — exchange rates, to convert the free shipping threshold from EUR
+ */
+export function quoteCart(lines, { promotion = null, shippingOption = null, rates = null } = {}) {
+  const currency = lines[0]?.variant.currency || 'EUR';
+  const { lineDiscounts, applied } = applyPromotionRules(lines);
+
+  const subtotalCents = lines.reduce((sum, l) => sum + lineCents(l), 0);
+  const ruleDiscountCents = lineDiscounts.reduce((a, b) => a + b, 0);
+  const afterRulesCents = subtotalCents - ruleDiscountCents;
+
+  let codeDiscountCents = 0;
+  if (promotion?.percentOff) codeDiscountCents = Math.round(afterRulesCents * promotion.percentOff / 100);
+  else if (promotion?.amountOff) codeDiscountCents = Math.min(promotion.amountOff, afterRulesCents);
+
+  const discountedCents = afterRulesCents - codeDiscountCents;
+  const thresholdCents = freeShippingThresholdCents(currency, rates);
+  const freeShipping = thresholdCents > 0 && discountedCents >= thresholdCents;
+  const shippingCents = shippingOption?.rate != null && !freeShipping ? Math.round(shippingOption.rate * 100) : 0;
+
+  return {
+    currency,
+    subtotal: subtotalCents / 100,
+    discounts: applied,
+    promotionCode: promotion ? { code: promotion.code, label: promotion.label, amount: codeDiscountCents / 100 } : null,
+    discountTotal: (ruleDiscountCents + codeDiscountCents) / 100,
+    freeShipping,
+    freeShippingThreshold: thresholdCents ? thresholdCents / 100 : null,
+    freeShippingRemaining: thresholdCents && !freeShipping ? (thresholdCents - discountedCents) / 100 : 0,
+    shipping: shippingOption?.rate != null ? shippingCents / 100 : null,
+    total: (discountedCents + shippingCents) / 100,
+    lineDiscounts: lineDiscounts.map(c => c / 100),
+  };
+}
+
+function lineCents(line) {
+  return Math.round(line.variant.price * 100) * line.quantity;
+}
+
+function afterRulesSubtotalCents(lines) {
+  const { lineDiscounts } = applyPromotionRules(lines);
+  return lines.reduce((sum, l, i) => sum + lineCents(l) - lineDiscounts[i], 0);
+}
+
+function freeShippingThresholdCents(currency, rates) {
+  const raw = process.env.FREE_SHIPPING_THRESHOLD;
+  const threshold = raw == null || raw === '' ? DEFAULT_FREE_SHIPPING_THRESHOLD : parseFloat(raw);
+  if (!Number.isFinite(threshold) || threshold <= 0) return 0;
+  const converted = rates && currency !== BASE_CURRENCY ? convertPrice(threshold, BASE_CURRENCY, currency, rates) : threshold;
+  return Math.round(converted * 100);
+}
+
+function isTshirt(product) {
+  return product.category === 'apparel' && /t-?shirt|\btee\b/i.test(product.name);
+}
+
+/**
+ * Pair posters with t-shirts from a shared country — any country (ISO code) in
+ * either product's geo, so a region counts for its parent country — using each
+ * unit at most once. Augmenting paths find the most pairs; both lists come
+ * sorted by price, so the dearest units are paired first.
+ * Returns [[poster, tshirt]].
+ */
+function pairBySharedCountry(posters, tshirts) {
+  const countriesOf = unit => new Set((unit.product.geo || []).map(g => g.country).filter(Boolean));
+  const posterCountries = posters.map(countriesOf);
+  const tshirtCountries = tshirts.map(countriesOf);
+  const shareCountry = (p, t) => [...posterCountries[p]].some(c => tshirtCountries[t].has(c));
+
+  const posterFor = new Array(tshirts.length).fill(-1);
+  const match = (p, tried) => tshirts.some((_, t) => {
+    if (tried.has(t) || !shareCountry(p, t)) return false;
+    tried.add(t);
+    if (posterFor[t] !== -1 && !match(posterFor[t], tried)) return false;
+    posterFor[t] = p;
+    return true;
+  });
+  posters.forEach((_, p) => match(p, new Set()));
+
+  return posterFor.flatMap((p, t) => (p === -1 ? [] : [[posters[p], tshirts[t]]]));
+}
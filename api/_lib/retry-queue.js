@@ -0,0 +1,220 @@
+/**
+ * Retry queue for failed Printful order creation.
+ *
+ * When the webhook can't create a paid session's Printful order, the attempt is
+ * saved here with its full payload and error instead of being dropped. Due jobs are
+ * retried with exponential backoff by runDueJobs — from the daily cron
+ * (api/retry-orders.js), after every Stripe webhook delivery, and on demand from
+ * the admin endpoint. Jobs that keep failing, or fail in a way retrying can't fix
+ * (e.g. Printful rejects the address), move to the dead-letter state and raise an
+ * alert. The admin endpoint (api/admin-queue.js) lists jobs, edits their payload
+ * and replays them.
+ *
+ * Jobs live in the storage adapter under `job:<sessionId>`:
+ *   { sessionId, status, attempts, nextAttemptAt, lastError, payload, details,
+ *     history: [{ at, error, manual }], createdAt, updatedAt }
+ *
+ * Status flow:
+ *   queued    → waiting for its next scheduled attempt
+ *   dead      → retries exhausted or not retryable; needs a human (edit + replay)
+ *   succeeded → the Printful order was created
+ *   canceled  → the session was refunded/disputed before the order could be created
+ */
+
+import { getStorage } from './storage.js';
+import { sendAlert, ALERT_TYPES } from './alerts.js';
+import { PrintfulError, PrintfulRateLimitError } from './printful.js';
+import { OrderLockedError } from './orders.js';
+import { fulfillOrder, buildPrintfulOrder } from './fulfillment.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  DEAD: 'dead',
+  SUCCEEDED: 'succeeded',
+  CANCELED: 'canceled',
+};
+
+// Delay before each retry: 5 min, 15 min, 1 h, 3 h, 6 h — then dead-letter
+const RETRY_DELAYS_MIN = [5, 15, 60, 180, 360];
+const MAX_ATTEMPTS = RETRY_DELAYS_MIN.length + 1;  // the webhook's own attempt counts as the first
+const MAX_HISTORY = 20;
+
+export class JobNotFoundError extends Error {
+  constructor(sessionId) {
+    super(`No retry job for session ${sessionId}`);
+    this.name = 'JobNotFoundError';
+    this.sessionId = sessionId;
+  }
+}
+
+export async function getJob(sessionId) {
+  return getStorage().get(`job:${sessionId}`);
+}
+
+export async function listJobs() {
+  const entries = await getStorage().list('job:');
+  return entries
+    .map(e => e.value)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+async function saveJob(sessionId, patch) {
+  const storage = getStorage();
+  const existing = await storage.get(`job:${sessionId}`);
+  const now = new Date().toISOString();
+  const job = {
+    sessionId,
+    status: JOB_STATUS.QUEUED,
+    attempts: 0,
+    history: [],
+    createdAt: now,
+    ...existing,
+    ...patch,
+    updatedAt: now,
+  };
+  await storage.set(`job:${sessionId}`, job);
+  return job;
+}
+
+/**
+ * Queue a session whose first order attempt (in the webhook) just failed.
+ * Throws if the job can't be stored — the caller should then let Stripe redeliver.
+ */
+export async function enqueueFailedOrder(session, err) {
+  // Keep the payload even if it can't be built — an admin can supply one by hand
+  let payload = null;
+  try {
+    payload = buildPrintfulOrder(session);
+  } catch {
+    // `err` already says why; a null payload dead-letters the job below
+  }
+
+  const existing = await getJob(session.id);
+  const job = await saveJob(session.id, {
+    payload: existing?.payload || payload,
+    details: {
+      email: session.customer_details?.email || null,
+      amountTotal: session.amount_total,
+      currency: session.currency,
+    },
+  });
+
+  const failed = await recordFailure(job, err, { manual: false });
+  await sendAlert({
+    type: ALERT_TYPES.ORDER_CREATE_FAILED,
+    title: 'Printful order creation failed for a paid session',
+    details: {
+      session: session.id,
+      customer: session.customer_details?.email,
+      total: `${(session.amount_total / 100).toFixed(2)} ${session.currency?.toUpperCase()}`,
+      error: err.message,
+      retry: failed.status === JOB_STATUS.QUEUED ? `queued, next attempt ${failed.nextAttemptAt}` : 'dead-lettered',
+    },
+    dedupeKey: `order_create_failed:${session.id}`,
+  });
+  return failed;
+}
+
+/** Replace a job's Printful payload (e.g. to fix a missing state_code) */
+export async function updateJobPayload(sessionId, payload) {
+  const job = await getJob(sessionId);
+  if (!job) throw new JobNotFoundError(sessionId);
+  return saveJob(sessionId, { payload });
+}
+
+/**
+ * Attempt a job now. `manual` replays also run dead jobs and don't wait for
+ * nextAttemptAt. Throws OrderLockedError if another invocation holds the order lock.
+ */
+export async function runJob(sessionId, { manual = false } = {}) {
+  const job = await getJob(sessionId);
+  if (!job) throw new JobNotFoundError(sessionId);
+
+  let orderId;
+  try {
+    if (!job.payload) throw new Error('No Printful payload — add one before replaying');
+    orderId = await fulfillOrder(sessionId, () => job.payload, job.details);
+  } catch (err) {
+    if (err instanceof OrderLockedError) throw err;
+    return recordFailure(job, err, { manual });
+  }
+
+  const done = await saveJob(sessionId, {
+    status: orderId ? JOB_STATUS.SUCCEEDED : JOB_STATUS.CANCELED,
+    attempts: job.attempts + 1,
+    nextAttemptAt: null,
+    lastError: null,
+    history: appendHistory(job, { manual, printfulOrderId: orderId }),
+  });
+  console.log(`Retry job ${sessionId}: ${done.status}${orderId ? ` (Printful order ${orderId})` : ''}`);
+  return done;
+}
+
+/**
+ * Run due jobs, oldest first, until `deadline`. Jobs a webhook delivery or admin
+ * replay is working on are left for the next run.
+ * Returns { processed: [{ sessionId, status, attempts, error }], remaining }.
+ */
+export async function runDueJobs({ deadline }) {
+  const due = await listDueJobs();
+  const processed = [];
+  for (const { sessionId } of due) {
+    if (Date.now() >= deadline) break;
+    try {
+      const job = await runJob(sessionId);
+      processed.push({ sessionId, status: job.status, attempts: job.attempts, error: job.lastError || null });
+    } catch (err) {
+      if (err instanceof OrderLockedError) continue;
+      console.error(`Retry job ${sessionId} crashed:`, err);
+      processed.push({ sessionId, status: 'error', error: err.message });
+    }
+  }
+  return { processed, remaining: due.length - processed.length };
+}
+
+/** Queued jobs whose next attempt is due, oldest first */
+export async function listDueJobs(now = Date.now()) {
+  const jobs = await listJobs();
+  return jobs
+    .filter(j => j.status === JOB_STATUS.QUEUED && Date.parse(j.nextAttemptAt) <= now)
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+}
+
+async function recordFailure(job, err, { manual }) {
+  const attempts = job.attempts + 1;
+  const retryable = job.payload && isRetryable(err);
+  // A failed manual replay gets one more scheduled retry rather than going straight back to dead
+  const dead = !retryable || (attempts >= MAX_ATTEMPTS && !manual);
+  const delayMin = RETRY_DELAYS_MIN[Math.min(attempts, RETRY_DELAYS_MIN.length) - 1];
+
+  const failed = await saveJob(job.sessionId, {
+    status: dead ? JOB_STATUS.DEAD : JOB_STATUS.QUEUED,
+    attempts,
+    lastError: err.message,
+    nextAttemptAt: dead ? null : new Date(Date.now() + delayMin * 60_000).toISOString(),
+    history: appendHistory(job, { manual, error: err.message }),
+  });
+  console.error(`Retry job ${job.sessionId} attempt ${attempts} failed (${failed.status}): ${err.message}`);
+
+  // The first failure is alerted by enqueueFailedOrder; later ones only when they give up
+  if (dead && job.attempts > 0) {
+    await sendAlert({
+      type: ALERT_TYPES.ORDER_RETRY_DEAD,
+      title: 'Printful order retries gave up — fix and replay from the admin queue',
+      details: { session: job.sessionId, attempts, error: err.message },
+      dedupeKey: `order_retry_dead:${job.sessionId}:${attempts}`,
+    });
+  }
+  return failed;
+}
+
+/** Printful rejecting the order itself (bad address, unknown variant) won't fix itself */
+function isRetryable(err) {
+  if (err instanceof PrintfulRateLimitError) return true;
+  if (err instanceof PrintfulError) return !(err.status >= 400 && err.status < 500);
+  return true;
+}
+
+function appendHistory(job, entry) {
+  return [...(job.history || []), { at: new Date().toISOString(), ...entry }].slice(-MAX_HISTORY);
+}
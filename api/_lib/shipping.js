@@ -0,0 +1,77 @@
+/**
+ * Printful shipping quotes for a cart — shown in the cart drawer by
+ * /api/shipping-rates and re-quoted by /api/create-checkout, so the shipping
+ * charged is Printful's rate and not whatever the browser sent.
+ *
+ * Rates come back as { id, name, rate, currency, minDays, maxDays }, quoted by
+ * Printful in `currency` (see api/_lib/currency.js).
+ */
+
+import {
+  printfulGet, printfulPost, mapWithConcurrency, PrintfulError, PrintfulNotFoundError,
+} from './printful.js';
+
+// Shipping quotes are read-only, so 5xx responses are safe to retry
+const RATE_RETRIES = 2;
+const RESOLVE_CONCURRENCY = 5;
+
+/** Cart items whose catalog variant couldn't be found, so Printful can't quote them */
+export class UnresolvedVariantsError extends Error {
+  constructor(variantIds) {
+    super(`Could not resolve ${variantIds.length} variant(s). Make sure catalogVariantId is included in cart items.`);
+    this.name = 'UnresolvedVariantsError';
+    this.variantIds = variantIds;
+  }
+}
+
+/**
+ * Shipping rates for `items` ([{ variantId, catalogVariantId?, quantity }]) to `country`.
+ * Throws UnresolvedVariantsError, or PrintfulError when Printful can't quote
+ * (a 4xx means the cart or destination can't be shipped).
+ */
+export async function fetchShippingRates({ country, items, currency, deadline }) {
+  // Printful's /shipping/rates only accepts the catalog variant_id, not sync_variant_id
+  const resolvedItems = await mapWithConcurrency(items, RESOLVE_CONCURRENCY, async (i) => ({
+    variant_id: i.catalogVariantId || await resolveCatalogVariantId(i.variantId, { deadline }),
+    quantity: i.quantity,
+  }));
+
+  const unresolvedIds = items.filter((_, idx) => !resolvedItems[idx].variant_id).map(i => i.variantId);
+  if (unresolvedIds.length) throw new UnresolvedVariantsError(unresolvedIds);
+
+  const result = await printfulPost('/shipping/rates', {
+    recipient: { country_code: country.toUpperCase() },
+    items: resolvedItems,
+    currency,
+    locale: 'en_US',
+  }, { retries: RATE_RETRIES, deadline });
+
+  return (result || []).map(r => ({
+    id: r.id,
+    name: r.name,
+    rate: parseFloat(r.rate),
+    currency: r.currency || currency,
+    minDays: r.minDeliveryDays ?? null,
+    maxDays: r.maxDeliveryDays ?? null,
+  }));
+}
+
+/** Printful's reason the cart or destination can't be shipped (a 4xx), or null for other errors */
+export function unshippableReason(err) {
+  if (!(err instanceof PrintfulError) || err.status < 400 || err.status >= 500 || err.status === 429) return null;
+  return err.body?.error?.message || String(err.body?.result || 'Shipping calculation failed');
+}
+
+/**
+ * Look up the catalog variant_id for a sync variant.
+ * Returns null if the sync variant no longer exists.
+ */
+async function resolveCatalogVariantId(syncVariantId, { deadline } = {}) {
+  try {
+    const result = await printfulGet(`/store/variants/${syncVariantId}`, { deadline });
+    return result?.sync_variant?.variant_id || null;
+  } catch (err) {
+    if (err instanceof PrintfulNotFoundError) return null;
+    throw err;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Key-value storage adapter for server-side state (order ledger, locks, …).
+ *
+ * - Production: Vercel KV / Upstash Redis over its REST API (KV_REST_API_URL is set)
+ * - Local dev:  one JSON file per key under DATA_DIR (default ./.data)
+ *
+ * Both adapters expose the same async interface:
+ *   get(key)                          → value | null
+ *   set(key, value)
+ *   setIfAbsent(key, value, ttlSec)   → true if written, false if the key already exists
+ *   delete(key)
+ *   list(prefix)                      → [{ key, value }]
+ *
+ * setIfAbsent is atomic in both adapters (Redis SET NX / O_EXCL file create),
+ * which is what makes it usable as a lock across concurrent function invocations.
+ *
+ * ENV VARS:
+ *   KV_REST_API_URL     — Upstash/Vercel KV REST endpoint (production)
+ *   KV_REST_API_TOKEN   — its bearer token
+ *   DATA_DIR            — optional: directory for the file adapter
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+let adapter = null;
+
+export function getStorage() {
+  if (adapter) return adapter;
+
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    adapter = createKvStorage(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+  } else {
+    if (process.env.VERCEL) {
+      console.warn('KV_REST_API_URL is not set — falling back to ephemeral file storage in /tmp');
+    }
+    const dir = process.env.DATA_DIR
+      || (process.env.VERCEL ? '/tmp/overlaymaps-data' : path.join(process.cwd(), '.data'));
+    adapter = createFileStorage(dir);
+  }
+  return adapter;
+}
+
+// ═══════════════════════════════════════════
+// KV (Upstash REST)
+// ═══════════════════════════════════════════
+function createKvStorage(url, token) {
+  async function command(...args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(5000),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.error) throw new Error(`KV ${args[0]} failed: ${data.error || res.status}`);
+    return data.result;
+  }
+
+  return {
+    async get(key) {
+      const raw = await command('GET', key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value) {
+      await command('SET', key, JSON.stringify(value));
+    },
+
+    async setIfAbsent(key, value, ttlSec) {
+      const args = ['SET', key, JSON.stringify(value), 'NX'];
+      if (ttlSec) args.push('EX', ttlSec);
+      return (await command(...args)) === 'OK';
+    },
+
+    async delete(key) {
+      await command('DEL', key);
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+        keys.push(...batch);
+        cursor = next;
+      } while (cursor !== '0');
+
+      if (!keys.length) return [];
+      const values = await command('MGET', ...keys);
+      return keys
+        .map((key, i) => ({ key, value: values[i] == null ? null : JSON.parse(values[i]) }))
+        .filter(entry => entry.value !== null);
+    },
+  };
+}
+
+// ═══════════════════════════════════════════
+// FILE (local stand-in)
+// ═══════════════════════════════════════════
+function createFileStorage(dir) {
+  const fileFor = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  // Entries are stored as { value, expiresAt } so setIfAbsent locks can expire
+  async function read(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      if (entry.expiresAt && entry.expiresAt < Date.now()) return null;
+      return entry;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function write(key, value) {
+    await fs.mkdir(dir, { recursive: true });
+    // Write to a temp file and rename so readers never see a half-written record
+    const tmp = `${fileFor(key)}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ value, expiresAt: null }), 'utf8');
+    await fs.rename(tmp, fileFor(key));
+  }
+
+  return {
+    async get(key) {
+      return (await read(key))?.value ?? null;
+    },
+
+    async set(key, value) {
+      await write(key, value);
+    },
+
+    async setIfAbsent(key, value, ttlSec) {
+      await fs.mkdir(dir, { recursive: true });
+      const entry = JSON.stringify({ value, expiresAt: ttlSec ? Date.now() + ttlSec * 1000 : null });
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          // 'wx' fails if the file exists — an atomic create-if-absent
+          await fs.writeFile(fileFor(key), entry, { flag: 'wx' });
+          return true;
+        } catch (err) {
+          if (err.code !== 'EEXIST') throw err;
+          // Clear an expired entry once, then retry the exclusive create
+          if (attempt === 0 && !(await read(key))) {
+            await fs.rm(fileFor(key), { force: true });
+            continue;
+          }
+          return false;
+        }
+      }
+      return false;
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async list(prefix) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      const keys = files
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -5)))
+        .filter(key => key.startsWith(prefix));
+
+      const entries = await Promise.all(keys.map(async key => ({ key, value: (await read(key))?.value ?? null })));
+      return entries.filter(entry => entry.value !== null);
+    },
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * VAT / sales tax for a priced cart — estimated for the cart drawer by
+ * /api/cart-quote and collected by /api/create-checkout.
+ *
+ * Providers (TAX_PROVIDER):
+ *   rules  — default. TAX_RULES below; collected at checkout with manual Stripe tax rates.
+ *   stripe — Stripe Tax: tax.calculations for the estimate, automatic_tax at checkout.
+ *            Needs Stripe Tax enabled with your registrations. If a calculation
+ *            fails (e.g. a US cart without a ZIP code) the drawer says tax is
+ *            calculated at checkout.
+ *
+ * Catalog prices include VAT for EU destinations (tax behavior 'inclusive'); for
+ * everywhere else collected tax is added on top. Destinations without a rule are
+ * told import taxes and duties may be due on delivery.
+ *
+ * Amounts are cents internally and major units in the quote, like ./promotions.js.
+ *
+ * ENV VARS (optional):
+ *   TAX_PROVIDER — 'rules' (default) or 'stripe'
+ */
+
+// Standard VAT rates — update when a country changes its rate
+const EU_VAT_RATES = {
+  AT: 20, BE: 21, BG: 20, HR: 25, CY: 19, CZ: 21, DK: 25, EE: 24, FI: 25.5,
+  FR: 20, DE: 19, GR: 24, HU: 27, IE: 23, IT: 22, LV: 21, LT: 21, LU: 17,
+  MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SK: 23, SI: 22, ES: 21, SE: 25,
+};
+
+/**
+ * Destinations we collect tax for: { kind, rate (%), inclusive }.
+ * Keep in sync with where the store is registered.
+ */
+const TAX_RULES = {
+  ...Object.fromEntries(Object.entries(EU_VAT_RATES)
+    .map(([country, rate]) => [country, { kind: 'vat', rate, inclusive: true }])),
+  GB: { kind: 'vat', rate: 20, inclusive: false },
+  NO: { kind: 'vat', rate: 25, inclusive: false },
+  AU: { kind: 'gst', rate: 10, inclusive: false },
+  NZ: { kind: 'gst', rate: 15, inclusive: false },
+};
+
+const TAX_NAMES = { vat: 'VAT', gst: 'GST', sales_tax: 'Sales tax' };
+
+// Manual Stripe tax rates created by the rules provider, per warm instance
+const taxRateCache = new Map();
+
+export function taxProvider() {
+  return process.env.TAX_PROVIDER === 'stripe' ? 'stripe' : 'rules';
+}
+
+/** ISO 3166 alpha-2 code from the client, upper-cased, or null if it isn't one */
+export function normalizeCountry(country) {
+  const code = String(country || '').toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+export function getTaxRule(country) {
+  return TAX_RULES[country] || null;
+}
+
+/** Whether prices shown for `country` already include tax; unknown destinations assume they do */
+export function taxBehaviorFor(country) {
+  const rule = getTaxRule(country);
+  return !rule || rule.inclusive ? 'inclusive' : 'exclusive';
+}
+
+/**
+ * Estimate tax for priced lines and their quote (see quoteCart) shipped to `country`
+ * (a normalizeCountry code).
+ * Returns null without a country, otherwise
+ *   { country, kind, rate, amount (cents), inclusive, collected, atCheckout, source }.
+ * Never throws.
+ */
+export async function estimateTax(stripe, lines, quote, country) {
+  if (!country) return null;
+
+  if (taxProvider() === 'stripe') {
+    try {
+      return await estimateWithStripe(stripe, lines, quote, country);
+    } catch (err) {
+      console.warn(`Stripe Tax calculation failed for ${country}:`, err.message);
+      return { ...untaxed(country), atCheckout: true, source: 'stripe' };
+    }
+  }
+  return estimateWithRules(lines, quote, country);
+}
+
+function estimateWithRules(lines, quote, country) {
+  const rule = getTaxRule(country);
+  if (!rule) return untaxed(country);
+
+  // Per line, the way Stripe applies a tax rate to each discounted line item
+  const rate = rule.rate / 100;
+  const amount = netLineCents(lines, quote).reduce((sum, net) => sum + (rule.inclusive
+    ? Math.round(net - net / (1 + rate))
+    : Math.round(net * rate)), 0);
+
+  return {
+    country, kind: rule.kind, rate: rule.rate, amount,
+    inclusive: rule.inclusive, collected: true, atCheckout: false, source: 'rules',
+  };
+}
+
+async function estimateWithStripe(stripe, lines, quote, country) {
+  const taxBehavior = taxBehaviorFor(country);
+  const nets = netLineCents(lines, quote);
+  const shippingCents = Math.round((quote.shipping || 0) * 100);
+
+  const calculation = await stripe.tax.calculations.create({
+    currency: quote.currency.toLowerCase(),
+    customer_details: { address: { country }, address_source: 'shipping' },
+    line_items: nets.map((amount, i) => ({
+      amount,
+      reference: String(lines[i].variant.id),
+      tax_behavior: taxBehavior,
+    })),
+    ...(shippingCents > 0 && { shipping_cost: { amount: shippingCents, tax_behavior: taxBehavior } }),
+  });
+
+  const inclusive = taxBehavior === 'inclusive';
+  const amount = inclusive ? calculation.tax_amount_inclusive : calculation.tax_amount_exclusive;
+  const taxable = nets.reduce((a, b) => a + b, 0) + shippingCents - (inclusive ? amount : 0);
+  if (!amount) return untaxed(country, 'stripe');
+
+  return {
+    country,
+    kind: getTaxRule(country)?.kind || 'sales_tax',
+    rate: taxable > 0 ? Math.round((amount / taxable) * 1000) / 10 : null,
+    amount,
+    inclusive,
+    collected: true,
+    atCheckout: false,
+    source: 'stripe',
+  };
+}
+
+function untaxed(country, source = 'rules') {
+  return {
+    country, kind: null, rate: null, amount: 0,
+    inclusive: false, collected: false, atCheckout: false, source,
+  };
+}
+
+/**
+ * What each line is charged after rule discounts and its share of the promotion
+ * code discount. The code discount is split by line value, remainder on the last line.
+ */
+function netLineCents(lines, quote) {
+  const afterRules = lines.map((line, i) =>
+    Math.round(line.variant.price * 100) * line.quantity - Math.round((quote.lineDiscounts[i] || 0) * 100));
+  const codeCents = Math.round((quote.promotionCode?.amount || 0) * 100);
+  const base = afterRules.reduce((a, b) => a + b, 0);
+  if (!codeCents || !base) return afterRules;
+
+  let remaining = codeCents;
+  return afterRules.map((cents, i) => {
+    const share = i === afterRules.length - 1 ? remaining : Math.round(codeCents * cents / base);
+    remaining -= share;
+    return cents - share;
+  });
+}
+
+/** The quote with its tax estimate attached; exclusive tax is added to the total */
+export function applyTax(quote, tax) {
+  if (!tax) return { ...quote, tax: null };
+  const added = tax.inclusive ? 0 : tax.amount;
+  return {
+    ...quote,
+    tax: { ...tax, amount: tax.amount / 100 },
+    total: Math.round(quote.total * 100 + added) / 100,
+  };
+}
+
+/**
+ * Stripe Checkout settings for collecting tax on a cart shipped to `country`:
+ *   { taxBehavior, automaticTax, taxRates } — taxRates go on every line item.
+ * Rules provider: finds or creates the matching manual tax rate in Stripe.
+ */
+export async function checkoutTaxSettings(stripe, country) {
+  const taxBehavior = taxBehaviorFor(country);
+  if (taxProvider() === 'stripe') {
+    return { taxBehavior, automaticTax: { enabled: true }, taxRates: null };
+  }
+
+  const rule = country && getTaxRule(country);
+  if (!rule) return { taxBehavior, automaticTax: null, taxRates: null };
+  return { taxBehavior, automaticTax: null, taxRates: [await findOrCreateTaxRate(stripe, country, rule)] };
+}
+
+async function findOrCreateTaxRate(stripe, country, rule) {
+  const key = `${country}:${rule.rate}:${rule.inclusive}`;
+  if (taxRateCache.has(key)) return taxRateCache.get(key);
+
+  // Page through every active rate — stopping at the first page would create duplicates
+  let taxRate = null;
+  await stripe.taxRates.list({ active: true, limit: 100 }).autoPagingEach(rate => {
+    if (rate.metadata?.tax_rule !== key) return true;
+    taxRate = rate;
+    return false;
+  });
+  if (!taxRate) {
+    taxRate = await stripe.taxRates.create({
+      display_name: TAX_NAMES[rule.kind],
+      percentage: rule.rate,
+      inclusive: rule.inclusive,
+      country,
+      tax_type: rule.kind,
+      metadata: { tax_rule: key },
+    });
+  }
+  taxRateCache.set(key, taxRate.id);
+  return taxRate.id;
+}
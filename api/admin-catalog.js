@@ -0,0 +1,55 @@
+/**
+ * /api/admin-catalog — catalog health and cache control.
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ * GET                         → { checkedAt, productCount, problems: [{ id, name, issues }], cache }
+ *   Fetches the catalog live from Printful, including products the store hides
+ *   (no priced variants). Issues: no_variants, all_variants_discontinued,
+ *   missing_thumbnail, no_metadata, unknown_country, and metadata:<issue> for
+ *   invalid entries in api/_lib/product-metadata.json (see validateProductMetadata).
+ * POST { action: "refresh" }  → { cache }
+ *   Refetches every product in the snapshot served by /api/products. The CDN may keep the
+ *   previous response for up to its s-maxage.
+ *
+ * ENV VARS NEEDED:
+ *   ADMIN_TOKEN, PRINTFUL_API_KEY, PRINTFUL_STORE_ID, KV_REST_API_URL/TOKEN
+ */
+
+import { requireAdmin } from './_lib/auth.js';
+import {
+  fetchPrintfulCatalog, refreshCatalog, getCatalogCacheInfo, describeSnapshot, findCatalogProblems,
+} from './_lib/catalog.js';
+import { sendPrintfulError } from './_lib/printful.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method === 'GET') {
+      const [products, cache] = await Promise.all([
+        fetchPrintfulCatalog({ includeEmpty: true }),
+        getCatalogCacheInfo().catch(() => null),
+      ]);
+      return res.status(200).json({
+        checkedAt: new Date().toISOString(),
+        productCount: products.length,
+        problems: findCatalogProblems(products),
+        cache,
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (req.body?.action !== 'refresh') return res.status(400).json({ error: 'action must be "refresh"' });
+      const cache = describeSnapshot(await refreshCatalog());
+      console.log(`Catalog cache refreshed by admin: ${cache.productCount} products`);
+      return res.status(200).json({ cache });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('Admin catalog error:', err);
+    return sendPrintfulError(res, err, 'Failed to check catalog');
+  }
+}
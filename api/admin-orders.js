@@ -0,0 +1,90 @@
+/**
+ * GET /api/admin-orders?limit=25
+ * Recent Stripe Checkout sessions with their Printful order status, plus every
+ * order that needs attention. Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ * Returns: {
+ *   sessions: [{ id, created, email, total, currency, paymentStatus, status,
+ *                order: { status, printfulOrderId, printfulStatus, error } | null, retry }],
+ *   problems: [{ sessionId, status, printfulOrderId, error, needsReview, retry, updatedAt }]
+ * }
+ *
+ * `problems` comes from the ledger and retry queue, not Stripe, so it includes
+ * failed, held and review-flagged orders older than the session list.
+ *
+ * ENV VARS NEEDED:
+ *   ADMIN_TOKEN, STRIPE_SECRET_KEY, KV_REST_API_URL/TOKEN
+ */
+
+import Stripe from 'stripe';
+import { requireAdmin } from './_lib/auth.js';
+import { listOrderRecords, ORDER_STATUS } from './_lib/orders.js';
+import { listJobs, JOB_STATUS } from './_lib/retry-queue.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireAdmin(req, res)) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  res.setHeader('Cache-Control', 'no-store');
+
+  const limit = Math.min(parseInt(req.query?.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  let sessions, records, jobs;
+  try {
+    [sessions, records, jobs] = await Promise.all([
+      stripe.checkout.sessions.list({ limit }),
+      listOrderRecords(),
+      listJobs(),
+    ]);
+  } catch (err) {
+    console.error('Admin orders error:', err);
+    return res.status(502).json({ error: err.message });
+  }
+
+  const recordsById = new Map(records.map(r => [r.sessionId, r]));
+  const jobsById = new Map(jobs.map(j => [j.sessionId, j]));
+
+  return res.status(200).json({
+    sessions: sessions.data.map(s => {
+      const record = recordsById.get(s.id);
+      return {
+        id: s.id,
+        created: new Date(s.created * 1000).toISOString(),
+        email: s.customer_details?.email || null,
+        total: s.amount_total / 100,
+        currency: (s.currency || 'eur').toUpperCase(),
+        paymentStatus: s.payment_status,
+        status: s.status,
+        order: record ? {
+          status: record.status,
+          printfulOrderId: record.printfulOrderId || null,
+          printfulStatus: record.printfulStatus || null,
+          error: record.error || null,
+        } : null,
+        retry: summarizeJob(jobsById.get(s.id)),
+      };
+    }),
+    problems: records
+      .filter(r => [ORDER_STATUS.FAILED, ORDER_STATUS.ON_HOLD].includes(r.status) || r.needsReview
+        || [JOB_STATUS.QUEUED, JOB_STATUS.DEAD].includes(jobsById.get(r.sessionId)?.status))
+      .map(r => ({
+        sessionId: r.sessionId,
+        status: r.status,
+        printfulOrderId: r.printfulOrderId || null,
+        error: r.error || null,
+        needsReview: r.needsReview || null,
+        retry: summarizeJob(jobsById.get(r.sessionId)),
+        updatedAt: r.updatedAt,
+      })),
+  });
+}
+
+function summarizeJob(job) {
+  if (!job) return null;
+  return { status: job.status, attempts: job.attempts, nextAttemptAt: job.nextAttemptAt || null, lastError: job.lastError || null };
+}
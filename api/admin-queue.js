@@ -0,0 +1,92 @@
+/**
+ * /api/admin-queue — inspect, edit and replay failed Printful orders.
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ * GET  ?status=queued|dead|succeeded|canceled  → { jobs: [...] }
+ * GET  ?session_id=cs_...                      → { job, order }
+ * POST { action: "update", sessionId, payload } → { job }   replace the Printful payload
+ * POST { action: "replay", sessionId }          → { job }   attempt the order now
+ * POST { action: "retry-due" }                  → { processed, remaining }   run due jobs now
+ *                                                  (the retry cron only runs daily)
+ *
+ * Typical fix: a job dead-lettered because Printful wanted a state code —
+ *   POST { action: "update", sessionId, payload: { ...job.payload, recipient: { ...recipient, state_code: "CA" } } }
+ *   POST { action: "replay", sessionId }
+ *
+ * ENV VARS NEEDED:
+ *   ADMIN_TOKEN, PRINTFUL_API_KEY, KV_REST_API_URL/TOKEN
+ */
+
+import { requireAdmin } from './_lib/auth.js';
+import {
+  getJob, listJobs, updateJobPayload, runJob, runDueJobs, JobNotFoundError, JOB_STATUS,
+} from './_lib/retry-queue.js';
+import { getOrderRecord, OrderLockedError } from './_lib/orders.js';
+
+// Stop starting new jobs with this much of the 15 s maxDuration left, like api/retry-orders.js
+const RETRY_DUE_BUDGET_MS = 10000;
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method === 'GET') return await handleGet(req, res);
+    if (req.method === 'POST') return await handlePost(req, res);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err instanceof JobNotFoundError) return res.status(404).json({ error: err.message });
+    if (err instanceof OrderLockedError) return res.status(409).json({ error: err.message });
+    console.error('Admin queue error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function handleGet(req, res) {
+  const sessionId = req.query?.session_id;
+  if (sessionId) {
+    const job = await getJob(sessionId);
+    if (!job) throw new JobNotFoundError(sessionId);
+    return res.status(200).json({ job, order: await getOrderRecord(sessionId) });
+  }
+
+  const status = req.query?.status;
+  if (status && !Object.values(JOB_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}` });
+  }
+  const jobs = await listJobs();
+  return res.status(200).json({ jobs: status ? jobs.filter(j => j.status === status) : jobs });
+}
+
+async function handlePost(req, res) {
+  const { action, sessionId, payload } = req.body || {};
+  if (action === 'retry-due') {
+    return res.status(200).json(await runDueJobs({ deadline: Date.now() + RETRY_DUE_BUDGET_MS }));
+  }
+  if (!sessionId) return res.status(400).json({ error: 'sessionId is required' });
+
+  if (action === 'update') {
+    if (!isValidPayload(payload)) {
+      return res.status(400).json({ error: 'payload must be a Printful order with recipient and items' });
+    }
+    return res.status(200).json({ job: await updateJobPayload(sessionId, payload) });
+  }
+
+  if (action === 'replay') {
+    const job = await getJob(sessionId);
+    if (!job) throw new JobNotFoundError(sessionId);
+    if (job.status === JOB_STATUS.SUCCEEDED) {
+      return res.status(409).json({ error: 'This order was already created' });
+    }
+    return res.status(200).json({ job: await runJob(sessionId, { manual: true }) });
+  }
+
+  return res.status(400).json({ error: 'action must be "update", "replay" or "retry-due"' });
+}
+
+function isValidPayload(payload) {
+  return payload && typeof payload === 'object'
+    && payload.recipient && typeof payload.recipient === 'object'
+    && Array.isArray(payload.items) && payload.items.length > 0;
+}
@@ -0,0 +1,83 @@
+/**
+ * /api/cart-link — shareable, tamper-checked cart links (see api/_lib/cart-links.js)
+ *
+ * POST { items: [{ variantId, quantity }] }
+ *   → { token }  — the storefront links to /?cart=<token> (or any product page with ?cart=)
+ *
+ * GET ?token=...
+ *   → { items: [{ variantId, catalogVariantId, name, variantLabel, price, currency, thumbnail, quantity }],
+ *       unavailable: [variantId] }
+ *   Items are re-priced against the catalog snapshot; variants that are gone come back in
+ *   `unavailable` instead of failing the link.
+ *
+ * Errors: 400 for a malformed cart or an invalid/altered token,
+ * 503 when CART_LINK_SECRET isn't set.
+ *
+ * ENV VARS NEEDED:
+ *   CART_LINK_SECRET, PRINTFUL_API_KEY, PRINTFUL_STORE_ID
+ */
+
+import { sendPrintfulError } from './_lib/printful.js';
+import { validateCartItems, priceCartItems, variantLabel } from './_lib/pricing.js';
+import { encodeCartLink, decodeCartLink, cartLinksConfigured, CartLinkError } from './_lib/cart-links.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!cartLinksConfigured()) {
+    console.error('CART_LINK_SECRET is not set');
+    return res.status(503).json({ error: 'Cart links are not available right now' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return req.method === 'POST' ? createLink(req, res) : openLink(req, res);
+}
+
+function createLink(req, res) {
+  const { items } = req.body || {};
+  const invalid = validateCartItems(items);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (items.some(item => !/^\d+$/.test(String(item.variantId)))) {
+    return res.status(400).json({ error: 'Invalid cart item structure' });
+  }
+
+  try {
+    return res.status(200).json({ token: encodeCartLink(items) });
+  } catch (err) {
+    if (err instanceof CartLinkError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+}
+
+async function openLink(req, res) {
+  let items;
+  try {
+    items = decodeCartLink(req.query?.token);
+  } catch (err) {
+    if (err instanceof CartLinkError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  let priced;
+  try {
+    priced = await priceCartItems(items);
+  } catch (err) {
+    console.error('Catalog lookup error:', err);
+    return sendPrintfulError(res, err, 'Could not load this cart. Please try again.');
+  }
+
+  return res.status(200).json({
+    items: priced.lines.map(({ product, variant, quantity }) => ({
+      variantId: variant.id,
+      catalogVariantId: variant.catalogVariantId || null,
+      name: product.name,
+      variantLabel: variantLabel(variant),
+      price: variant.price,
+      currency: variant.currency,
+      thumbnail: product.thumbnail,
+      quantity,
+    })),
+    unavailable: priced.unavailable,
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * POST /api/cart-quote
+ * Prices the cart server-side with promotions applied, so the drawer shows the
+ * same totals Stripe will charge.
+ *
+ * Body: { items: [{ variantId, quantity, price }], shippingOption, promoCode, currency, country }
+ *
+ * Amounts come back in `currency` (default EUR), converted exactly as checkout will.
+ * With a destination `country` the quote includes a tax estimate (see api/_lib/tax.js).
+ *
+ * Returns: {
+ *   currency, subtotal, discounts: [{ id, label, params, amount }],
+ *   promotionCode: { code, label, amount } | null, promoCodeError,
+ *   discountTotal, freeShipping, freeShippingThreshold, freeShippingRemaining,
+ *   shipping, tax: { country, kind, rate, amount, inclusive, collected, atCheckout } | null,
+ *   total, lineDiscounts
+ * }
+ *
+ * `total` includes exclusive tax (e.g. UK VAT, Australian GST); EU VAT is already in the prices.
+ *
+ * An invalid promotion code doesn't fail the quote — it comes back without the
+ * code and with `promoCodeError` explaining why.
+ *
+ * Errors: the same 422 (unavailable) / 409 (priceChanges) bodies as /api/create-checkout.
+ *
+ * ENV VARS NEEDED:
+ *   STRIPE_SECRET_KEY, PRINTFUL_API_KEY, PRINTFUL_STORE_ID
+ */
+
+import Stripe from 'stripe';
+import { sendPrintfulError } from './_lib/printful.js';
+import { validateCartItems, priceCartItems, sendCartCorrections } from './_lib/pricing.js';
+import { lookupPromotionCode, quoteCart, PromotionCodeError } from './_lib/promotions.js';
+import { estimateTax, applyTax, normalizeCountry } from './_lib/tax.js';
+import {
+  getExchangeRates, parseCurrency, convertLines, convertShippingOption, UnsupportedCurrencyError,
+} from './_lib/currency.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { items, promoCode } = req.body || {};
+
+  const invalid = validateCartItems(items);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  let currency;
+  try {
+    currency = parseCurrency(req.body.currency);
+  } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  const country = normalizeCountry(req.body.country);
+  if (req.body.country && !country) return res.status(400).json({ error: 'Invalid country' });
+
+  let priced;
+  try {
+    priced = await priceCartItems(items);
+  } catch (err) {
+    console.error('Catalog lookup error:', err);
+    return sendPrintfulError(res, err, 'Could not verify cart prices. Please try again.');
+  }
+
+  if (sendCartCorrections(res, priced)) return;
+
+  const { rates } = await getExchangeRates();
+  const lines = convertLines(priced.lines, currency, rates);
+  const shippingOption = convertShippingOption(req.body.shippingOption, currency, rates);
+
+  let promotion = null;
+  let promoCodeError = null;
+  if (promoCode) {
+    try {
+      promotion = await lookupPromotionCode(stripe, promoCode, lines);
+    } catch (err) {
+      if (!(err instanceof PromotionCodeError)) {
+        console.error('Promotion code lookup error:', err);
+        return res.status(502).json({ error: 'Could not check your promotion code. Please try again.' });
+      }
+      promoCodeError = err.message;
+    }
+  }
+
+  const quote = quoteCart(lines, { promotion, shippingOption, rates });
+  const tax = await estimateTax(stripe, lines, quote, country);
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({ ...applyTax(quote, tax), promoCodeError });
+}
@@ -2,15 +2,57 @@
  * POST /api/create-checkout
  * Creates a Stripe Checkout session for a multi-item cart.
  *
- * Body: { items: [{ variantId, quantity, name, price, currency, thumbnail }] }
+ * Body: { items: [{ variantId, quantity, price }], shippingOption, promoCode, currency, locale, country }
+ *
+ * Prices, names and images are looked up server-side, live from Printful for just
+ * the cart's variants — the client's `price` (in EUR) is only used to detect
+ * changes since it was added to the cart.
+ * The session is created in `currency` (default EUR), converted per api/_lib/currency.js.
+ * Promotion rules, the promotion code and free shipping are applied exactly as
+ * /api/cart-quote showed them (see api/_lib/promotions.js).
+ * Checkout opens in the storefront's language (`locale`, e.g. 'nl-NL' or 'es-MX').
+ * Tax is collected per api/_lib/tax.js. When the shipping `country` was picked in
+ * the drawer, checkout only ships there so the tax matches the estimate; the
+ * rules provider needs that country, Stripe Tax works it out from the address.
+ * Only the `id` of the pre-selected `shippingOption` is trusted: shipping is
+ * re-quoted from Printful for the cart and `country` and charged at that rate.
+ *
+ * Errors:
+ *   422 { error, unavailable: [variantId] }               — unknown or discontinued variants
+ *   409 { error, priceChanges: [{ variantId, oldPrice, newPrice, currency }] }
+ *   422 { error, invalidPromoCode }                       — code unknown, expired or not applicable
+ *   409 { error, shippingChanged: true }                  — the picked shipping option is no longer offered
+ *   422 { error }                                         — the cart can't be shipped to `country`
+ *   400 { error }                                         — unsupported currency, invalid country, or
+ *                                                           shipping picked without a country we ship to
+ *   400 { error, countryRequired: true }                  — no `country` we ship to while the rules tax
+ *                                                           provider is active (its rates are per country)
+ *   502 { error }                                         — tax rate could not be set up in Stripe
  *
  * ENV VARS NEEDED:
  *   STRIPE_SECRET_KEY       — sk_live_... or sk_test_...
  *   STORE_URL               — https://yourusername.github.io (no trailing slash)
  *   PRINTFUL_API_KEY        — to validate variant IDs server-side
+ *   PRINTFUL_STORE_ID       — your Printful store ID
+ *
+ * ENV VARS (optional):
+ *   TAX_PROVIDER            — 'rules' (default) or 'stripe' for Stripe Tax
  */
 
 import Stripe from 'stripe';
+import { sendPrintfulError } from './_lib/printful.js';
+import { fetchShippingRates, unshippableReason } from './_lib/shipping.js';
+import {
+  validateCartItems, priceCartItems, sendCartCorrections, variantLabel,
+} from './_lib/pricing.js';
+import {
+  applyPromotionRules, lookupPromotionCode, quoteCart, PromotionCodeError,
+} from './_lib/promotions.js';
+import { checkoutTaxSettings, normalizeCountry, taxProvider } from './_lib/tax.js';
+import {
+  getExchangeRates, parseCurrency, convertLines, convertShippingOption,
+  UnsupportedCurrencyError, BASE_CURRENCY,
+} from './_lib/currency.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -21,50 +63,126 @@ const SHIPPING_COUNTRIES = [
   'JP', 'KR', 'SG', 'MX', 'BR', 'CO', 'AR',
 ];
 
+// Storefront languages (public/js/i18n.js) — anything else lets Stripe pick
+const CHECKOUT_LANGUAGES = ['en', 'nl', 'es', 'de'];
+
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const { items, shippingOption } = req.body;
+  const body = req.body || {};
+  const { items, promoCode } = body;
+
+  const invalid = validateCartItems(items);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  let currency;
+  try {
+    currency = parseCurrency(body.currency);
+  } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  const country = normalizeCountry(body.country);
+  if (body.country && !country) return res.status(400).json({ error: 'Invalid country' });
+  const shipsToCountry = country && SHIPPING_COUNTRIES.includes(country);
+  const shippingId = body.shippingOption?.id;
+  if (shippingId != null && !shipsToCountry) {
+    return res.status(400).json({ error: 'Shipping was picked without a country we ship to' });
+  }
+  // Rule-based tax rates are per country and go on the line items up front,
+  // so without one, buyers in exclusive-tax countries would pay no tax at all
+  if (taxProvider() === 'rules' && !shipsToCountry) {
+    return res.status(400).json({ error: 'Choose your shipping country before checking out', countryRequired: true });
+  }
 
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ error: 'Cart is empty' });
+  let priced;
+  try {
+    priced = await priceCartItems(items, { live: true });
+  } catch (err) {
+    console.error('Catalog lookup error:', err);
+    return sendPrintfulError(res, err, 'Could not verify cart prices. Please try again.');
   }
 
-  // Validate basic structure
-  for (const item of items) {
-    if (!item.variantId || !item.quantity || !item.name || !item.price) {
-      return res.status(400).json({ error: 'Invalid cart item structure' });
+  if (sendCartCorrections(res, priced)) return;
+
+  // Re-quote the customer's shipping choice rather than trust the rate it came with
+  let quotedShipping = null;
+  if (shippingId != null) {
+    let shippingRates;
+    try {
+      shippingRates = await fetchShippingRates({
+        country,
+        currency,
+        items: priced.lines.map(l => ({
+          variantId: l.variant.id,
+          catalogVariantId: l.variant.catalogVariantId,
+          quantity: l.quantity,
+        })),
+      });
+    } catch (err) {
+      const reason = unshippableReason(err);
+      if (reason) return res.status(422).json({ error: reason });
+      console.error('Shipping re-quote error:', err);
+      return sendPrintfulError(res, err, 'Could not verify shipping. Please try again.');
     }
-    if (item.quantity < 1 || item.quantity > 20) {
-      return res.status(400).json({ error: 'Invalid quantity' });
+    quotedShipping = shippingRates.find(r => String(r.id) === String(shippingId));
+    if (!quotedShipping) {
+      return res.status(409).json({
+        error: 'Shipping options have changed. Please choose shipping again.',
+        shippingChanged: true,
+      });
     }
   }
 
+  // From here on every amount is in the presentment currency
+  const { rates } = await getExchangeRates();
+  const lines = convertLines(priced.lines, currency, rates);
+  const shippingOption = convertShippingOption(quotedShipping, currency, rates);
+
+  let promotion = null;
+  if (promoCode) {
+    try {
+      promotion = await lookupPromotionCode(stripe, promoCode, lines);
+    } catch (err) {
+      if (err instanceof PromotionCodeError) {
+        return res.status(422).json({ error: err.message, invalidPromoCode: promoCode });
+      }
+      console.error('Promotion code lookup error:', err);
+      return res.status(502).json({ error: 'Could not check your promotion code. Please try again.' });
+    }
+  }
+
+  let tax;
   try {
-    // Build Stripe line items
-    const lineItems = items.map(item => ({
-      price_data: {
-        currency: (item.currency || 'EUR').toLowerCase(),
-        product_data: {
-          name: item.name,
-          description: item.variantLabel || undefined,
-          images: item.thumbnail ? [item.thumbnail] : [],
-        },
-        unit_amount: Math.round(item.price * 100), // convert to cents
-      },
-      quantity: item.quantity,
-    }));
+    tax = await checkoutTaxSettings(stripe, shipsToCountry ? country : null);
+  } catch (err) {
+    console.error('Tax rate setup error:', err);
+    return res.status(502).json({ error: 'Could not calculate tax. Please try again.' });
+  }
+
+  try {
+    // Build Stripe line items from the server-side catalog — never from client-sent prices
+    const { lineDiscounts, applied } = applyPromotionRules(lines);
+    const lineItems = lines.flatMap((line, i) => discountedLineItems(line, lineDiscounts[i], tax));
+    const quote = quoteCart(lines, { promotion, shippingOption, rates });
 
     // Store cart metadata for the webhook to use when creating Printful order
     const cartMetadata = {
       cart: JSON.stringify(
-        items.map(i => ({
-          variantId: i.variantId,
-          quantity: i.quantity,
+        lines.map(l => ({
+          variantId: l.variant.id,
+          quantity: l.quantity,
         }))
       ),
       ...(shippingOption?.id && { shipping_id: shippingOption.id }),
+      ...(applied.length && { promotions: applied.map(a => a.id).join(',') }),
+      ...(promotion && { promo_code: promotion.code }),
+      ...(currency !== BASE_CURRENCY && { fx_rate: `1 ${BASE_CURRENCY} = ${rates[currency]} ${currency}` }),
+      ...(shipsToCountry && { tax_country: country }),
+      tax_provider: taxProvider(),
+      tax_behavior: tax.taxBehavior,
     };
 
     // Build Stripe shipping option if the customer pre-selected one
@@ -72,10 +190,11 @@ export default async function handler(req, res) {
       shipping_rate_data: {
         type: 'fixed_amount',
         fixed_amount: {
-          amount: Math.round(shippingOption.rate * 100),
-          currency: (shippingOption.currency || 'EUR').toLowerCase(),
+          amount: quote.freeShipping ? 0 : Math.round(shippingOption.rate * 100),
+          currency: currency.toLowerCase(),
         },
-        display_name: shippingOption.name,
+        display_name: quote.freeShipping ? `${shippingOption.name} (free)` : shippingOption.name,
+        ...(tax.automaticTax && { tax_behavior: tax.taxBehavior }),
         ...(shippingOption.minDays && {
           delivery_estimate: {
             minimum: { unit: 'business_day', value: shippingOption.minDays },
@@ -91,14 +210,22 @@ export default async function handler(req, res) {
       line_items: lineItems,
       mode: 'payment',
 
-      // Collect shipping address
+      // Collect shipping address — only the estimated country, so tax can't change
       shipping_address_collection: {
-        allowed_countries: SHIPPING_COUNTRIES,
+        allowed_countries: shipsToCountry ? [country] : SHIPPING_COUNTRIES,
       },
 
+      // Stripe Tax works out tax from the shipping address
+      ...(tax.automaticTax && { automatic_tax: tax.automaticTax }),
+
       // Pre-calculated shipping option (if customer estimated it in cart)
       ...(shipping_options && { shipping_options }),
 
+      // Stripe tracks redemptions of the customer's promotion code
+      ...(promotion && { discounts: [{ promotion_code: promotion.id }] }),
+
+      locale: checkoutLocale(body.locale),
+
       // Collect phone for Printful (sometimes required for customs)
       phone_number_collection: { enabled: true },
 
@@ -115,4 +242,45 @@ export default async function handler(req, res) {
     console.error('Stripe checkout error:', err);
     return res.status(500).json({ error: 'Failed to create checkout session' });
   }
-}
\ No newline at end of file
+}
+
+/** Stripe Checkout locale for a browser locale; Spanish outside Spain gets Latin American Spanish */
+function checkoutLocale(locale) {
+  const [language, region] = String(locale || '').toLowerCase().split('-');
+  if (!CHECKOUT_LANGUAGES.includes(language)) return 'auto';
+  if (language === 'es' && region && region !== 'es') return 'es-419';
+  return language;
+}
+
+/**
+ * Stripe line item(s) for a cart line with `discountCents` of rule discounts baked
+ * into the unit price. When the discount doesn't divide evenly by the quantity the
+ * line is split in two, so the total is exact to the cent.
+ * `tax` (see checkoutTaxSettings) adds the tax behavior or manual tax rate.
+ */
+function discountedLineItems({ product, variant, quantity }, discountCents, tax) {
+  const image = variant.previewUrl || product.thumbnail;
+  const totalCents = Math.round(variant.price * 100) * quantity - discountCents;
+  const unitCents = Math.floor(totalCents / quantity);
+  const remainder = totalCents - unitCents * quantity;
+
+  const item = (unit_amount, qty) => ({
+    price_data: {
+      currency: (variant.currency || 'EUR').toLowerCase(),
+      product_data: {
+        name: product.name,
+        description: [variantLabel(variant), discountCents && 'promotion applied'].filter(Boolean).join(' · ') || undefined,
+        images: image ? [image] : [],
+      },
+      unit_amount,
+      ...(tax.automaticTax && { tax_behavior: tax.taxBehavior }),
+    },
+    quantity: qty,
+    ...(tax.taxRates && { tax_rates: tax.taxRates }),
+  });
+
+  return [
+    item(unitCents, quantity - remainder),
+    ...(remainder ? [item(unitCents + 1, remainder)] : []),
+  ].filter(li => li.quantity > 0);
+}
@@ -0,0 +1,19 @@
+/**
+ * GET /api/currencies
+ * Supported presentment currencies and the exchange rates the store converts with.
+ * The browser converts display prices with these same rates and rounding rule
+ * (see api/_lib/currency.js), so they match what /api/create-checkout charges.
+ *
+ * Returns: { base: 'EUR', currencies: ['EUR', 'USD', ...], rates: { USD: 1.08, ... }, updatedAt }
+ */
+
+import { getExchangeRates, SUPPORTED_CURRENCIES } from './_lib/currency.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { base, rates, updatedAt } = await getExchangeRates();
+  res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+  return res.status(200).json({ base, currencies: SUPPORTED_CURRENCIES, rates, updatedAt });
+}
@@ -0,0 +1,128 @@
+/**
+ * GET /api/order-status?session_id=cs_...
+ * Returns the customer-facing status of an order for success.html / order.html.
+ *
+ * Returns: {
+ *   sessionId, paymentStatus, stage, attention,
+ *   items: [{ name, description, quantity, amount }], subtotal, shipping, total, currency,
+ *   shippingAddress: { name, city, postalCode, country },
+ *   order: { status, printfulStatus } | null,
+ *   tracking: [{ carrier, service, number, url, shippedAt, deliveredAt }]
+ * }
+ *
+ * `stage` drives the timeline: payment_pending → received → production → shipped → delivered
+ * (or canceled). `attention` is true while the order is failed or on hold.
+ *
+ * The Checkout session ID is unguessable and only ever shown to the buyer, so it acts
+ * as the access token. Only a summary of the address is returned.
+ *
+ * ENV VARS NEEDED:
+ *   STRIPE_SECRET_KEY, PRINTFUL_API_KEY
+ */
+
+import Stripe from 'stripe';
+import { getOrderRecord, ORDER_STATUS } from './_lib/orders.js';
+import { printfulGet } from './_lib/printful.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const SESSION_ID_RE = /^cs_(test|live)_[A-Za-z0-9]+$/;
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const sessionId = String(req.query?.session_id || '');
+  if (!SESSION_ID_RE.test(sessionId)) {
+    return res.status(400).json({ error: 'A valid session_id is required' });
+  }
+
+  let session, record;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId, { expand: ['line_items'] });
+    record = await getOrderRecord(sessionId);
+  } catch (err) {
+    if (err.code === 'resource_missing') return res.status(404).json({ error: 'Order not found' });
+    console.error('Order status lookup error:', err);
+    return res.status(502).json({ error: 'Could not load your order. Please try again.' });
+  }
+
+  const printfulOrder = await fetchLivePrintfulOrder(record);
+  const tracking = mergeLiveTracking(record?.tracking || [], printfulOrder?.shipments || []);
+
+  const address = session.shipping_details?.address;
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({
+    sessionId,
+    paymentStatus: session.payment_status,
+    stage: deriveStage(session, record, printfulOrder, tracking),
+    attention: [ORDER_STATUS.FAILED, ORDER_STATUS.ON_HOLD].includes(record?.status),
+    items: (session.line_items?.data || []).map(li => ({
+      name: li.description,
+      description: li.price?.product?.description || null,
+      quantity: li.quantity,
+      amount: li.amount_total / 100,
+    })),
+    subtotal: session.amount_subtotal / 100,
+    shipping: (session.total_details?.amount_shipping || 0) / 100,
+    total: session.amount_total / 100,
+    currency: (session.currency || 'eur').toUpperCase(),
+    shippingAddress: address ? {
+      name: session.shipping_details.name || null,
+      city: address.city || null,
+      postalCode: address.postal_code || null,
+      country: address.country || null,
+    } : null,
+    order: record ? {
+      status: record.status,
+      printfulStatus: printfulOrder?.status || record.printfulStatus || null,
+    } : null,
+    tracking,
+  });
+}
+
+/**
+ * Best-effort live read of the Printful order — the ledger is updated by webhooks,
+ * but this catches anything missed. Falls back to the ledger on any error.
+ */
+async function fetchLivePrintfulOrder(record) {
+  if (!record?.printfulOrderId) return null;
+  try {
+    return await printfulGet(`/orders/${record.printfulOrderId}`, { deadline: Date.now() + 5000 });
+  } catch (err) {
+    console.warn(`Order status: could not refresh Printful order ${record.printfulOrderId}: ${err.message}`);
+    return null;
+  }
+}
+
+function mergeLiveTracking(recorded, shipments) {
+  const byId = new Map(recorded.map(t => [t.shipmentId, { ...t }]));
+  for (const s of shipments) {
+    byId.set(s.id, {
+      ...byId.get(s.id),
+      shipmentId: s.id,
+      carrier: s.carrier || null,
+      service: s.service || null,
+      number: s.tracking_number ? String(s.tracking_number) : null,
+      url: s.tracking_url || null,
+      shippedAt: s.shipped_at ? new Date(s.shipped_at * 1000).toISOString() : null,
+      // Only reported by Printful for carriers with delivery scans
+      deliveredAt: s.delivered_at ? new Date(s.delivered_at * 1000).toISOString() : null,
+    });
+  }
+  return [...byId.values()].map(({ shipmentId, ...t }) => ({ deliveredAt: null, ...t }));
+}
+
+function deriveStage(session, record, printfulOrder, tracking) {
+  if (session.payment_status !== 'paid' && session.payment_status !== 'no_payment_required') {
+    return 'payment_pending';
+  }
+  if (record?.status === ORDER_STATUS.CANCELED || printfulOrder?.status === 'canceled') return 'canceled';
+  if (tracking.length && tracking.every(t => t.deliveredAt)) return 'delivered';
+  if (tracking.length || record?.status === ORDER_STATUS.SHIPPED
+      || ['partial', 'fulfilled'].includes(printfulOrder?.status)) return 'shipped';
+  if (record?.status === ORDER_STATUS.CONFIRMED
+      || ['pending', 'inprocess'].includes(printfulOrder?.status)) return 'production';
+  return 'received';
+}
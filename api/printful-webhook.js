@@ -0,0 +1,137 @@
+/**
+ * POST /api/printful-webhook?token=PRINTFUL_WEBHOOK_SECRET
+ * Receives Printful fulfillment events and updates the order ledger.
+ *
+ * Handled events:
+ *   package_shipped   → status "shipped", tracking number/URL recorded
+ *   package_returned  → status "returned"
+ *   order_failed      → status "failed" with Printful's reason
+ *   order_canceled    → status "canceled"
+ *   order_put_hold    → status "on_hold" with Printful's reason
+ *
+ * Printful webhooks are not signed, so the endpoint is registered with a secret
+ * `token` query parameter and events must come from our own store.
+ * Register it once via the Printful API:
+ *   POST https://api.printful.com/webhooks
+ *   { "url": "https://overlay-maps.vercel.app/api/printful-webhook?token=...",
+ *     "types": ["package_shipped", "package_returned", "order_failed", "order_canceled", "order_put_hold"] }
+ *
+ * Failed, held and canceled orders also raise an alert (see api/_lib/alerts.js).
+ *
+ * ENV VARS NEEDED:
+ *   PRINTFUL_WEBHOOK_SECRET — the token used in the registered webhook URL
+ *   PRINTFUL_STORE_ID       — events for other stores are rejected
+ */
+
+import { readRawBody } from './_lib/http.js';
+import { secretsMatch } from './_lib/auth.js';
+import { sendAlert, ALERT_TYPES } from './_lib/alerts.js';
+import { findOrderByExternalId, appendOrderEvent, ORDER_STATUS } from './_lib/orders.js';
+
+// Raw body so a malformed payload is a 400, not a parser crash
+export const config = {
+  api: { bodyParser: false },
+};
+
+// Printful event type → ledger status
+const STATUS_FOR_EVENT = {
+  package_shipped: ORDER_STATUS.SHIPPED,
+  package_returned: ORDER_STATUS.RETURNED,
+  order_failed: ORDER_STATUS.FAILED,
+  order_canceled: ORDER_STATUS.CANCELED,
+  order_put_hold: ORDER_STATUS.ON_HOLD,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  if (!isAuthorized(req)) {
+    console.error('Printful webhook rejected: bad or missing token');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  let event;
+  try {
+    event = JSON.parse((await readRawBody(req)).toString('utf8'));
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  const storeId = process.env.PRINTFUL_STORE_ID;
+  if (storeId && event.store != null && String(event.store) !== String(storeId)) {
+    console.error(`Printful webhook for unexpected store ${event.store}`);
+    return res.status(403).json({ error: 'Unknown store' });
+  }
+
+  const status = STATUS_FOR_EVENT[event.type];
+  if (!status) {
+    // Acknowledge anything else so Printful doesn't keep retrying it
+    return res.status(200).json({ received: true, ignored: event.type });
+  }
+
+  const pfOrder = event.data?.order;
+  const record = pfOrder?.external_id ? await findOrderByExternalId(pfOrder.external_id) : null;
+  if (!record) {
+    console.warn(`Printful ${event.type} for unknown order ${pfOrder?.id} (external_id: ${pfOrder?.external_id})`);
+    return res.status(200).json({ received: true, ignored: 'unknown order' });
+  }
+
+  // Printful retries deliveries — skip events we've already applied
+  const eventKey = `${event.type}:${event.created}:${event.data?.shipment?.id ?? ''}`;
+  if ((record.events || []).some(e => e.key === eventKey)) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  const reason = event.data?.reason || null;
+  const patch = {
+    status,
+    printfulOrderId: record.printfulOrderId || pfOrder.id,
+    printfulStatus: pfOrder.status || null,
+  };
+
+  if (event.type === 'package_shipped') {
+    patch.tracking = mergeTracking(record.tracking, event.data.shipment);
+  }
+  if (event.type === 'order_failed' || event.type === 'order_put_hold') {
+    patch.error = reason;
+  }
+
+  await appendOrderEvent(record.sessionId, { key: eventKey, type: event.type, reason }, patch);
+  console.log(`Printful ${event.type}: order ${pfOrder.id} → ${status} (session ${record.sessionId})`);
+
+  // A cancel we requested ourselves (refund) is already canceled in the ledger — no alert
+  const unexpectedCancel = event.type === 'order_canceled' && record.status !== ORDER_STATUS.CANCELED;
+  if (event.type === 'order_failed' || event.type === 'order_put_hold' || unexpectedCancel) {
+    await sendAlert({
+      type: ALERT_TYPES.PRINTFUL_ORDER_PROBLEM,
+      title: `Printful ${event.type.replace(/_/g, ' ')}: order ${pfOrder.id}`,
+      details: { session: record.sessionId, printfulOrder: pfOrder.id, reason },
+      dedupeKey: `printful:${eventKey}:${pfOrder.id}`,
+    });
+  }
+
+  return res.status(200).json({ received: true });
+}
+
+function isAuthorized(req) {
+  const secret = process.env.PRINTFUL_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('PRINTFUL_WEBHOOK_SECRET is not set');
+    return false;
+  }
+  return secretsMatch(req.query?.token, secret);
+}
+
+/** Add or update a shipment's tracking entry (orders can ship in several packages) */
+function mergeTracking(existing = [], shipment) {
+  if (!shipment) return existing;
+  const entry = {
+    shipmentId: shipment.id,
+    carrier: shipment.carrier || null,
+    service: shipment.service || null,
+    number: shipment.tracking_number ? String(shipment.tracking_number) : null,
+    url: shipment.tracking_url || null,
+    shippedAt: shipment.shipped_at ? new Date(shipment.shipped_at * 1000).toISOString() : null,
+  };
+  return [...existing.filter(t => t.shipmentId !== shipment.id), entry];
+}
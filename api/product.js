@@ -0,0 +1,41 @@
+/**
+ * GET /api/product?id=PRODUCT_ID  (or ?slug=product-page-slug)
+ * Returns { product } — one product in the same shape as /api/products, so the
+ * product modal and the static product pages can refresh prices and variants
+ * without loading the whole catalog. Served from the catalog snapshot, like cart
+ * quotes, so the prices shown are the ones the cart will charge; only products
+ * newer than the snapshot are fetched live from Printful.
+ *
+ * Errors:
+ *   400 { error }  — neither a numeric id nor a slug
+ *   404 { error }  — unknown, hidden or unpriced product
+ *
+ * ENV VARS NEEDED:
+ *   PRINTFUL_API_KEY    — your Printful private token
+ *   PRINTFUL_STORE_ID   — your Printful store ID
+ */
+
+import { findCatalogProduct } from './_lib/catalog.js';
+import { sendPrintfulError } from './_lib/printful.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { id, slug } = req.query || {};
+  if (id != null && !/^\d+$/.test(String(id))) return res.status(400).json({ error: 'id must be a Printful product ID' });
+  if (id == null && !slug) return res.status(400).json({ error: 'Pass ?id=PRODUCT_ID or ?slug=SLUG' });
+
+  let product = null;
+  try {
+    product = await findCatalogProduct(id != null ? { id: Number(id) } : { slug: String(slug) });
+  } catch (err) {
+    console.error('Printful product error:', err);
+    return sendPrintfulError(res, err, 'Failed to load product');
+  }
+
+  // Short CDN lifetime either way: prices change, and a new product shouldn't 404 for long
+  res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
+  if (!product) return res.status(404).json({ error: 'Product not found' });
+  return res.status(200).json({ product });
+}
@@ -0,0 +1,35 @@
+/**
+ * GET /api/retry-orders
+ * Cron job: retries queued Printful orders whose next attempt is due.
+ * Scheduled daily in vercel.json — Vercel's Hobby plan rejects more frequent crons.
+ * In between, due jobs are also retried after each Stripe webhook delivery
+ * (api/webhook.js) and by POST { action: "retry-due" } to api/admin-queue.js; on a
+ * Pro plan the schedule can be tightened (e.g. every 10 minutes).
+ * See api/_lib/retry-queue.js for backoff and dead-lettering.
+ *
+ * Returns: { processed: [{ sessionId, status, attempts, error }], remaining }
+ *
+ * ENV VARS NEEDED:
+ *   CRON_SECRET  — Vercel sends it as a bearer token (ADMIN_TOKEN also works for a manual run)
+ *   PRINTFUL_API_KEY, KV_REST_API_URL/TOKEN
+ */
+
+import { requireCron } from './_lib/auth.js';
+import { runDueJobs } from './_lib/retry-queue.js';
+
+// Stop starting new jobs with this much of the 15 s maxDuration left
+const TIME_BUDGET_MS = 10000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  if (!requireCron(req, res)) return;
+
+  let result;
+  try {
+    result = await runDueJobs({ deadline: Date.now() + TIME_BUDGET_MS });
+  } catch (err) {
+    console.error('Retry queue unavailable:', err);
+    return res.status(500).json({ error: 'Retry queue unavailable' });
+  }
+  return res.status(200).json(result);
+}
@@ -2,18 +2,32 @@
  * POST /api/shipping-rates
  * Estimates Printful shipping costs for a cart to a given destination country.
  *
- * Body: { country_code: "NL", items: [{ variantId: 123, quantity: 1 }] }
+ * Body: { country_code: "NL", items: [{ variantId: 123, quantity: 1 }], currency: "USD" }
  * Returns: { rates: [{ id, name, rate, currency, minDays, maxDays }] }
+ * Rates are quoted by Printful in `currency` (default EUR, see api/_lib/currency.js).
  *
  * ENV VARS: PRINTFUL_API_KEY, PRINTFUL_STORE_ID
  */
 
+import { sendPrintfulError } from './_lib/printful.js';
+import { sendAlert, ALERT_TYPES } from './_lib/alerts.js';
+import { parseCurrency, UnsupportedCurrencyError } from './_lib/currency.js';
+import { fetchShippingRates, unshippableReason, UnresolvedVariantsError } from './_lib/shipping.js';
+
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
   const { country_code, items } = req.body;
 
+  let currency;
+  try {
+    currency = parseCurrency(req.body.currency);
+  } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
   if (!country_code || typeof country_code !== 'string') {
     return res.status(400).json({ error: 'country_code is required' });
   }
@@ -21,65 +35,26 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'items array is required' });
   }
 
-  const pfHeaders = {
-    'Authorization': `Bearer ${process.env.PRINTFUL_API_KEY}`,
-    'X-PF-Store-Id': process.env.PRINTFUL_STORE_ID,
-    'Content-Type': 'application/json',
-  };
-
   try {
-    // Resolve catalog variant_id for any items that only have a sync variant ID.
-    // Printful's /shipping/rates only accepts the catalog variant_id, not sync_variant_id.
-    const resolvedItems = await Promise.all(items.map(async (i) => {
-      let catalogVariantId = i.catalogVariantId;
-      if (!catalogVariantId) {
-        const svRes = await fetch(
-          `https://api.printful.com/store/variants/${i.variantId}`,
-          { headers: pfHeaders }
-        );
-        const svData = await svRes.json();
-        catalogVariantId = svData.result?.sync_variant?.variant_id || null;
-      }
-      return { variant_id: catalogVariantId, quantity: i.quantity };
-    }));
-
-    const unresolved = resolvedItems.filter(i => !i.variant_id);
-    if (unresolved.length) {
-      console.error('Unresolved variants:', JSON.stringify(items));
-      return res.status(422).json({ error: `Could not resolve ${unresolved.length} variant(s). Make sure catalogVariantId is included in cart items.` });
-    }
-
-    const pfRes = await fetch('https://api.printful.com/shipping/rates', {
-      method: 'POST',
-      headers: pfHeaders,
-      body: JSON.stringify({
-        recipient: { country_code: country_code.toUpperCase() },
-        items: resolvedItems,
-        currency: 'EUR',
-        locale: 'en_US',
-      }),
-    });
-
-    const data = await pfRes.json();
-
-    if (!pfRes.ok) {
-      const msg = data.error?.message || String(data.result || 'Shipping calculation failed');
-      return res.status(422).json({ error: msg });
-    }
-
-    const rates = (data.result || []).map(r => ({
-      id: r.id,
-      name: r.name,
-      rate: parseFloat(r.rate),
-      currency: r.currency || 'EUR',
-      minDays: r.minDeliveryDays ?? null,
-      maxDays: r.maxDeliveryDays ?? null,
-    }));
-
+    const rates = await fetchShippingRates({ country: country_code, items, currency });
     res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
     return res.status(200).json({ rates });
   } catch (err) {
+    if (err instanceof UnresolvedVariantsError) {
+      console.error('Unresolved variants:', JSON.stringify(items));
+      await sendAlert({
+        type: ALERT_TYPES.UNRESOLVED_VARIANTS,
+        title: `Shipping estimate failed: ${err.variantIds.length} unresolved variant(s)`,
+        details: { variants: err.variantIds.join(', '), country: country_code },
+        dedupeKey: `unresolved_variants:${[...err.variantIds].sort().join(',')}`,
+      });
+      return res.status(422).json({ error: err.message });
+    }
     console.error('Shipping rates error:', err);
-    return res.status(500).json({ error: 'Failed to calculate shipping rates' });
+    // 4xx from Printful = the cart/destination can't be shipped; pass its message through
+    const reason = unshippableReason(err);
+    if (reason) return res.status(422).json({ error: reason });
+    return sendPrintfulError(res, err, 'Failed to calculate shipping rates');
   }
-}
\ No newline at end of file
+}
+
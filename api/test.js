@@ -1,22 +1,31 @@
 /**
- * TEMPORARY DEBUG ENDPOINT — DELETE AFTER TESTING
- * Visit: https://overlay-maps.vercel.app/api/test
+ * GET /api/test — checks the Printful credentials by listing the first few
+ * store products, raw.
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ * ENV VARS NEEDED:
+ *   ADMIN_TOKEN, PRINTFUL_API_KEY, PRINTFUL_STORE_ID
  */
+import { requireAdmin } from './_lib/auth.js';
+import { printfulRequest } from './_lib/printful.js';
+
 export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!requireAdmin(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store');
+
   const key = process.env.PRINTFUL_API_KEY;
   const storeId = process.env.PRINTFUL_STORE_ID;
 
   if (!key) return res.json({ error: 'PRINTFUL_API_KEY is not set' });
   if (!storeId) return res.json({ error: 'PRINTFUL_STORE_ID is not set — add it in Vercel env vars' });
 
-  const headers = {
-    'Authorization': `Bearer ${key}`,
-    'X-PF-Store-Id': storeId,
-    'Content-Type': 'application/json',
-  };
-
-  const prodRes = await fetch('https://api.printful.com/store/products?limit=5', { headers });
-  const prodData = await prodRes.json();
+  let prodData;
+  try {
+    prodData = await printfulRequest('/store/products?limit=5');
+  } catch (err) {
+    return res.json({ error: err.message, status: err.status ?? null, raw: err.body ?? null });
+  }
 
 
   return res.json({
@@ -1,6 +1,16 @@
 /**
  * POST /api/webhook
  * Receives Stripe webhook events and creates Printful orders on successful payment.
+ * Also reverses fulfilment when money goes back to the customer:
+ *   charge.refunded          — full refund cancels the Printful order if it isn't in production yet
+ *   charge.dispute.created   — holds the order (left unconfirmed) or flags it for review
+ *   checkout.session.expired — marks any ledger record for the abandoned session canceled
+ * Anything that can't be reversed automatically is flagged on the ledger record.
+ *
+ * If order creation fails, the attempt is saved to the retry queue (api/_lib/retry-queue.js)
+ * and retried by the daily api/retry-orders.js cron. If it can't even be queued, the
+ * handler returns 500 so Stripe redelivers the event. Every delivery also spends a
+ * few seconds on queued orders that are due, so retries don't wait for the cron.
  *
  * IMPORTANT: This endpoint needs the RAW request body to verify Stripe signatures.
  * The export config below disables Vercel's body parser for this route.
@@ -9,10 +19,26 @@
  *   STRIPE_SECRET_KEY       — sk_live_...
  *   STRIPE_WEBHOOK_SECRET   — whsec_... (from Stripe Dashboard > Webhooks)
  *   PRINTFUL_API_KEY        — your Printful token
- *   ALERT_EMAIL_URL         — optional: a webhook URL to notify you of failures
+ *   KV_REST_API_URL/TOKEN   — order ledger storage (see api/_lib/storage.js)
+ *   ALERT_WEBHOOK_URL, SMTP_URL, ALERT_EMAIL_TO — optional failure alerts (see api/_lib/alerts.js)
  */
 
 import Stripe from 'stripe';
+import { readRawBody } from './_lib/http.js';
+import { sendAlert, ALERT_TYPES } from './_lib/alerts.js';
+import { printfulGet, printfulRequest } from './_lib/printful.js';
+import { createPrintfulOrder } from './_lib/fulfillment.js';
+import { enqueueFailedOrder, runDueJobs } from './_lib/retry-queue.js';
+import {
+  getOrderRecord, saveOrderRecord, appendOrderEvent, flagOrderForReview,
+  withOrderLock, ORDER_STATUS, OrderLockedError,
+} from './_lib/orders.js';
+
+// Printful order states that haven't reached production — these can still be canceled
+const CANCELABLE_PRINTFUL_STATUSES = ['draft', 'pending', 'failed', 'onhold'];
+
+// Time each delivery may spend retrying due orders — Stripe waits on the response
+const RETRY_DUE_BUDGET_MS = 3000;
 
 // Disable body parser — we need raw bytes for Stripe signature verification
 export const config = {
@@ -51,9 +77,12 @@ export default async function handler(req, res) {
       // Immediate payment — create order now
       try {
         const orderId = await createPrintfulOrder(session);
-        console.log(`Printful order created: ${orderId} for Stripe session: ${session.id}`);
+        if (orderId) console.log(`Printful order created: ${orderId} for Stripe session: ${session.id}`);
       } catch (err) {
+        // Another delivery is mid-creation — ask Stripe to redeliver so we can confirm the outcome
+        if (err instanceof OrderLockedError) return res.status(409).json({ error: err.message });
         console.error('Failed to create Printful order:', err);
+        if (!(await queueForRetry(session, err))) return res.status(500).json({ error: 'Order creation failed' });
       }
     } else {
       // payment_status === 'unpaid' — delayed method (iDEAL, SEPA, etc.)
@@ -67,9 +96,11 @@ export default async function handler(req, res) {
     const session = await stripe.checkout.sessions.retrieve(event.data.object.id);
     try {
       const orderId = await createPrintfulOrder(session);
-      console.log(`Printful order created (async): ${orderId} for Stripe session: ${session.id}`);
+      if (orderId) console.log(`Printful order created (async): ${orderId} for Stripe session: ${session.id}`);
     } catch (err) {
+      if (err instanceof OrderLockedError) return res.status(409).json({ error: err.message });
       console.error('Failed to create Printful order (async):', err);
+      if (!(await queueForRetry(session, err))) return res.status(500).json({ error: 'Order creation failed' });
     }
   }
 
@@ -77,123 +108,156 @@ export default async function handler(req, res) {
     // Delayed payment failed — log it (you could notify the customer here)
     const session = event.data.object;
     console.error(`Async payment failed for session: ${session.id}, customer: ${session.customer_details?.email}`);
+    await sendAlert({
+      type: ALERT_TYPES.ASYNC_PAYMENT_FAILED,
+      title: 'Delayed payment failed',
+      details: { session: session.id, customer: session.customer_details?.email },
+      dedupeKey: `async_payment_failed:${session.id}`,
+    });
+  }
+
+  try {
+    if (event.type === 'charge.refunded') await handleRefund(event.data.object);
+    if (event.type === 'charge.dispute.created') await handleDispute(event.data.object);
+    if (event.type === 'checkout.session.expired') await handleSessionExpired(event.data.object);
+  } catch (err) {
+    if (err instanceof OrderLockedError) return res.status(409).json({ error: err.message });
+    // Let Stripe retry — a missed refund/dispute means shipping goods we've paid back
+    console.error(`Failed to handle ${event.type}:`, err);
+    return res.status(500).json({ error: `Failed to handle ${event.type}` });
   }
 
+  // The retry cron only runs daily — work the queue a little on each delivery
+  await runDueJobs({ deadline: Date.now() + RETRY_DUE_BUDGET_MS })
+    .catch(err => console.error('Retry queue unavailable:', err));
+
   return res.status(200).json({ received: true });
 }
 
 /**
- * Create a Printful order from a completed Stripe session
+ * Hand a failed order to the retry queue. Returns false if it couldn't be queued —
+ * the handler then answers 500 so Stripe redelivers instead of the order being lost.
  */
-async function createPrintfulOrder(session) {
-  const shipping = session.shipping_details;
-  const customer = session.customer_details;
+async function queueForRetry(session, err) {
+  try {
+    const job = await enqueueFailedOrder(session, err);
+    console.log(`Queued session ${session.id} for retry (${job.status})`);
+    return true;
+  } catch (queueErr) {
+    console.error(`Could not queue session ${session.id} for retry:`, queueErr);
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════
+// REFUNDS, DISPUTES, EXPIRY
+// ═══════════════════════════════════════════
 
-  if (!shipping?.address) {
-    throw new Error('No shipping address in session');
+/**
+ * A refund only cancels fulfilment when it's a full refund and Printful hasn't
+ * started production. Partial refunds and late refunds are flagged for review.
+ */
+async function handleRefund(charge) {
+  const sessionId = await findSessionIdForPaymentIntent(charge.payment_intent);
+  if (!sessionId) {
+    console.warn(`Refund for charge ${charge.id} has no matching Checkout session`);
+    return;
   }
 
-  // Generate a unique external_id (max 64 chars)
-  const externalId = `stripe_${session.id.slice(-50)}`;
+  await withOrderLock(sessionId, async () => {
+    const record = await getOrderRecord(sessionId);
+    const fullRefund = charge.refunded || charge.amount_refunded >= charge.amount;
+    const refunded = `${(charge.amount_refunded / 100).toFixed(2)} ${charge.currency.toUpperCase()}`;
 
-  // Check if order already exists (prevents duplicates from webhook retries)
-  const existingCheck = await fetch(
-    `https://api.printful.com/orders/@${externalId}`,
-    {
-      headers: {
-        'Authorization': `Bearer ${process.env.PRINTFUL_API_KEY}`,
-      },
+    if (!fullRefund) {
+      await ensureRecord(sessionId, record);
+      await flagOrderForReview(sessionId, `Partial refund of ${refunded} — adjust the Printful order manually if needed`);
+      return;
     }
-  );
-  
-  if (existingCheck.ok) {
-    const existing = await existingCheck.json();
-    console.log(`Order already exists: ${existing.result.id}`);
-    return existing.result.id;
-  }
 
-  // Parse cart from metadata
-  let cartItems;
-  try {
-    cartItems = JSON.parse(session.metadata.cart);
-  } catch {
-    throw new Error('Could not parse cart metadata');
+    // No Printful order yet — just make sure one never gets created
+    if (!record?.printfulOrderId) {
+      await appendOrderEvent(sessionId, { type: 'refunded', reason: `Full refund of ${refunded}` }, {
+        status: ORDER_STATUS.CANCELED,
+      });
+      // Without a ledger record we can't tell whether an order was created some other way
+      if (!record) await flagOrderForReview(sessionId, `Full refund of ${refunded} for a session with no ledger record — check Printful manually`);
+      return;
+    }
+
+    await cancelOrFlag(sessionId, record, `Full refund of ${refunded}`);
+  });
+}
+
+/**
+ * Printful has no API to put a confirmed order on hold, so a dispute either keeps a
+ * draft order unconfirmed, or flags a confirmed one for someone to hold in the dashboard.
+ */
+async function handleDispute(dispute) {
+  const sessionId = await findSessionIdForPaymentIntent(dispute.payment_intent);
+  if (!sessionId) {
+    console.warn(`Dispute ${dispute.id} has no matching Checkout session`);
+    return;
   }
 
+  await withOrderLock(sessionId, async () => {
+    const record = await ensureRecord(sessionId, await getOrderRecord(sessionId));
+    const reason = `Dispute opened (${dispute.reason})`;
+    await appendOrderEvent(sessionId, { type: 'dispute_created', reason }, { disputeId: dispute.id });
 
-  // Build Printful order payload
-  const order = {
-    // Use the Stripe session ID as the external reference
-    external_id: `om-${Date.now()}`,
-
-    recipient: {
-      name: shipping.name || customer.name,
-      email: customer.email,
-      phone: customer.phone || '',
-      address1: shipping.address.line1,
-      address2: shipping.address.line2 || '',
-      city: shipping.address.city,
-      state_code: shipping.address.state || '',
-      country_code: shipping.address.country,
-      zip: shipping.address.postal_code,
-    },
-
-    items: cartItems.map(item => ({
-      sync_variant_id: item.variantId,
-      quantity: item.quantity,
-    })),
-
-    // Use the shipping method the customer selected during cart checkout
-    ...(session.metadata.shipping_id && { shipping: session.metadata.shipping_id }),
-
-    // Optional: set retail costs for proper packing slips
-    retail_costs: {
-      currency: session.currency?.toUpperCase() || 'EUR',
-      subtotal: (session.amount_subtotal / 100).toFixed(2),
-      shipping: '0.00', // Stripe collects this — Printful uses its own shipping costs
-      total: (session.amount_total / 100).toFixed(2),
-    },
-  };
-
-  const response = await fetch('https://api.printful.com/orders', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.PRINTFUL_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(order),
+    if (!record.printfulOrderId) {
+      // createPrintfulOrder skips disputed sessions; a paid session with no order is worth a look anyway
+      if (record.status !== ORDER_STATUS.PENDING) return;
+      await flagOrderForReview(sessionId, `${reason} — no Printful order is linked to this session; check Printful manually`);
+      return;
+    }
+
+    const pfOrder = await printfulGet(`/orders/${record.printfulOrderId}`);
+    if (pfOrder.status === 'draft') {
+      await saveOrderRecord(sessionId, { status: ORDER_STATUS.ON_HOLD, error: reason });
+      return;
+    }
+    await flagOrderForReview(sessionId,
+      `${reason} — Printful order ${record.printfulOrderId} is "${pfOrder.status}"; put it on hold in the Printful dashboard`);
   });
+}
+
+async function handleSessionExpired(session) {
+  const record = await getOrderRecord(session.id);
+  if (!record) return;  // abandoned checkout — nothing was ever fulfilled
+  await appendOrderEvent(session.id, { type: 'session_expired' }, { status: ORDER_STATUS.CANCELED });
+}
 
-  const data = await response.json();
+/** Cancel the Printful order if it hasn't gone into production; otherwise flag it */
+async function cancelOrFlag(sessionId, record, reason) {
+  const pfOrder = await printfulGet(`/orders/${record.printfulOrderId}`);
 
-  if (!response.ok) {
-    throw new Error(`Printful API error ${response.status}: ${JSON.stringify(data)}`);
+  if (pfOrder.status === 'canceled') {
+    await appendOrderEvent(sessionId, { type: 'refunded', reason }, { status: ORDER_STATUS.CANCELED });
+    return;
   }
 
-  // Auto-confirm the order so Printful starts production immediately
-  // Remove this if you want to review orders manually first
-  const confirmRes = await fetch(`https://api.printful.com/orders/${data.result.id}/confirm`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.PRINTFUL_API_KEY}`,
-    },
-  });
-
-  if (!confirmRes.ok) {
-    console.warn(`Could not auto-confirm order ${data.result.id}`);
+  if (CANCELABLE_PRINTFUL_STATUSES.includes(pfOrder.status)) {
+    await printfulRequest(`/orders/${record.printfulOrderId}`, { method: 'DELETE' });
+    await appendOrderEvent(sessionId, { type: 'refunded', reason: `${reason} — Printful order canceled` }, {
+      status: ORDER_STATUS.CANCELED,
+      printfulStatus: 'canceled',
+    });
+    console.log(`Canceled Printful order ${record.printfulOrderId} after refund (session ${sessionId})`);
+    return;
   }
 
-  return data.result.id;
+  await flagOrderForReview(sessionId,
+    `${reason}, but Printful order ${record.printfulOrderId} is already "${pfOrder.status}" and can't be canceled`);
 }
 
-/**
- * Read raw request body as a Buffer (needed for Stripe signature verification)
- */
-function readRawBody(req) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    req.on('data', chunk => chunks.push(chunk));
-    req.on('end', () => resolve(Buffer.concat(chunks)));
-    req.on('error', reject);
-  });
-}
\ No newline at end of file
+/** Disputes/refunds can arrive for sessions the ledger never saw (e.g. manual payments) */
+async function ensureRecord(sessionId, record) {
+  return record || saveOrderRecord(sessionId, { status: ORDER_STATUS.PENDING });
+}
+
+async function findSessionIdForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const { data } = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  return data[0]?.id || null;
+}
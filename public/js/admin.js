@@ -0,0 +1,240 @@
+/**
+ * Overlay Maps — Admin dashboard
+ * Recent checkouts with their Printful status, orders needing attention and
+ * catalog health. Talks to the /api/admin-* routes with the admin token, which
+ * is kept in sessionStorage for the browser tab only.
+ */
+
+const CONFIG = {
+  API_BASE: 'https://overlay-maps.vercel.app',
+  TOKEN_KEY: 'overlaymaps_admin_token',
+};
+
+const ISSUE_LABELS = {
+  no_variants: 'No priced variants (hidden from the store)',
+  all_variants_discontinued: 'All variants discontinued',
+  missing_thumbnail: 'Missing thumbnail',
+  no_metadata: 'No metadata entry (category and country guessed from the name)',
+  unknown_country: 'Country not recognised',
+  'metadata:unknown_product': 'Metadata entry for a product Printful doesn\'t have',
+  'metadata:invalid_entry': 'Metadata entry is not an object',
+  'metadata:invalid_id': 'Metadata key is not a Printful product ID',
+  'metadata:invalid_category': 'Metadata category is not a store category',
+  'metadata:invalid_countries': 'Metadata countries must be a non-empty list of names',
+  'metadata:unknown_country': 'Metadata country not in api/_lib/geo.js',
+  'metadata:invalid_tags': 'Metadata tags must be a list of strings',
+  'metadata:invalid_featured': 'Metadata featured must be true or false',
+  'metadata:invalid_hidden': 'Metadata hidden must be true or false',
+  'metadata:invalid_sort_weight': 'Metadata sortWeight must be a number',
+  'metadata:invalid_description': 'Metadata description must be text or text per language',
+  'metadata:invalid_thumbnail': 'Metadata thumbnail must be an https URL',
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('adminLogin').addEventListener('submit', e => {
+    e.preventDefault();
+    sessionStorage.setItem(CONFIG.TOKEN_KEY, document.getElementById('adminToken').value.trim());
+    showDashboard();
+  });
+  document.getElementById('adminSignOut').addEventListener('click', signOut);
+  document.getElementById('adminRefreshCatalog').addEventListener('click', refreshCatalog);
+
+  if (sessionStorage.getItem(CONFIG.TOKEN_KEY)) showDashboard();
+  else showLogin();
+});
+
+function showLogin(message = '') {
+  document.getElementById('adminLogin').hidden = false;
+  document.getElementById('adminDashboard').hidden = true;
+  document.getElementById('adminSignOut').hidden = true;
+  document.getElementById('adminLoginError').textContent = message;
+}
+
+function showDashboard() {
+  document.getElementById('adminLogin').hidden = true;
+  document.getElementById('adminDashboard').hidden = false;
+  document.getElementById('adminSignOut').hidden = false;
+  loadOrders();
+  loadCatalog();
+}
+
+function signOut() {
+  sessionStorage.removeItem(CONFIG.TOKEN_KEY);
+  showLogin();
+}
+
+/** Fetch an admin route; a 401 drops back to the login form */
+async function adminFetch(path, options = {}) {
+  const res = await fetch(`${CONFIG.API_BASE}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${sessionStorage.getItem(CONFIG.TOKEN_KEY)}`,
+    },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401) {
+    sessionStorage.removeItem(CONFIG.TOKEN_KEY);
+    showLogin('That token was not accepted.');
+    throw new Error('Unauthorized');
+  }
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// ═══════════════════════════════════════════
+// ORDERS
+// ═══════════════════════════════════════════
+async function loadOrders() {
+  const problemsEl = document.getElementById('adminProblems');
+  const sessionsEl = document.getElementById('adminSessions');
+  try {
+    const data = await adminFetch('/api/admin-orders');
+    renderProblems(data.problems, problemsEl);
+    renderSessions(data.sessions, sessionsEl);
+  } catch (err) {
+    if (err.message === 'Unauthorized') return;
+    const msg = `<p class="admin-error">Could not load orders: ${escapeHtml(err.message)}</p>`;
+    problemsEl.innerHTML = msg;
+    sessionsEl.innerHTML = msg;
+  }
+}
+
+function renderProblems(problems, el) {
+  if (!problems.length) {
+    el.innerHTML = '<p class="admin-note">Nothing needs attention.</p>';
+    return;
+  }
+  el.innerHTML = `
+    <table class="admin-table">
+      <thead><tr><th>Session</th><th>Status</th><th>Printful</th><th>Problem</th><th>Retry</th><th>Updated</th></tr></thead>
+      <tbody>
+        ${problems.map(p => `
+          <tr>
+            <td>${sessionLink(p.sessionId)}</td>
+            <td>${statusBadge(p.status)}</td>
+            <td>${p.printfulOrderId ?? '—'}</td>
+            <td>${escapeHtml(p.needsReview?.reason || p.error || '—')}</td>
+            <td>${retrySummary(p.retry)}</td>
+            <td>${formatDate(p.updatedAt)}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function renderSessions(sessions, el) {
+  if (!sessions.length) {
+    el.innerHTML = '<p class="admin-note">No checkouts yet.</p>';
+    return;
+  }
+  el.innerHTML = `
+    <table class="admin-table">
+      <thead><tr><th>Created</th><th>Session</th><th>Customer</th><th>Total</th><th>Payment</th><th>Order</th><th>Printful</th></tr></thead>
+      <tbody>
+        ${sessions.map(s => `
+          <tr>
+            <td>${formatDate(s.created)}</td>
+            <td>${sessionLink(s.id)}</td>
+            <td>${escapeHtml(s.email || '—')}</td>
+            <td>${formatPrice(s.total, s.currency)}</td>
+            <td>${escapeHtml(s.status === 'expired' ? 'expired' : s.paymentStatus)}</td>
+            <td>${s.order ? statusBadge(s.order.status) : '—'}${s.retry ? `<br />${retrySummary(s.retry)}` : ''}</td>
+            <td>${s.order?.printfulOrderId ? `${s.order.printfulOrderId}${s.order.printfulStatus ? ` · ${escapeHtml(s.order.printfulStatus)}` : ''}` : '—'}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+// ═══════════════════════════════════════════
+// CATALOG
+// ═══════════════════════════════════════════
+async function loadCatalog() {
+  const el = document.getElementById('adminCatalog');
+  el.innerHTML = '<p class="admin-note">Checking the Printful catalog…</p>';
+  try {
+    renderCatalog(await adminFetch('/api/admin-catalog'), el);
+  } catch (err) {
+    if (err.message === 'Unauthorized') return;
+    el.innerHTML = `<p class="admin-error">Could not check the catalog: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderCatalog(data, el) {
+  const cache = data.cache
+    ? `Cached snapshot: ${data.cache.productCount} products, taken ${formatDate(data.cache.fetchedAt)}.`
+    : 'No cached snapshot yet.';
+  const summary = `<p class="admin-note">${data.productCount} products in Printful, ${data.problems.length} with problems. ${cache}</p>`;
+
+  if (!data.problems.length) {
+    el.innerHTML = summary;
+    return;
+  }
+  el.innerHTML = `
+    ${summary}
+    <table class="admin-table">
+      <thead><tr><th>ID</th><th>Product</th><th>Issues</th></tr></thead>
+      <tbody>
+        ${data.problems.map(p => `
+          <tr>
+            <td>${p.id}</td>
+            <td>${p.name ? escapeHtml(p.name) : '<em>Not in Printful</em>'}</td>
+            <td>${p.issues.map(i => escapeHtml(ISSUE_LABELS[i] || i)).join('<br />')}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+async function refreshCatalog() {
+  const btn = document.getElementById('adminRefreshCatalog');
+  btn.disabled = true;
+  btn.textContent = 'Refreshing…';
+  try {
+    await adminFetch('/api/admin-catalog', { method: 'POST', body: JSON.stringify({ action: 'refresh' }) });
+    await loadCatalog();
+  } catch (err) {
+    if (err.message !== 'Unauthorized') alert(`Catalog refresh failed: ${err.message}`);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Refresh catalog cache';
+  }
+}
+
+// ═══════════════════════════════════════════
+// UTILS
+// ═══════════════════════════════════════════
+function sessionLink(sessionId) {
+  const mode = sessionId.startsWith('cs_test_') ? 'test/' : '';
+  return `<a href="https://dashboard.stripe.com/${mode}checkout/sessions/${encodeURIComponent(sessionId)}" target="_blank" rel="noopener" title="${escapeHtml(sessionId)}">…${escapeHtml(sessionId.slice(-10))}</a>`;
+}
+
+function statusBadge(status) {
+  return `<span class="admin-badge admin-badge-${escapeHtml(status)}">${escapeHtml(status.replace('_', ' '))}</span>`;
+}
+
+function retrySummary(retry) {
+  if (!retry) return '—';
+  const next = retry.nextAttemptAt ? `, next ${formatDate(retry.nextAttemptAt)}` : '';
+  return `<span title="${escapeHtml(retry.lastError || '')}">${escapeHtml(retry.status)} (${retry.attempts} attempts${next})</span>`;
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('nl-NL', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function formatPrice(amount, currency = 'EUR') {
+  return new Intl.NumberFormat('nl-NL', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: 2,
+  }).format(amount);
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,166 @@
+/**
+ * Overlay Maps — Cart links
+ * "Share cart" in the cart drawer, and opening a shared cart: any page with
+ * ?cart=<token> (the store or a product page) loads the items from /api/cart-link,
+ * which re-checks them against the live catalog, and offers to add them to the
+ * current cart or replace it. An empty cart just takes the shared one.
+ *
+ * Exposes window.CartLinks:
+ *   init({ apiBase, getCart(), addToCart(item), replaceCart(items), openCart(), toast(message) })
+ */
+
+(function (root) {
+  const PARAM = 'cart';
+
+  const { t, tn } = root.I18n;
+
+  let options = {};
+  let offer = null;  // { items, unavailable } from a shared link, until accepted or dismissed
+
+  function init(opts) {
+    options = opts;
+    document.getElementById('shareCartBtn')?.addEventListener('click', share);
+
+    const token = new URLSearchParams(location.search).get(PARAM);
+    if (token) open(token);
+  }
+
+  // ═══════════════════════════════════════════
+  // SHARING
+  // ═══════════════════════════════════════════
+  async function share() {
+    const items = options.getCart().map(({ variantId, quantity }) => ({ variantId, quantity }));
+    if (!items.length) return;
+
+    let url;
+    try {
+      const res = await fetch(`${options.apiBase}/api/cart-link`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      url = linkFor(data.token);
+    } catch (err) {
+      console.error('Cart link error:', err);
+      options.toast(t('cartLink.shareFailed'));
+      return;
+    }
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: t('cartLink.shareTitle'), url });
+        return;
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+      }
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      options.toast(t('cartLink.copied'));
+    } catch {
+      window.prompt(t('cartLink.share'), url);
+    }
+  }
+
+  function linkFor(token) {
+    const params = new URLSearchParams({ [PARAM]: token });
+    if (root.I18n.lang !== root.I18n.DEFAULT_LANGUAGE) params.set('lang', root.I18n.lang);
+    return `${location.origin}/?${params}`;
+  }
+
+  // ═══════════════════════════════════════════
+  // OPENING A SHARED CART
+  // ═══════════════════════════════════════════
+  async function open(token) {
+    forgetParam();
+    let data;
+    try {
+      const res = await fetch(`${options.apiBase}/api/cart-link?token=${encodeURIComponent(token)}`);
+      data = await res.json();
+      if (res.status === 400) {
+        options.toast(t('cartLink.invalid'));
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    } catch (err) {
+      console.error('Cart link error:', err);
+      options.toast(t('cartLink.loadFailed'));
+      return;
+    }
+
+    if (!data.items.length) {
+      options.toast(t('cartLink.allUnavailable'));
+      return;
+    }
+
+    // Nothing to merge with — take the shared cart as it is
+    if (!options.getCart().length) {
+      options.replaceCart(data.items);
+      options.openCart();
+      options.toast(unavailableNote(data.unavailable) || t('cartLink.loaded'));
+      return;
+    }
+
+    offer = data;
+    renderOffer();
+    options.openCart();
+  }
+
+  /** The choice between merging and replacing, above the cart items */
+  function renderOffer() {
+    let el = document.getElementById('cartLinkOffer');
+    if (!offer) {
+      el?.remove();
+      return;
+    }
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'cartLinkOffer';
+      el.className = 'cart-link-offer';
+      el.addEventListener('click', onOfferClick);
+      const items = document.getElementById('cartItems');
+      items.parentNode.insertBefore(el, items);
+    }
+
+    const count = offer.items.reduce((sum, item) => sum + item.quantity, 0);
+    const note = unavailableNote(offer.unavailable);
+    el.innerHTML = `
+      <p class="cart-link-offer-title">${tn('cartLink.offer', count)}</p>
+      ${note ? `<p class="cart-link-offer-note">${note}</p>` : ''}
+      <div class="cart-link-offer-actions">
+        <button class="shipping-calc-btn" data-action="merge">${t('cartLink.merge')}</button>
+        <button class="shipping-calc-btn" data-action="replace">${t('cartLink.replace')}</button>
+        <button class="cart-link-offer-dismiss" data-action="dismiss" aria-label="${t('cartLink.dismiss')}">✕</button>
+      </div>`;
+  }
+
+  function onOfferClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (!action || !offer) return;
+
+    if (action === 'merge') {
+      offer.items.forEach(item => options.addToCart(item));
+      options.toast(t('cartLink.merged'));
+    } else if (action === 'replace') {
+      options.replaceCart(offer.items);
+      options.toast(t('cartLink.replaced'));
+    }
+    offer = null;
+    renderOffer();
+  }
+
+  function unavailableNote(unavailable) {
+    return unavailable?.length ? tn('cartLink.unavailable', unavailable.length) : '';
+  }
+
+  // Drop ?cart= so a reload doesn't offer the same cart again
+  function forgetParam() {
+    const url = new URL(location.href);
+    url.searchParams.delete(PARAM);
+    history.replaceState(history.state, '', url);
+  }
+
+  root.CartLinks = { init };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,104 @@
+/**
+ * Overlay Maps — Cart reconciliation
+ * A cart in localStorage can be weeks old. On every page load it's checked against
+ * the catalog from /api/products?include=hidden (hidden products can still be
+ * bought): prices, names and images are brought up to date, variants that are gone
+ * or discontinued are dropped, and items saved before catalogVariantId existed get
+ * it filled in. Price changes and removals are listed for the customer above the
+ * cart items; the rest is fixed silently.
+ *
+ * Exposes window.CartReconcile:
+ *   reconcile(cart, products)  — { cart, changes: { removed: [item], prices: [{ item, oldPrice, oldCurrency }] }, changed }
+ *   showSummary(changes, { formatPrice(amount, currency), toast(message) })
+ */
+
+(function (root) {
+  const MAX_QUANTITY = 20;  // same as api/_lib/pricing.js
+
+  const { t, tn } = root.I18n;
+
+  function reconcile(cart, products) {
+    const variants = new Map();
+    for (const product of products) {
+      for (const variant of product.variants) variants.set(variant.id, { product, variant });
+    }
+
+    const removed = [];
+    const prices = [];
+    let changed = false;
+
+    const next = [];
+    for (const item of cart) {
+      const match = variants.get(Number(item.variantId));
+      if (!match || match.variant.available === false) {
+        removed.push(item);
+        changed = true;
+        continue;
+      }
+
+      const { product, variant } = match;
+      const updated = {
+        ...item,
+        variantId: variant.id,
+        catalogVariantId: variant.catalogVariantId || null,
+        name: product.name,
+        variantLabel: [variant.options?.primary, variant.options?.secondary].filter(Boolean).join(' / '),
+        price: variant.price,
+        currency: variant.currency,
+        thumbnail: product.thumbnail || item.thumbnail || null,
+        quantity: Math.max(1, Math.min(MAX_QUANTITY, parseInt(item.quantity) || 1)),
+      };
+      // Cents, so float noise from localStorage doesn't count as a change
+      if (Math.round(item.price * 100) !== Math.round(variant.price * 100) || item.currency !== variant.currency) {
+        prices.push({ item: updated, oldPrice: item.price, oldCurrency: item.currency });
+      }
+      if (Object.keys(updated).some(key => updated[key] !== item[key])) changed = true;
+      next.push(updated);
+    }
+
+    return { cart: next, changes: { removed, prices }, changed };
+  }
+
+  /** What changed, above the cart items until dismissed, plus a toast; nothing if only silent fixes were made */
+  function showSummary({ removed, prices }, { formatPrice, toast }) {
+    document.getElementById('cartChanges')?.remove();
+    if (!removed.length && !prices.length) return;
+
+    const el = document.createElement('div');
+    el.id = 'cartChanges';
+    el.className = 'cart-changes';
+    el.setAttribute('role', 'status');
+    el.innerHTML = `
+      <div class="cart-changes-header">
+        <p class="cart-changes-title">${t('reconcile.title')}</p>
+        <button class="cart-link-offer-dismiss" aria-label="${t('reconcile.dismiss')}">✕</button>
+      </div>
+      <ul class="cart-changes-list">
+        ${prices.map(({ item, oldPrice, oldCurrency }) => `<li>${t('reconcile.price', {
+          name: itemName(item),
+          old: formatPrice(oldPrice, oldCurrency || item.currency),
+          new: formatPrice(item.price, item.currency),
+        })}</li>`).join('')}
+        ${removed.map(item => `<li>${t('reconcile.removed', { name: itemName(item) })}</li>`).join('')}
+      </ul>`;
+    el.querySelector('button').addEventListener('click', () => el.remove());
+
+    const items = document.getElementById('cartItems');
+    items.parentNode.insertBefore(el, items);
+    toast(tn('reconcile.toast', removed.length + prices.length));
+  }
+
+  function itemName(item) {
+    return escapeHtml([item.name, item.variantLabel].filter(Boolean).join(' — '));
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  root.CartReconcile = { reconcile, showSummary };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,872 @@
+/**
+ * Overlay Maps — Cart
+ * The cart and everything in its drawer, shared by the store and the product pages:
+ * the saved lines, display currency, shipping estimator, tax estimate, promo codes,
+ * server quotes and Stripe checkout. There is one cart state; every change is saved
+ * to localStorage and announced with a "change" event, and changes made in another
+ * tab arrive through the `storage` event, so every open drawer shows the same cart.
+ * Lines can be re-counted in the drawer (1–20, the cap /api/create-checkout enforces),
+ * removed with an undo, or parked in a "saved for later" list; a shipping estimate is
+ * re-requested for the same country whenever the lines change.
+ *
+ * Exposes window.Cart:
+ *   init({ apiBase, stripeKey, toast(message) })
+ *   items()                       — a copy of the cart lines
+ *   add(item), remove(variantId), setQuantity(variantId, quantity), replace(items)
+ *   saveForLater(variantId), moveToCart(variantId)
+ *   reconcile(products)           — bring saved lines in line with the catalog (see cart-reconcile.js)
+ *   open(), close(), isOpen()
+ *   on(event, fn)                 — "change" (items, { source: 'local' | 'storage' }) or "currency" (code);
+ *                                   returns a function that unsubscribes
+ *   currency(), convertPrice(amount, from), formatPrice(amount, currency),
+ *   formatCatalogPrice(unitPrice, from, qty)
+ */
+
+(function (root) {
+  const CART_KEY = 'overlaymaps_cart';
+  const SAVED_KEY = 'overlaymaps_saved_for_later';
+  const PROMO_KEY = 'overlaymaps_promo';
+  const CURRENCY_KEY = 'overlaymaps_currency';
+  const MAX_QUANTITY = 20;  // same as api/_lib/pricing.js
+  const UNDO_MS = 6000;
+  const RECALC_DELAY_MS = 400;  // let stepper clicks settle before asking for new rates
+  const QUOTE_DELAY_MS = 400;   // same for the discounted totals
+
+  const SHIP_COUNTRIES = [
+    ['AR','Argentina'],['AU','Australia'],['AT','Austria'],['BE','Belgium'],
+    ['BR','Brazil'],['CA','Canada'],['CO','Colombia'],['DK','Denmark'],
+    ['FI','Finland'],['FR','France'],['DE','Germany'],['IE','Ireland'],
+    ['IT','Italy'],['JP','Japan'],['KR','South Korea'],['MX','Mexico'],
+    ['NL','Netherlands'],['NZ','New Zealand'],['NO','Norway'],['PL','Poland'],
+    ['PT','Portugal'],['SG','Singapore'],['ES','Spain'],['SE','Sweden'],
+    ['CH','Switzerland'],['GB','United Kingdom'],['US','United States'],
+  ];
+
+  // Visitor region → default currency; anywhere else defaults to EUR
+  const REGION_CURRENCIES = {
+    US: 'USD', GB: 'GBP', CA: 'CAD', AU: 'AUD', NZ: 'NZD', CH: 'CHF', LI: 'CHF',
+    SE: 'SEK', DK: 'DKK', NO: 'NOK', PL: 'PLN',
+  };
+
+  const { t } = root.I18n;
+  const LOCALE = root.I18n.locale;
+
+  let options = {};
+  let stripe = null;
+  let cart = loadItems(CART_KEY);
+  let saved = loadItems(SAVED_KEY);  // lines parked with "save for later", same shape as cart lines
+  let selectedShippingOption = null;
+  let shippingCountry = null;  // destination the shipping rates (and tax estimate) are for
+  let shippingChoice = null;  // { country, rateId } last asked for, asked again when the cart changes
+  let shippingSeq = 0;    // drops rates for a cart or currency that has changed since
+  let recalcTimer = null;
+  let promoCode = localStorage.getItem(PROMO_KEY) || '';
+  let cartQuote = null;   // server-side totals with promotions (see refreshQuote)
+  let quoteSeq = 0;       // drops totals for a cart that has changed since
+  let quoteTimer = null;
+  let selectedCurrency = 'EUR';  // set from the saved choice or locale in initCurrency
+  let fxRates = null;     // 1 EUR → n units, from /api/currencies
+  const listeners = { change: new Set(), currency: new Set() };
+
+  function init(opts) {
+    options = opts;
+    stripe = root.Stripe(opts.stripeKey);
+    document.getElementById('cartToggle').addEventListener('click', open);
+    document.getElementById('cartClose').addEventListener('click', close);
+    document.getElementById('cartOverlay').addEventListener('click', close);
+    document.getElementById('checkoutBtn').addEventListener('click', checkout);
+    const itemsEl = document.getElementById('cartItems');
+    itemsEl.addEventListener('click', onItemsClick);
+    itemsEl.addEventListener('change', onQuantityInput);
+    root.addEventListener('storage', onStorage);
+    initShippingEstimator();
+    initPromoCode();
+    render();
+    initCurrency();
+  }
+
+  // ═══════════════════════════════════════════
+  // STATE
+  // ═══════════════════════════════════════════
+  function loadItems(key) {
+    try {
+      const items = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function items() {
+    return cart.map(item => ({ ...item }));
+  }
+
+  function add(item) {
+    const existing = cart.find(i => i.variantId === item.variantId);
+    if (existing) existing.quantity = Math.min(MAX_QUANTITY, existing.quantity + item.quantity);
+    else cart.push({ ...item });
+    commit();
+  }
+
+  function remove(variantId) {
+    const index = cart.findIndex(i => i.variantId === variantId);
+    if (index === -1) return;
+    const [item] = cart.splice(index, 1);
+    commit();
+    offerUndo(t('cart.removed', { name: item.name }), () => {
+      if (cart.some(i => i.variantId === item.variantId)) return;  // added again meanwhile
+      cart.splice(Math.min(index, cart.length), 0, item);
+      commit();
+    });
+  }
+
+  function setQuantity(variantId, quantity) {
+    const item = cart.find(i => i.variantId === variantId);
+    if (!item) return;
+    const requested = parseInt(quantity);
+    const next = Math.max(1, Math.min(MAX_QUANTITY, requested || 1));
+    if (requested > MAX_QUANTITY) options.toast(t('cart.maxQuantity', { max: MAX_QUANTITY }));
+    if (next === item.quantity) {
+      renderItems();  // put back what was typed
+      return;
+    }
+    item.quantity = next;
+    commit();
+  }
+
+  /** Move a line to the saved list; a variant that was already saved takes the new quantity */
+  function saveForLater(variantId) {
+    const item = cart.find(i => i.variantId === variantId);
+    if (!item) return;
+    saved = [item, ...saved.filter(i => i.variantId !== variantId)];
+    saveSaved();
+    cart = cart.filter(i => i !== item);
+    commit();
+  }
+
+  function moveToCart(variantId) {
+    const item = saved.find(i => i.variantId === variantId);
+    if (!item) return;
+    saved = saved.filter(i => i !== item);
+    saveSaved();
+    add(item);
+  }
+
+  function discardSaved(variantId) {
+    saved = saved.filter(i => i.variantId !== variantId);
+    saveSaved();
+    renderItems();
+  }
+
+  function saveSaved() {
+    if (saved.length) localStorage.setItem(SAVED_KEY, JSON.stringify(saved));
+    else localStorage.removeItem(SAVED_KEY);
+  }
+
+  /** Swap the whole cart, e.g. for a shared one (see cart-links.js) */
+  function replace(next) {
+    cart = next.map(item => ({ ...item }));
+    commit();
+  }
+
+  /**
+   * Bring the saved cart in line with the catalog and tell the customer what changed.
+   * The saved-for-later list is brought up to date quietly.
+   */
+  function reconcile(products) {
+    const later = root.CartReconcile.reconcile(saved, products);
+    if (later.changed) {
+      saved = later.cart;
+      saveSaved();
+      renderItems();
+    }
+
+    const result = root.CartReconcile.reconcile(cart, products);
+    if (!result.changed) return;
+    cart = result.cart;
+    commit();
+    root.CartReconcile.showSummary(result.changes, { formatPrice: formatCatalogPrice, toast: options.toast });
+  }
+
+  /**
+   * Save, redraw and announce a change to the lines. Rates were quoted for the
+   * old contents, so they are fetched again unless `keepShipping`.
+   */
+  function commit({ source = 'local', keepShipping = false } = {}) {
+    if (source === 'local') localStorage.setItem(CART_KEY, JSON.stringify(cart));
+    if (!keepShipping) invalidateShipping();
+    render();
+    emit('change', items(), { source });
+  }
+
+  // Another tab saved the cart — the storage event only fires in the other tabs
+  function onStorage(e) {
+    if (e.key === CART_KEY) {
+      cart = loadItems(CART_KEY);
+      commit({ source: 'storage' });
+    } else if (e.key === SAVED_KEY) {
+      saved = loadItems(SAVED_KEY);
+      renderItems();
+    } else if (e.key === PROMO_KEY) {
+      promoCode = e.newValue || '';
+      const input = document.getElementById('promoCodeInput');
+      if (input) input.value = promoCode;
+      setPromoMessage('');
+      if (isOpen()) refreshQuote();
+    }
+  }
+
+  function on(event, fn) {
+    listeners[event].add(fn);
+    return () => listeners[event].delete(fn);
+  }
+
+  function emit(event, ...args) {
+    listeners[event].forEach(fn => {
+      try { fn(...args); } catch (err) { console.error(`Cart ${event} listener error:`, err); }
+    });
+  }
+
+  // ═══════════════════════════════════════════
+  // DRAWER
+  // ═══════════════════════════════════════════
+  function render() {
+    renderItems();
+    renderCount();
+  }
+
+  function renderItems() {
+    const container = document.getElementById('cartItems');
+    const footer = document.getElementById('cartFooter');
+    if (!container || !footer) return;
+
+    const lines = cart.length
+      ? cart.map(renderLine).join('')
+      : `<p class="cart-empty">${t('cart.empty')}</p>`;
+    container.innerHTML = lines + renderSaved();
+
+    if (cart.length === 0) {
+      footer.style.display = 'none';
+      clearTimeout(quoteTimer);
+      quoteSeq++;
+      cartQuote = null;
+      return;
+    }
+
+    document.getElementById('cartTotal').textContent = formatPrice(cartSubtotal(), selectedCurrency);
+    footer.style.display = 'flex';
+    updateShippingDisplay();
+    if (isOpen()) scheduleQuote();
+  }
+
+  function renderLine(item) {
+    const name = escapeHtml(item.name);
+    const id = item.variantId;
+    return `
+      <div class="cart-item" data-variant="${id}">
+        <img class="cart-item-img" src="${escapeHtml(item.thumbnail || '')}" alt="${name}"
+             onerror="this.style.display='none'" />
+        <div>
+          <div class="cart-item-name">${name}</div>
+          ${item.variantLabel ? `<div class="cart-item-variant">${escapeHtml(item.variantLabel)}</div>` : ''}
+          <div class="cart-item-variant">${t('cart.each', { price: formatCatalogPrice(item.price, item.currency) })}</div>
+          <div class="cart-item-controls">
+            <div class="qty-control cart-qty">
+              <button class="qty-btn" data-action="decrease" data-variant="${id}" aria-label="${t('cart.decrease')}" ${item.quantity <= 1 ? 'disabled' : ''}>−</button>
+              <input class="cart-qty-input" type="number" inputmode="numeric" min="1" max="${MAX_QUANTITY}"
+                     value="${item.quantity}" data-variant="${id}" aria-label="${escapeHtml(t('cart.quantity', { name: item.name }))}" />
+              <button class="qty-btn" data-action="increase" data-variant="${id}" aria-label="${t('cart.increase')}" ${item.quantity >= MAX_QUANTITY ? 'disabled' : ''}>+</button>
+            </div>
+            <button class="cart-item-link" data-action="save" data-variant="${id}">${t('cart.saveForLater')}</button>
+          </div>
+        </div>
+        <div class="cart-item-side">
+          <button class="cart-item-remove" data-action="remove" data-variant="${id}" aria-label="${t('cart.remove')}">✕</button>
+          <div class="cart-item-price">${formatCatalogPrice(item.price, item.currency, item.quantity)}</div>
+        </div>
+      </div>`;
+  }
+
+  function renderSaved() {
+    if (!saved.length) return '';
+    return `
+      <section class="cart-saved">
+        <h3 class="cart-saved-title">${t('cart.savedTitle', { count: saved.length })}</h3>
+        ${saved.map(item => `
+          <div class="cart-item cart-item-saved">
+            <img class="cart-item-img" src="${escapeHtml(item.thumbnail || '')}" alt="${escapeHtml(item.name)}"
+                 onerror="this.style.display='none'" />
+            <div>
+              <div class="cart-item-name">${escapeHtml(item.name)}</div>
+              ${item.variantLabel ? `<div class="cart-item-variant">${escapeHtml(item.variantLabel)}</div>` : ''}
+              <div class="cart-item-price">${formatCatalogPrice(item.price, item.currency, item.quantity)}</div>
+              <button class="cart-item-link" data-action="restore" data-variant="${item.variantId}">${t('cart.moveToCart')}</button>
+            </div>
+            <button class="cart-item-remove" data-action="discard" data-variant="${item.variantId}" aria-label="${t('cart.removeSaved')}">✕</button>
+          </div>`).join('')}
+      </section>`;
+  }
+
+  const ITEM_ACTIONS = {
+    decrease: id => setQuantity(id, cart.find(i => i.variantId === id).quantity - 1),
+    increase: id => setQuantity(id, cart.find(i => i.variantId === id).quantity + 1),
+    remove: id => remove(id),
+    save: id => saveForLater(id),
+    restore: id => moveToCart(id),
+    discard: id => discardSaved(id),
+  };
+
+  function onItemsClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn || !ITEM_ACTIONS[btn.dataset.action]) return;
+    const id = parseInt(btn.dataset.variant);
+    ITEM_ACTIONS[btn.dataset.action](id);
+    // The lines were redrawn — keep a stepper under the keyboard
+    document.querySelector(`#cartItems [data-action="${btn.dataset.action}"][data-variant="${id}"]:not(:disabled)`)?.focus();
+  }
+
+  function onQuantityInput(e) {
+    if (!e.target.matches('.cart-qty-input')) return;
+    setQuantity(parseInt(e.target.dataset.variant), e.target.value);
+  }
+
+  function renderCount() {
+    const el = document.getElementById('cartCount');
+    if (!el) return;
+    const count = cart.reduce((sum, i) => sum + i.quantity, 0);
+    el.textContent = count;
+    el.classList.toggle('visible', count > 0);
+  }
+
+  function open() {
+    document.getElementById('cartDrawer').classList.add('open');
+    document.getElementById('cartOverlay').classList.add('open');
+    document.getElementById('cartDrawer').setAttribute('aria-hidden', 'false');
+    refreshQuote();
+  }
+
+  function isOpen() {
+    return document.getElementById('cartDrawer').classList.contains('open');
+  }
+
+  function close() {
+    document.getElementById('cartDrawer').classList.remove('open');
+    document.getElementById('cartOverlay').classList.remove('open');
+    document.getElementById('cartDrawer').setAttribute('aria-hidden', 'true');
+  }
+
+  // ═══════════════════════════════════════════
+  // UNDO
+  // ═══════════════════════════════════════════
+  /** A toast with an undo button; only the latest removal can be undone */
+  function offerUndo(message, undo) {
+    let el = document.getElementById('cartUndo');
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'cartUndo';
+      el.className = 'cart-undo';
+      el.setAttribute('role', 'status');
+      document.body.appendChild(el);
+    }
+    el.innerHTML = `<span>${escapeHtml(message)}</span>
+      <button class="cart-undo-btn">${t('cart.undo')}</button>`;
+    el.querySelector('button').addEventListener('click', () => {
+      hide();
+      undo();
+    });
+    el.classList.add('visible');
+
+    clearTimeout(el._timer);
+    el._timer = setTimeout(hide, UNDO_MS);
+    function hide() {
+      clearTimeout(el._timer);
+      el.classList.remove('visible');
+    }
+  }
+
+  // ═══════════════════════════════════════════
+  // SHIPPING ESTIMATOR
+  // ═══════════════════════════════════════════
+  function initShippingEstimator() {
+    const select = document.getElementById('shippingCountrySelect');
+    const calcBtn = document.getElementById('calcShippingBtn');
+    if (!select || !calcBtn) return;
+
+    const countries = SHIP_COUNTRIES
+      .map(([code, name]) => [code, root.I18n.regionName(code, name)])
+      .sort((a, b) => a[1].localeCompare(b[1], LOCALE));
+    select.innerHTML = `<option value="">${t('shipping.selectCountry')}</option>` +
+      countries.map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
+
+    calcBtn.addEventListener('click', () => calcShipping());
+  }
+
+  /** Fetch rates for `country`, selecting `preferredId` if it's still offered, else the first */
+  async function calcShipping(country = document.getElementById('shippingCountrySelect')?.value, preferredId = null) {
+    if (!cart.length) return;
+    if (!country) { options.toast(t('shipping.selectCountryFirst')); return; }
+    const seq = ++shippingSeq;
+    shippingChoice = { country, rateId: preferredId };
+
+    const ratesList = document.getElementById('shippingRatesList');
+    const calcBtn = document.getElementById('calcShippingBtn');
+    if (!ratesList || !calcBtn) return;
+
+    calcBtn.disabled = true;
+    calcBtn.textContent = '…';
+    ratesList.innerHTML = `<p class="shipping-loading">${t('shipping.calculating')}</p>`;
+
+    try {
+      const res = await fetch(`${options.apiBase}/api/shipping-rates`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          country_code: country,
+          currency: selectedCurrency,
+          items: cart.map(i => ({
+            variantId: i.variantId,
+            catalogVariantId: i.catalogVariantId,
+            quantity: i.quantity,
+          })),
+        }),
+      });
+      const { rates, error } = await res.json();
+      if (seq !== shippingSeq) return;
+
+      if (error || !rates?.length) {
+        ratesList.innerHTML = `<p class="shipping-error">${error || t('shipping.noRates')}</p>`;
+        return;
+      }
+
+      const selected = rates.find(r => r.id === preferredId) || rates[0];
+      ratesList.innerHTML = rates.map(r =>
+        `<label class="shipping-rate-option">
+          <input type="radio" name="shippingRate" value="${r.id}" data-rate='${JSON.stringify(r)}' ${r === selected ? 'checked' : ''} />
+          <span class="shipping-rate-info">
+            <span class="shipping-rate-name">${r.name}</span>
+            ${r.minDays ? `<span class="shipping-rate-days">${t('shipping.days', { min: r.minDays, max: r.maxDays || r.minDays })}</span>` : ''}
+          </span>
+          <span class="shipping-rate-price">${formatPrice(r.rate, r.currency)}</span>
+        </label>`
+      ).join('');
+
+      // The first option is usually the cheapest
+      selectedShippingOption = selected;
+      shippingCountry = country;
+      shippingChoice.rateId = selected.id;
+      updateShippingDisplay();
+      refreshQuote();
+
+      ratesList.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+          selectedShippingOption = JSON.parse(radio.dataset.rate);
+          shippingChoice.rateId = selectedShippingOption.id;
+          updateShippingDisplay();
+          refreshQuote();
+        });
+      });
+    } catch {
+      if (seq === shippingSeq) ratesList.innerHTML = `<p class="shipping-error">${t('shipping.failed')}</p>`;
+    } finally {
+      if (seq === shippingSeq) {
+        calcBtn.disabled = false;
+        calcBtn.textContent = t('shipping.calculate');
+      }
+    }
+  }
+
+  /**
+   * The rates no longer fit the cart (or currency): drop them, and if the customer
+   * had already picked shipping, ask again for the same country and option.
+   */
+  function invalidateShipping() {
+    const choice = shippingChoice;
+    resetShipping();
+    if (!choice || !cart.length) return;
+    shippingChoice = choice;
+    const ratesList = document.getElementById('shippingRatesList');
+    if (ratesList) ratesList.innerHTML = `<p class="shipping-loading">${t('shipping.calculating')}</p>`;
+    recalcTimer = setTimeout(() => calcShipping(choice.country, choice.rateId), RECALC_DELAY_MS);
+  }
+
+  function resetShipping() {
+    clearTimeout(recalcTimer);
+    shippingSeq++;
+    shippingChoice = null;
+    selectedShippingOption = null;
+    shippingCountry = null;
+    const ratesList = document.getElementById('shippingRatesList');
+    if (ratesList) ratesList.innerHTML = '';
+    const calcBtn = document.getElementById('calcShippingBtn');
+    if (calcBtn) {
+      calcBtn.disabled = false;
+      calcBtn.textContent = t('shipping.calculate');
+    }
+    updateShippingDisplay();
+  }
+
+  function updateShippingDisplay() {
+    const shippingRow = document.getElementById('shippingTotalRow');
+    const grandTotalRow = document.getElementById('grandTotalRow');
+    const shippingNote = document.getElementById('shippingNote');
+    if (!shippingRow || !grandTotalRow) return;
+
+    const subtotal = cartSubtotal();
+    const discount = cartQuote?.discountTotal || 0;
+    const shipping = !selectedShippingOption || cartQuote?.freeShipping ? 0 : selectedShippingOption.rate;
+    const tax = cartTax();
+    const addedTax = tax?.collected && !tax.inclusive ? tax.amount : 0;
+
+    if (selectedShippingOption && cart.length) {
+      document.getElementById('shippingTotalLabel').textContent = selectedShippingOption.name;
+      document.getElementById('shippingTotal').textContent = cartQuote?.freeShipping
+        ? t('shipping.free')
+        : formatPrice(selectedShippingOption.rate, selectedShippingOption.currency);
+      shippingRow.style.display = 'flex';
+      if (shippingNote) shippingNote.style.display = 'none';
+    } else {
+      shippingRow.style.display = 'none';
+      if (shippingNote) shippingNote.style.display = 'block';
+    }
+
+    renderTax(tax);
+
+    // The total is worth showing once shipping is known or a discount changes it
+    if (cart.length && (selectedShippingOption || discount)) {
+      document.getElementById('grandTotal').innerHTML = `<strong>${formatPrice(subtotal - discount + shipping + addedTax, selectedCurrency)}</strong>`;
+      grandTotalRow.style.display = 'flex';
+    } else {
+      grandTotalRow.style.display = 'none';
+    }
+
+    const checkoutBtn = document.getElementById('checkoutBtn');
+    if (checkoutBtn) {
+      checkoutBtn.disabled = !selectedShippingOption || cart.length === 0;
+      checkoutBtn.textContent = selectedShippingOption ? t('cart.checkout') : t('cart.selectShippingFirst');
+    }
+  }
+
+  /** The quote's tax estimate, if it is for the country shipping was calculated for */
+  function cartTax() {
+    const tax = cartQuote?.tax;
+    return cart.length && shippingCountry && tax?.country === shippingCountry ? tax : null;
+  }
+
+  function renderTax(tax) {
+    const taxRow = document.getElementById('taxTotalRow');
+    const taxNote = document.getElementById('taxNote');
+
+    if (taxRow) {
+      if (tax?.collected) {
+        const name = t(`tax.${tax.kind}`);
+        const label = tax.rate == null ? name
+          : t(tax.inclusive ? 'tax.includedRow' : 'tax.row', { tax: name, rate: tax.rate.toLocaleString(LOCALE) });
+        document.getElementById('taxTotalLabel').textContent = label;
+        document.getElementById('taxTotal').textContent = formatPrice(tax.amount, cartQuote.currency);
+        taxRow.style.display = 'flex';
+      } else {
+        taxRow.style.display = 'none';
+      }
+    }
+
+    if (taxNote) {
+      const note = tax && !tax.collected ? t(tax.atCheckout ? 'tax.atCheckout' : 'tax.duties') : '';
+      taxNote.textContent = note;
+      taxNote.style.display = note ? 'block' : 'none';
+    }
+  }
+
+  // ═══════════════════════════════════════════
+  // CHECKOUT
+  // ═══════════════════════════════════════════
+  async function checkout() {
+    if (!cart.length) return;
+    const btn = document.getElementById('checkoutBtn');
+    btn.disabled = true;
+    btn.textContent = t('cart.loading');
+
+    try {
+      const res = await fetch(`${options.apiBase}/api/create-checkout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: cart,
+          shippingOption: selectedShippingOption,
+          promoCode: promoCode || undefined,
+          currency: selectedCurrency,
+          locale: root.I18n.locale,
+          country: shippingCountry || undefined,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        if (data.invalidPromoCode) {
+          clearPromoCode(data.error);
+          refreshQuote();
+          open();
+          updateShippingDisplay();
+          return;
+        }
+        if (data.countryRequired) {
+          open();
+          updateShippingDisplay();
+          options.toast(t('shipping.selectCountryFirst'));
+          return;
+        }
+        if (data.shippingChanged) {
+          invalidateShipping();
+          open();
+          updateShippingDisplay();
+          options.toast(t('shipping.changed'));
+          return;
+        }
+        if (applyCheckoutCorrections(data)) return;
+        throw new Error(data.error || t('cart.checkoutFailed'));
+      }
+      const { sessionId, url } = data;
+      if (url) {
+        root.location.href = url;
+      } else {
+        const result = await stripe.redirectToCheckout({ sessionId });
+        if (result.error) throw new Error(result.error.message);
+      }
+    } catch (err) {
+      console.error('Checkout error:', err);
+      options.toast(t('cart.error', { message: err.message }));
+      updateShippingDisplay();
+    }
+  }
+
+  /**
+   * Apply the corrections returned by a rejected checkout — 409 price changes
+   * or 422 unavailable variants. Returns true if the cart was updated.
+   */
+  function applyCheckoutCorrections(data) {
+    const unavailable = new Set((data.unavailable || []).map(Number));
+    const priceChanges = data.priceChanges || [];
+    if (!unavailable.size && !priceChanges.length) return false;
+
+    cart = cart.filter(i => !unavailable.has(i.variantId));
+    priceChanges.forEach(change => {
+      const item = cart.find(i => i.variantId === change.variantId);
+      if (item) item.price = change.newPrice;
+    });
+    // A price change doesn't affect the rates, so the chosen shipping stays
+    commit({ keepShipping: !unavailable.size });
+    open();
+    options.toast(unavailable.size ? t('cart.itemsRemoved') : t('cart.pricesChanged'));
+    return true;
+  }
+
+  // ═══════════════════════════════════════════
+  // CURRENCY
+  // ═══════════════════════════════════════════
+  function defaultCurrency() {
+    const saved = localStorage.getItem(CURRENCY_KEY);
+    if (saved) return saved;
+    for (const lang of navigator.languages || [navigator.language]) {
+      const region = String(lang || '').split('-')[1]?.toUpperCase();
+      if (REGION_CURRENCIES[region]) return REGION_CURRENCIES[region];
+    }
+    return 'EUR';
+  }
+
+  async function initCurrency() {
+    const select = document.getElementById('currencySelect');
+    let currencies = ['EUR'];
+    selectedCurrency = defaultCurrency();
+    try {
+      const res = await fetch(`${options.apiBase}/api/currencies`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      fxRates = data.rates;
+      currencies = data.currencies;
+    } catch (err) {
+      console.warn('Exchange rates unavailable, showing EUR:', err);
+    }
+
+    selectedCurrency = currencies.includes(selectedCurrency) ? selectedCurrency : 'EUR';
+    if (select) {
+      select.innerHTML = currencies.map(c => `<option value="${c}" ${c === selectedCurrency ? 'selected' : ''}>${c}</option>`).join('');
+      select.addEventListener('change', () => setCurrency(select.value));
+    }
+    if (selectedCurrency !== 'EUR') refreshPrices();
+  }
+
+  function setCurrency(code) {
+    selectedCurrency = code;
+    localStorage.setItem(CURRENCY_KEY, code);
+    invalidateShipping();  // rates were quoted in the previous currency
+    refreshPrices();
+  }
+
+  /** Redraw the drawer in the selected currency and let the page redraw its own prices */
+  function refreshPrices() {
+    renderItems();
+    updateShippingDisplay();
+    emit('currency', selectedCurrency);
+  }
+
+  function currency() {
+    return selectedCurrency;
+  }
+
+  /**
+   * Convert a catalog unit price to the selected currency — same rate and rounding
+   * as api/_lib/currency.js, so the drawer matches what Stripe charges.
+   */
+  function convertPrice(amount, from = 'EUR') {
+    if (!fxRates || from === selectedCurrency) return amount;
+    const eur = amount / fxRates[from];
+    return Math.round(eur * fxRates[selectedCurrency] * 100 + Number.EPSILON) / 100;
+  }
+
+  /** Format `qty` units of a catalog price in the selected currency */
+  function formatCatalogPrice(unitPrice, from = 'EUR', qty = 1) {
+    return formatPrice(convertPrice(unitPrice, from) * qty, selectedCurrency);
+  }
+
+  /** Cart subtotal in the selected currency — a sum of converted unit prices */
+  function cartSubtotal() {
+    return cart.reduce((s, i) => s + convertPrice(i.price, i.currency) * i.quantity, 0);
+  }
+
+  function formatPrice(amount, code = 'EUR') {
+    return new Intl.NumberFormat(LOCALE, {
+      style: 'currency',
+      currency: code.toUpperCase(),
+      minimumFractionDigits: 2,
+    }).format(amount);
+  }
+
+  // ═══════════════════════════════════════════
+  // PROMOTIONS
+  // ═══════════════════════════════════════════
+  function initPromoCode() {
+    const input = document.getElementById('promoCodeInput');
+    const btn = document.getElementById('applyPromoBtn');
+    if (!input || !btn) return;
+
+    input.value = promoCode;
+    btn.addEventListener('click', applyPromoCode);
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') { e.preventDefault(); applyPromoCode(); }
+    });
+  }
+
+  function applyPromoCode() {
+    promoCode = document.getElementById('promoCodeInput').value.trim();
+    if (promoCode) localStorage.setItem(PROMO_KEY, promoCode);
+    else localStorage.removeItem(PROMO_KEY);
+    setPromoMessage('');
+    refreshQuote();
+  }
+
+  function clearPromoCode(message) {
+    promoCode = '';
+    localStorage.removeItem(PROMO_KEY);
+    const input = document.getElementById('promoCodeInput');
+    if (input) input.value = '';
+    setPromoMessage(message, true);
+  }
+
+  function setPromoMessage(message, isError = false) {
+    const el = document.getElementById('promoMessage');
+    if (!el) return;
+    el.textContent = message || '';
+    el.classList.toggle('error', isError);
+  }
+
+  /**
+   * The cart changed: drop any totals still in flight for the old one, and ask
+   * again once stepper clicks have settled.
+   */
+  function scheduleQuote() {
+    clearTimeout(quoteTimer);
+    quoteSeq++;
+    quoteTimer = setTimeout(refreshQuote, QUOTE_DELAY_MS);
+  }
+
+  /**
+   * Ask the server for the discounted totals of the current cart. Responses that
+   * arrive after the cart changed or a newer request was sent are dropped.
+   */
+  async function refreshQuote() {
+    clearTimeout(quoteTimer);
+    const seq = ++quoteSeq;
+    if (!cart.length) {
+      cartQuote = null;
+      renderQuote();
+      return;
+    }
+
+    try {
+      const res = await fetch(`${options.apiBase}/api/cart-quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: cart,
+          shippingOption: selectedShippingOption,
+          promoCode: promoCode || undefined,
+          currency: selectedCurrency,
+          country: shippingCountry || undefined,
+        }),
+      });
+      const data = await res.json();
+      if (seq !== quoteSeq) return;
+      if (!res.ok) {
+        cartQuote = null;
+        if (!applyCheckoutCorrections(data)) renderQuote();
+        return;
+      }
+
+      cartQuote = data;
+      if (data.promoCodeError) clearPromoCode(data.promoCodeError);
+      else if (data.promotionCode) setPromoMessage(t('promo.applied', { code: data.promotionCode.code }));
+    } catch {
+      if (seq !== quoteSeq) return;
+      cartQuote = null;  // fall back to undiscounted totals
+    }
+    renderQuote();
+  }
+
+  function renderQuote() {
+    const el = document.getElementById('cartDiscounts');
+    if (el) {
+      const q = cartQuote;
+      const rows = q ? [
+        ...q.discounts.map(d => [discountLabel(d), d.amount]),
+        ...(q.promotionCode ? [[t('promo.codeRow', { code: q.promotionCode.code }), q.promotionCode.amount]] : []),
+      ] : [];
+      const freeShippingHint = q?.freeShippingThreshold && !q.freeShipping
+        ? `<p class="cart-promo-hint">${t('promo.addMore', { amount: formatPrice(q.freeShippingRemaining, q.currency) })}</p>`
+        : q?.freeShipping ? `<p class="cart-promo-hint">${t('promo.qualifies')}</p>` : '';
+
+      el.innerHTML = rows.map(([label, amount]) => `
+        <div class="cart-total-row cart-discount-row">
+          <span>${escapeHtml(label)}</span>
+          <span>−${formatPrice(amount, q.currency)}</span>
+        </div>`).join('') + freeShippingHint;
+    }
+    updateShippingDisplay();
+  }
+
+  /** A promotion rule's name in the storefront language; rules added since fall back to the server's English label */
+  function discountLabel(d) {
+    const key = `promo.rule.${d.id}`;
+    return key in root.I18n.MESSAGES[root.I18n.DEFAULT_LANGUAGE] ? t(key, d.params) : d.label;
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  root.Cart = {
+    init, items, add, remove, setQuantity, replace, saveForLater, moveToCart, reconcile, open, close, isOpen, on,
+    currency, convertPrice, formatPrice, formatCatalogPrice,
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
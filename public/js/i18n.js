@@ -0,0 +1,1052 @@
+/**
+ * Overlay Maps — Translations
+ * Message catalog and language handling shared by store.js, product-page.js,
+ * order-status.js and scripts/build-seo.js (which imports this file to render the
+ * localised pages).
+ *
+ * Exposes window.I18n:
+ *   t('cart.empty'), t('product.from', { price })   — {name} placeholders
+ *   tn('catalog.count', n)                          — picks the .one / .other form
+ *   lang, locale                                    — e.g. 'es', 'es-MX'
+ *
+ * The language comes from the page itself on generated pages (<html data-lang>),
+ * otherwise from ?lang=, the saved choice, or the browser — in that order.
+ * Missing translations fall back to English.
+ */
+
+(function (root) {
+  const DEFAULT_LANGUAGE = 'en';
+  const LANG_KEY = 'overlaymaps_lang';
+
+  // locale is the formatting default when the browser's own locale is another language
+  const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US' },
+    nl: { label: 'Nederlands', locale: 'nl-NL' },
+    es: { label: 'Español', locale: 'es-ES' },
+    de: { label: 'Deutsch', locale: 'de-DE' },
+  };
+
+  const MESSAGES = {
+    en: {
+      'nav.products': 'Products ▾',
+      'header.currency': 'Currency',
+      'header.language': 'Language',
+      'header.openWishlist': 'Open wishlist',
+      'header.openCart': 'Open cart',
+
+      'category.all': 'All',
+      'category.apparel': 'Apparel',
+      'category.posters': 'Posters',
+      'category.stickers': 'Stickers',
+      'category.stationary': 'Stationary',
+      'category.other': 'Other',
+      'category.products': 'Products',
+
+      'hero.eyebrow': 'Where Geo meets Art',
+      'hero.title': 'Maps<br /><em>your way</em>',
+      'hero.sub': 'Posters, shirts, stickers — all printed on demand.<br />Every map tells a story.',
+      'hero.cta': 'Shop the collection',
+
+      'search.placeholder': 'Search maps, cities, countries…',
+      'search.clear': 'Clear',
+      'filter.allCountries': 'All countries',
+      'filter.allIn': 'All of {place}',
+      'continent.africa': 'Africa',
+      'continent.asia': 'Asia',
+      'continent.europe': 'Europe',
+      'continent.north-america': 'North & Central America',
+      'continent.south-america': 'South America',
+      'continent.oceania': 'Oceania',
+      'geo.world': 'World',
+      'map.label': 'Browse by country',
+      'facet.price': 'Price',
+      'facet.priceMin': 'Minimum price',
+      'facet.priceMax': 'Maximum price',
+      'facet.dimensions': 'Dimensions',
+      'facet.size': 'Size',
+      'facet.color': 'Color',
+      'filter.clearAll': 'Clear all',
+      'sort.default': 'Sort: Default',
+      'sort.priceAsc': 'Price: Low to High',
+      'sort.priceDesc': 'Price: High to Low',
+      'sort.nameAsc': 'Name: A to Z',
+      'sort.nameDesc': 'Name: Z to A',
+      'sort.tag.priceAsc': 'Price ↑',
+      'sort.tag.priceDesc': 'Price ↓',
+      'sort.tag.nameAsc': 'A→Z',
+      'sort.tag.nameDesc': 'Z→A',
+
+      'catalog.loading': 'Loading...',
+      'catalog.count.one': '{count} product',
+      'catalog.count.other': '{count} products',
+      'catalog.loadFailed': 'Failed to load products. Please refresh the page.',
+      'catalog.noResults': 'No products found.',
+      'catalog.clearFilters': 'Clear filters',
+      'pagination.prev': '← Prev',
+      'pagination.next': 'Next →',
+      'pagination.info': 'Page {page} of {total}',
+
+      'product.from': 'From {price}',
+      'product.back': '{name} back',
+      'product.front': 'Front',
+      'product.viewImage': 'View image {n}',
+      'product.imageAlt': '{name} view {n}',
+      'product.note': 'Printed & shipped by Printful',
+      'product.unavailable': 'This product is no longer available',
+      'product.perkPrinted': '✓ Printed on demand by Printful',
+      'product.perkShips': '✓ Ships worldwide',
+      'product.perkReturns': '✓ Free returns on defective items',
+      'product.related': 'More {category}',
+      'product.descCountry': '{name} — a unique map-themed {category} featuring {country}.',
+      'product.descGeneric': '{name} — a unique map-themed {category} from Overlay Maps.',
+      'product.descPrinted': 'Printed on demand and shipped worldwide by Printful.',
+      'product.descOptions': 'Available in {count} options.',
+      'breadcrumb.home': 'Home',
+      'breadcrumb.label': 'Breadcrumb',
+
+      'variant.selectOption': 'Select option',
+      'variant.sizeDimensions': 'Size / Dimensions',
+      'variant.option': 'Option',
+      'variant.color': 'Color',
+      'variant.size': 'Size',
+      'variant.quantity': 'Quantity',
+      'cart.add': 'Add to cart',
+      'cart.addWithPrice': 'Add to cart — {price}',
+      'cart.selectOptions': 'Select options',
+      'cart.added': 'Added to cart!',
+
+      'wishlist.title': 'Your Wishlist',
+      'wishlist.sharedTitle': 'Shared wishlist',
+      'wishlist.close': 'Close wishlist',
+      'wishlist.empty': 'Nothing saved yet. Tap ♡ on a design to keep it here.',
+      'wishlist.sharedEmpty': 'None of these designs are available any more.',
+      'wishlist.add': 'Save to wishlist',
+      'wishlist.remove': 'Remove from wishlist',
+      'wishlist.saved': 'Saved to your wishlist',
+      'wishlist.removed': 'Removed from your wishlist',
+      'wishlist.saveAll': 'Save all to my wishlist',
+      'wishlist.savedAll': 'Added to your wishlist',
+      'wishlist.moveToCart': 'Move to cart',
+      'wishlist.option': 'Option',
+      'wishlist.unavailable': 'No longer available',
+      'wishlist.share': 'Share wishlist',
+      'wishlist.shareTitle': 'My Overlay Maps wishlist',
+      'wishlist.copied': 'Wishlist link copied',
+
+      'cartLink.share': 'Share cart',
+      'cartLink.shareTitle': 'My Overlay Maps cart',
+      'cartLink.copied': 'Cart link copied',
+      'cartLink.shareFailed': 'Could not create a cart link. Please try again.',
+      'cartLink.invalid': 'This cart link is invalid or has been changed.',
+      'cartLink.loadFailed': 'Could not load the shared cart. Please try again.',
+      'cartLink.allUnavailable': 'None of the items in this shared cart are available any more.',
+      'cartLink.loaded': 'Shared cart loaded',
+      'cartLink.offer.one': 'A shared cart with {count} item',
+      'cartLink.offer.other': 'A shared cart with {count} items',
+      'cartLink.merge': 'Add to my cart',
+      'cartLink.replace': 'Replace my cart',
+      'cartLink.dismiss': 'Dismiss',
+      'cartLink.merged': 'Added to your cart',
+      'cartLink.replaced': 'Your cart was replaced',
+      'cartLink.unavailable.one': '{count} item is no longer available and was left out.',
+      'cartLink.unavailable.other': '{count} items are no longer available and were left out.',
+
+      'reconcile.title': 'Your cart was updated',
+      'reconcile.price': '{name}: price changed from {old} to {new}',
+      'reconcile.removed': '{name} is no longer available and was removed',
+      'reconcile.dismiss': 'Dismiss',
+      'reconcile.toast.one': 'Your cart was updated ({count} change)',
+      'reconcile.toast.other': 'Your cart was updated ({count} changes)',
+
+      'cart.title': 'Your Cart',
+      'cart.empty': 'Your cart is empty.',
+      'cart.subtotal': 'Subtotal',
+      'cart.remove': 'Remove',
+      'cart.total': 'Total',
+      'cart.checkout': 'Checkout →',
+      'cart.loading': 'Loading…',
+      'cart.selectShippingFirst': 'Select shipping first',
+      'cart.canceled': 'Checkout canceled — your cart is still saved.',
+      'cart.error': 'Error: {message}',
+      'cart.checkoutFailed': 'Checkout failed',
+      'cart.itemsRemoved': 'Some items are no longer available and were removed. Please review your cart.',
+      'cart.pricesChanged': 'Some prices have changed. Please review your cart before checking out.',
+      'cart.each': '{price} each',
+      'cart.quantity': 'Quantity of {name}',
+      'cart.decrease': 'Decrease quantity',
+      'cart.increase': 'Increase quantity',
+      'cart.maxQuantity': 'You can order up to {max} of each item.',
+      'cart.removed': '{name} was removed from your cart.',
+      'cart.undo': 'Undo',
+      'cart.saveForLater': 'Save for later',
+      'cart.savedTitle': 'Saved for later ({count})',
+      'cart.moveToCart': 'Move to cart',
+      'cart.removeSaved': 'Remove from saved items',
+
+      'promo.placeholder': 'Promotion code',
+      'promo.apply': 'Apply',
+      'promo.applied': '{code} applied',
+      'promo.codeRow': 'Code {code}',
+      'promo.addMore': 'Add {amount} more for free shipping',
+      'promo.qualifies': 'You qualify for free shipping',
+      'promo.rule.stickers_3_for_2': '3 stickers for the price of 2',
+      'promo.rule.poster_tshirt_same_country': '{percent}% off a poster + t-shirt from the same country',
+
+      'shipping.estimate': 'Estimate Shipping',
+      'shipping.calculate': 'Calculate',
+      'shipping.calculating': 'Calculating…',
+      'shipping.selectCountry': 'Select country…',
+      'shipping.selectCountryFirst': 'Please select a country first',
+      'shipping.label': 'Shipping',
+      'shipping.free': 'Free',
+      'shipping.note': 'Shipping calculated above or at checkout',
+      'shipping.noRates': 'No shipping rates available for this country.',
+      'shipping.failed': 'Failed to calculate shipping. Please try again.',
+      'shipping.changed': 'Shipping options have changed. Please check your shipping before checking out.',
+      'shipping.days': '{min}–{max} business days',
+
+      'tax.vat': 'VAT',
+      'tax.gst': 'GST',
+      'tax.sales_tax': 'Sales tax',
+      'tax.row': '{tax} ({rate}%)',
+      'tax.includedRow': 'Incl. {tax} ({rate}%)',
+      'tax.duties': 'Import taxes and duties may be charged on delivery',
+      'tax.atCheckout': 'Taxes calculated at checkout',
+
+      'order.pageTitle': 'Your Order — Overlay Maps',
+      'order.title': 'Your Order',
+      'order.confirmedPageTitle': 'Order Confirmed — Overlay Maps',
+      'order.confirmedTitle': 'Order Confirmed!',
+      'order.thanks': 'Thank you for your order. You’ll receive a shipping confirmation email once your order is on its way.',
+      'order.loading': 'Loading your order…',
+      'order.backToShop': 'Back to shop',
+      'order.noReference': 'No order reference found in this link.',
+      'order.loadFailed': 'We couldn’t load your order details right now ({error}). Please refresh in a moment.',
+      'order.stage.received': 'Order received',
+      'order.stage.production': 'In production',
+      'order.stage.shipped': 'Shipped',
+      'order.stage.delivered': 'Delivered',
+      'order.message.payment_pending': 'We’re waiting for your bank to confirm the payment. This page updates automatically.',
+      'order.message.received': 'We’ve received your order and are sending it to production.',
+      'order.message.production': 'Your items are being printed. You’ll get tracking details once they ship.',
+      'order.message.shipped': 'Your order is on its way!',
+      'order.message.delivered': 'Your order has been delivered. Enjoy!',
+      'order.message.canceled': 'This order has been canceled. If you didn’t expect this, please contact us.',
+      'order.attention': 'There’s a problem with this order and our team has been notified. We’ll be in touch by email.',
+      'order.tracking': 'Tracking',
+      'order.carrier': 'Carrier',
+      'order.trackPackage': 'Track package →',
+      'order.items': 'Items',
+      'order.total': 'Total',
+      'order.shippingTo': 'Shipping to',
+      'order.bookmark': 'Bookmark <a href="{url}">your order page</a> to check on it later.',
+
+      'footer.tagline': 'Maps where Geo meets Art',
+      'footer.shop': 'Shop',
+      'footer.info': 'Info',
+      'footer.contact': 'Contact',
+      'footer.powered': 'Powered by Printful + Stripe',
+    },
+
+    nl: {
+      'nav.products': 'Producten ▾',
+      'header.currency': 'Valuta',
+      'header.language': 'Taal',
+      'header.openWishlist': 'Verlanglijst openen',
+      'header.openCart': 'Winkelwagen openen',
+
+      'category.all': 'Alles',
+      'category.apparel': 'Kleding',
+      'category.posters': 'Posters',
+      'category.stickers': 'Stickers',
+      'category.stationary': 'Kantoorartikelen',
+      'category.other': 'Overig',
+      'category.products': 'Producten',
+
+      'hero.eyebrow': 'Waar geo en kunst samenkomen',
+      'hero.title': 'Kaarten<br /><em>op jouw manier</em>',
+      'hero.sub': 'Posters, shirts, stickers — allemaal op bestelling gedrukt.<br />Elke kaart vertelt een verhaal.',
+      'hero.cta': 'Bekijk de collectie',
+
+      'search.placeholder': 'Zoek kaarten, steden, landen…',
+      'search.clear': 'Wissen',
+      'filter.allCountries': 'Alle landen',
+      'filter.allIn': 'Heel {place}',
+      'continent.africa': 'Afrika',
+      'continent.asia': 'Azië',
+      'continent.europe': 'Europa',
+      'continent.north-america': 'Noord- en Midden-Amerika',
+      'continent.south-america': 'Zuid-Amerika',
+      'continent.oceania': 'Oceanië',
+      'geo.world': 'Wereld',
+      'map.label': 'Bladeren per land',
+      'facet.price': 'Prijs',
+      'facet.priceMin': 'Minimumprijs',
+      'facet.priceMax': 'Maximumprijs',
+      'facet.dimensions': 'Afmetingen',
+      'facet.size': 'Maat',
+      'facet.color': 'Kleur',
+      'filter.clearAll': 'Alles wissen',
+      'sort.default': 'Sorteren: standaard',
+      'sort.priceAsc': 'Prijs: laag naar hoog',
+      'sort.priceDesc': 'Prijs: hoog naar laag',
+      'sort.nameAsc': 'Naam: A tot Z',
+      'sort.nameDesc': 'Naam: Z tot A',
+      'sort.tag.priceAsc': 'Prijs ↑',
+      'sort.tag.priceDesc': 'Prijs ↓',
+
+      'catalog.loading': 'Laden...',
+      'catalog.count.one': '{count} product',
+      'catalog.count.other': '{count} producten',
+      'catalog.loadFailed': 'Producten konden niet worden geladen. Vernieuw de pagina.',
+      'catalog.noResults': 'Geen producten gevonden.',
+      'catalog.clearFilters': 'Filters wissen',
+      'pagination.prev': '← Vorige',
+      'pagination.next': 'Volgende →',
+      'pagination.info': 'Pagina {page} van {total}',
+
+      'product.from': 'Vanaf {price}',
+      'product.back': '{name} achterkant',
+      'product.front': 'Voorkant',
+      'product.viewImage': 'Afbeelding {n} bekijken',
+      'product.imageAlt': '{name} weergave {n}',
+      'product.note': 'Gedrukt en verzonden door Printful',
+      'product.unavailable': 'Dit product is niet meer verkrijgbaar',
+      'product.perkPrinted': '✓ Op bestelling gedrukt door Printful',
+      'product.perkShips': '✓ Wereldwijde verzending',
+      'product.perkReturns': '✓ Gratis retour bij defecte artikelen',
+      'product.related': 'Meer {category}',
+      'product.descCountry': '{name} — een uniek kaartontwerp met {country}, uit onze collectie {collection}.',
+      'product.descGeneric': '{name} — een uniek kaartontwerp uit de collectie {collection} van Overlay Maps.',
+      'product.descPrinted': 'Op bestelling gedrukt en wereldwijd verzonden door Printful.',
+      'product.descOptions': 'Verkrijgbaar in {count} varianten.',
+      'breadcrumb.home': 'Home',
+      'breadcrumb.label': 'Kruimelpad',
+
+      'variant.selectOption': 'Kies een optie',
+      'variant.sizeDimensions': 'Maat / afmetingen',
+      'variant.option': 'Optie',
+      'variant.color': 'Kleur',
+      'variant.size': 'Maat',
+      'variant.quantity': 'Aantal',
+      'cart.add': 'In winkelwagen',
+      'cart.addWithPrice': 'In winkelwagen — {price}',
+      'cart.selectOptions': 'Kies opties',
+      'cart.added': 'Toegevoegd aan winkelwagen!',
+
+      'wishlist.title': 'Je verlanglijst',
+      'wishlist.sharedTitle': 'Gedeelde verlanglijst',
+      'wishlist.close': 'Verlanglijst sluiten',
+      'wishlist.empty': 'Nog niets bewaard. Tik op ♡ bij een ontwerp om het hier te bewaren.',
+      'wishlist.sharedEmpty': 'Geen van deze ontwerpen is nog beschikbaar.',
+      'wishlist.add': 'Bewaren op verlanglijst',
+      'wishlist.remove': 'Verwijderen van verlanglijst',
+      'wishlist.saved': 'Bewaard op je verlanglijst',
+      'wishlist.removed': 'Verwijderd van je verlanglijst',
+      'wishlist.saveAll': 'Alles op mijn verlanglijst zetten',
+      'wishlist.savedAll': 'Toegevoegd aan je verlanglijst',
+      'wishlist.moveToCart': 'Naar winkelwagen',
+      'wishlist.option': 'Optie',
+      'wishlist.unavailable': 'Niet meer beschikbaar',
+      'wishlist.share': 'Verlanglijst delen',
+      'wishlist.shareTitle': 'Mijn Overlay Maps-verlanglijst',
+      'wishlist.copied': 'Link naar verlanglijst gekopieerd',
+
+      'cartLink.share': 'Winkelwagen delen',
+      'cartLink.shareTitle': 'Mijn Overlay Maps-winkelwagen',
+      'cartLink.copied': 'Link naar winkelwagen gekopieerd',
+      'cartLink.shareFailed': 'Kon geen winkelwagenlink maken. Probeer het opnieuw.',
+      'cartLink.invalid': 'Deze winkelwagenlink is ongeldig of aangepast.',
+      'cartLink.loadFailed': 'Kon de gedeelde winkelwagen niet laden. Probeer het opnieuw.',
+      'cartLink.allUnavailable': 'Geen van de artikelen in deze gedeelde winkelwagen is nog beschikbaar.',
+      'cartLink.loaded': 'Gedeelde winkelwagen geladen',
+      'cartLink.offer.one': 'Een gedeelde winkelwagen met {count} artikel',
+      'cartLink.offer.other': 'Een gedeelde winkelwagen met {count} artikelen',
+      'cartLink.merge': 'Toevoegen aan mijn winkelwagen',
+      'cartLink.replace': 'Mijn winkelwagen vervangen',
+      'cartLink.dismiss': 'Sluiten',
+      'cartLink.merged': 'Toegevoegd aan je winkelwagen',
+      'cartLink.replaced': 'Je winkelwagen is vervangen',
+      'cartLink.unavailable.one': '{count} artikel is niet meer beschikbaar en is weggelaten.',
+      'cartLink.unavailable.other': '{count} artikelen zijn niet meer beschikbaar en zijn weggelaten.',
+
+      'reconcile.title': 'Je winkelwagen is bijgewerkt',
+      'reconcile.price': '{name}: prijs gewijzigd van {old} naar {new}',
+      'reconcile.removed': '{name} is niet meer beschikbaar en is verwijderd',
+      'reconcile.dismiss': 'Sluiten',
+      'reconcile.toast.one': 'Je winkelwagen is bijgewerkt ({count} wijziging)',
+      'reconcile.toast.other': 'Je winkelwagen is bijgewerkt ({count} wijzigingen)',
+
+      'cart.title': 'Je winkelwagen',
+      'cart.empty': 'Je winkelwagen is leeg.',
+      'cart.subtotal': 'Subtotaal',
+      'cart.remove': 'Verwijderen',
+      'cart.total': 'Totaal',
+      'cart.checkout': 'Afrekenen →',
+      'cart.loading': 'Laden…',
+      'cart.selectShippingFirst': 'Kies eerst een verzendoptie',
+      'cart.canceled': 'Afrekenen geannuleerd — je winkelwagen is bewaard.',
+      'cart.error': 'Fout: {message}',
+      'cart.checkoutFailed': 'Afrekenen mislukt',
+      'cart.itemsRemoved': 'Sommige artikelen zijn niet meer beschikbaar en zijn verwijderd. Controleer je winkelwagen.',
+      'cart.pricesChanged': 'Sommige prijzen zijn gewijzigd. Controleer je winkelwagen voordat je afrekent.',
+      'cart.each': '{price} per stuk',
+      'cart.quantity': 'Aantal van {name}',
+      'cart.decrease': 'Aantal verlagen',
+      'cart.increase': 'Aantal verhogen',
+      'cart.maxQuantity': 'Je kunt maximaal {max} stuks per artikel bestellen.',
+      'cart.removed': '{name} is uit je winkelwagen verwijderd.',
+      'cart.undo': 'Ongedaan maken',
+      'cart.saveForLater': 'Bewaren voor later',
+      'cart.savedTitle': 'Bewaard voor later ({count})',
+      'cart.moveToCart': 'Naar winkelwagen',
+      'cart.removeSaved': 'Verwijderen uit bewaarde artikelen',
+
+      'promo.placeholder': 'Kortingscode',
+      'promo.apply': 'Toepassen',
+      'promo.applied': '{code} toegepast',
+      'promo.codeRow': 'Code {code}',
+      'promo.addMore': 'Nog {amount} voor gratis verzending',
+      'promo.qualifies': 'Je bestelling wordt gratis verzonden',
+      'promo.rule.stickers_3_for_2': '3 stickers voor de prijs van 2',
+      'promo.rule.poster_tshirt_same_country': '{percent}% korting op een poster + T-shirt uit hetzelfde land',
+
+      'shipping.estimate': 'Verzendkosten berekenen',
+      'shipping.calculate': 'Berekenen',
+      'shipping.calculating': 'Berekenen…',
+      'shipping.selectCountry': 'Kies een land…',
+      'shipping.selectCountryFirst': 'Kies eerst een land',
+      'shipping.label': 'Verzending',
+      'shipping.free': 'Gratis',
+      'shipping.note': 'Verzendkosten worden hierboven of bij het afrekenen berekend',
+      'shipping.noRates': 'Geen verzendopties beschikbaar voor dit land.',
+      'shipping.failed': 'Verzendkosten konden niet worden berekend. Probeer het opnieuw.',
+      'shipping.changed': 'De verzendopties zijn gewijzigd. Controleer je verzending voordat je afrekent.',
+      'shipping.days': '{min}–{max} werkdagen',
+
+      'tax.vat': 'btw',
+      'tax.gst': 'GST',
+      'tax.sales_tax': 'Omzetbelasting',
+      'tax.row': '{tax} ({rate}%)',
+      'tax.includedRow': 'Incl. {tax} ({rate}%)',
+      'tax.duties': 'Bij levering kunnen invoerrechten en belastingen worden gerekend',
+      'tax.atCheckout': 'Belastingen worden bij het afrekenen berekend',
+
+      'order.pageTitle': 'Je bestelling — Overlay Maps',
+      'order.title': 'Je bestelling',
+      'order.confirmedPageTitle': 'Bestelling bevestigd — Overlay Maps',
+      'order.confirmedTitle': 'Bestelling bevestigd!',
+      'order.thanks': 'Bedankt voor je bestelling. Je ontvangt een verzendbevestiging per e-mail zodra je bestelling onderweg is.',
+      'order.loading': 'Je bestelling wordt geladen…',
+      'order.backToShop': 'Terug naar de winkel',
+      'order.noReference': 'Deze link bevat geen bestelreferentie.',
+      'order.loadFailed': 'We konden je bestelgegevens nu niet laden ({error}). Vernieuw de pagina zo meteen.',
+      'order.stage.received': 'Bestelling ontvangen',
+      'order.stage.production': 'In productie',
+      'order.stage.shipped': 'Verzonden',
+      'order.stage.delivered': 'Bezorgd',
+      'order.message.payment_pending': 'We wachten tot je bank de betaling bevestigt. Deze pagina wordt automatisch bijgewerkt.',
+      'order.message.received': 'We hebben je bestelling ontvangen en sturen hem naar productie.',
+      'order.message.production': 'Je artikelen worden gedrukt. Je krijgt de track-and-tracegegevens zodra ze verzonden zijn.',
+      'order.message.shipped': 'Je bestelling is onderweg!',
+      'order.message.delivered': 'Je bestelling is bezorgd. Veel plezier ermee!',
+      'order.message.canceled': 'Deze bestelling is geannuleerd. Had je dit niet verwacht? Neem dan contact met ons op.',
+      'order.attention': 'Er is een probleem met deze bestelling en ons team is op de hoogte. We nemen per e-mail contact met je op.',
+      'order.tracking': 'Track-and-trace',
+      'order.carrier': 'Vervoerder',
+      'order.trackPackage': 'Volg je pakket →',
+      'order.items': 'Artikelen',
+      'order.total': 'Totaal',
+      'order.shippingTo': 'Verzenden naar',
+      'order.bookmark': 'Bewaar <a href="{url}">je bestelpagina</a> om hem later terug te zien.',
+
+      'footer.tagline': 'Kaarten waar geo en kunst samenkomen',
+      'footer.shop': 'Winkel',
+      'footer.info': 'Info',
+      'footer.contact': 'Contact',
+      'footer.powered': 'Mogelijk gemaakt door Printful + Stripe',
+    },
+
+    es: {
+      'nav.products': 'Productos ▾',
+      'header.currency': 'Moneda',
+      'header.language': 'Idioma',
+      'header.openWishlist': 'Abrir lista de deseos',
+      'header.openCart': 'Abrir carrito',
+
+      'category.all': 'Todo',
+      'category.apparel': 'Ropa',
+      'category.posters': 'Pósters',
+      'category.stickers': 'Pegatinas',
+      'category.stationary': 'Papelería',
+      'category.other': 'Otros',
+      'category.products': 'Productos',
+
+      'hero.eyebrow': 'Donde la geografía se une al arte',
+      'hero.title': 'Mapas<br /><em>a tu manera</em>',
+      'hero.sub': 'Pósters, camisetas, pegatinas — todo impreso bajo demanda.<br />Cada mapa cuenta una historia.',
+      'hero.cta': 'Ver la colección',
+
+      'search.placeholder': 'Busca mapas, ciudades, países…',
+      'search.clear': 'Borrar',
+      'filter.allCountries': 'Todos los países',
+      'filter.allIn': 'Toda {place}',
+      'continent.africa': 'África',
+      'continent.asia': 'Asia',
+      'continent.europe': 'Europa',
+      'continent.north-america': 'América del Norte y Central',
+      'continent.south-america': 'Sudamérica',
+      'continent.oceania': 'Oceanía',
+      'geo.world': 'Mundo',
+      'map.label': 'Explorar por país',
+      'facet.price': 'Precio',
+      'facet.priceMin': 'Precio mínimo',
+      'facet.priceMax': 'Precio máximo',
+      'facet.dimensions': 'Medidas',
+      'facet.size': 'Talla',
+      'facet.color': 'Color',
+      'filter.clearAll': 'Borrar todo',
+      'sort.default': 'Ordenar: predeterminado',
+      'sort.priceAsc': 'Precio: de menor a mayor',
+      'sort.priceDesc': 'Precio: de mayor a menor',
+      'sort.nameAsc': 'Nombre: A a Z',
+      'sort.nameDesc': 'Nombre: Z a A',
+      'sort.tag.priceAsc': 'Precio ↑',
+      'sort.tag.priceDesc': 'Precio ↓',
+
+      'catalog.loading': 'Cargando...',
+      'catalog.count.one': '{count} producto',
+      'catalog.count.other': '{count} productos',
+      'catalog.loadFailed': 'No se pudieron cargar los productos. Actualiza la página.',
+      'catalog.noResults': 'No se encontraron productos.',
+      'catalog.clearFilters': 'Borrar filtros',
+      'pagination.prev': '← Anterior',
+      'pagination.next': 'Siguiente →',
+      'pagination.info': 'Página {page} de {total}',
+
+      'product.from': 'Desde {price}',
+      'product.back': '{name} reverso',
+      'product.front': 'Frente',
+      'product.viewImage': 'Ver imagen {n}',
+      'product.imageAlt': '{name} vista {n}',
+      'product.note': 'Impreso y enviado por Printful',
+      'product.unavailable': 'Este producto ya no está disponible',
+      'product.perkPrinted': '✓ Impreso bajo demanda por Printful',
+      'product.perkShips': '✓ Envíos a todo el mundo',
+      'product.perkReturns': '✓ Devoluciones gratuitas de artículos defectuosos',
+      'product.related': 'Más {category}',
+      'product.descCountry': '{name} — un diseño de mapa único de {country}, de nuestra colección de {collection}.',
+      'product.descGeneric': '{name} — un diseño de mapa único de la colección de {collection} de Overlay Maps.',
+      'product.descPrinted': 'Impreso bajo demanda y enviado a todo el mundo por Printful.',
+      'product.descOptions': 'Disponible en {count} opciones.',
+      'breadcrumb.home': 'Inicio',
+      'breadcrumb.label': 'Ruta de navegación',
+
+      'variant.selectOption': 'Elige una opción',
+      'variant.sizeDimensions': 'Talla / dimensiones',
+      'variant.option': 'Opción',
+      'variant.color': 'Color',
+      'variant.size': 'Talla',
+      'variant.quantity': 'Cantidad',
+      'cart.add': 'Añadir al carrito',
+      'cart.addWithPrice': 'Añadir al carrito — {price}',
+      'cart.selectOptions': 'Elige las opciones',
+      'cart.added': '¡Añadido al carrito!',
+
+      'wishlist.title': 'Tu lista de deseos',
+      'wishlist.sharedTitle': 'Lista de deseos compartida',
+      'wishlist.close': 'Cerrar lista de deseos',
+      'wishlist.empty': 'Aún no has guardado nada. Toca ♡ en un diseño para guardarlo aquí.',
+      'wishlist.sharedEmpty': 'Ninguno de estos diseños sigue disponible.',
+      'wishlist.add': 'Guardar en la lista de deseos',
+      'wishlist.remove': 'Quitar de la lista de deseos',
+      'wishlist.saved': 'Guardado en tu lista de deseos',
+      'wishlist.removed': 'Quitado de tu lista de deseos',
+      'wishlist.saveAll': 'Guardar todo en mi lista',
+      'wishlist.savedAll': 'Añadido a tu lista de deseos',
+      'wishlist.moveToCart': 'Mover al carrito',
+      'wishlist.option': 'Opción',
+      'wishlist.unavailable': 'Ya no está disponible',
+      'wishlist.share': 'Compartir lista de deseos',
+      'wishlist.shareTitle': 'Mi lista de deseos de Overlay Maps',
+      'wishlist.copied': 'Enlace de la lista copiado',
+
+      'cartLink.share': 'Compartir carrito',
+      'cartLink.shareTitle': 'Mi carrito de Overlay Maps',
+      'cartLink.copied': 'Enlace del carrito copiado',
+      'cartLink.shareFailed': 'No se pudo crear el enlace del carrito. Inténtalo de nuevo.',
+      'cartLink.invalid': 'Este enlace de carrito no es válido o ha sido modificado.',
+      'cartLink.loadFailed': 'No se pudo cargar el carrito compartido. Inténtalo de nuevo.',
+      'cartLink.allUnavailable': 'Ninguno de los artículos de este carrito compartido sigue disponible.',
+      'cartLink.loaded': 'Carrito compartido cargado',
+      'cartLink.offer.one': 'Un carrito compartido con {count} artículo',
+      'cartLink.offer.other': 'Un carrito compartido con {count} artículos',
+      'cartLink.merge': 'Añadir a mi carrito',
+      'cartLink.replace': 'Reemplazar mi carrito',
+      'cartLink.dismiss': 'Descartar',
+      'cartLink.merged': 'Añadido a tu carrito',
+      'cartLink.replaced': 'Se ha reemplazado tu carrito',
+      'cartLink.unavailable.one': '{count} artículo ya no está disponible y se ha omitido.',
+      'cartLink.unavailable.other': '{count} artículos ya no están disponibles y se han omitido.',
+
+      'reconcile.title': 'Tu carrito se ha actualizado',
+      'reconcile.price': '{name}: el precio cambió de {old} a {new}',
+      'reconcile.removed': '{name} ya no está disponible y se ha eliminado',
+      'reconcile.dismiss': 'Descartar',
+      'reconcile.toast.one': 'Tu carrito se ha actualizado ({count} cambio)',
+      'reconcile.toast.other': 'Tu carrito se ha actualizado ({count} cambios)',
+
+      'cart.title': 'Tu carrito',
+      'cart.empty': 'Tu carrito está vacío.',
+      'cart.subtotal': 'Subtotal',
+      'cart.remove': 'Eliminar',
+      'cart.total': 'Total',
+      'cart.checkout': 'Pagar →',
+      'cart.loading': 'Cargando…',
+      'cart.selectShippingFirst': 'Elige primero el envío',
+      'cart.canceled': 'Pago cancelado — tu carrito sigue guardado.',
+      'cart.error': 'Error: {message}',
+      'cart.checkoutFailed': 'No se pudo completar el pago',
+      'cart.itemsRemoved': 'Algunos artículos ya no están disponibles y se han eliminado. Revisa tu carrito.',
+      'cart.pricesChanged': 'Algunos precios han cambiado. Revisa tu carrito antes de pagar.',
+      'cart.each': '{price} c/u',
+      'cart.quantity': 'Cantidad de {name}',
+      'cart.decrease': 'Reducir cantidad',
+      'cart.increase': 'Aumentar cantidad',
+      'cart.maxQuantity': 'Puedes pedir hasta {max} unidades de cada artículo.',
+      'cart.removed': 'Se ha eliminado {name} del carrito.',
+      'cart.undo': 'Deshacer',
+      'cart.saveForLater': 'Guardar para después',
+      'cart.savedTitle': 'Guardado para después ({count})',
+      'cart.moveToCart': 'Mover al carrito',
+      'cart.removeSaved': 'Quitar de guardados',
+
+      'promo.placeholder': 'Código promocional',
+      'promo.apply': 'Aplicar',
+      'promo.applied': '{code} aplicado',
+      'promo.codeRow': 'Código {code}',
+      'promo.addMore': 'Añade {amount} más para envío gratis',
+      'promo.qualifies': 'Tu pedido tiene envío gratis',
+      'promo.rule.stickers_3_for_2': '3 pegatinas por el precio de 2',
+      'promo.rule.poster_tshirt_same_country': '{percent}% de descuento en un póster + camiseta del mismo país',
+
+      'shipping.estimate': 'Calcular envío',
+      'shipping.calculate': 'Calcular',
+      'shipping.calculating': 'Calculando…',
+      'shipping.selectCountry': 'Elige un país…',
+      'shipping.selectCountryFirst': 'Elige primero un país',
+      'shipping.label': 'Envío',
+      'shipping.free': 'Gratis',
+      'shipping.note': 'El envío se calcula arriba o al pagar',
+      'shipping.noRates': 'No hay opciones de envío para este país.',
+      'shipping.failed': 'No se pudo calcular el envío. Inténtalo de nuevo.',
+      'shipping.changed': 'Las opciones de envío han cambiado. Revisa el envío antes de pagar.',
+      'shipping.days': '{min}–{max} días hábiles',
+
+      'tax.vat': 'IVA',
+      'tax.gst': 'GST',
+      'tax.sales_tax': 'Impuesto sobre las ventas',
+      'tax.row': '{tax} ({rate}%)',
+      'tax.includedRow': '{tax} incluido ({rate}%)',
+      'tax.duties': 'Es posible que se cobren impuestos y aranceles de importación en la entrega',
+      'tax.atCheckout': 'Impuestos calculados al pagar',
+
+      'order.pageTitle': 'Tu pedido — Overlay Maps',
+      'order.title': 'Tu pedido',
+      'order.confirmedPageTitle': 'Pedido confirmado — Overlay Maps',
+      'order.confirmedTitle': '¡Pedido confirmado!',
+      'order.thanks': 'Gracias por tu pedido. Recibirás un correo de confirmación de envío cuando tu pedido esté en camino.',
+      'order.loading': 'Cargando tu pedido…',
+      'order.backToShop': 'Volver a la tienda',
+      'order.noReference': 'Este enlace no contiene ninguna referencia de pedido.',
+      'order.loadFailed': 'No hemos podido cargar los detalles de tu pedido ({error}). Actualiza la página en un momento.',
+      'order.stage.received': 'Pedido recibido',
+      'order.stage.production': 'En producción',
+      'order.stage.shipped': 'Enviado',
+      'order.stage.delivered': 'Entregado',
+      'order.message.payment_pending': 'Estamos esperando a que tu banco confirme el pago. Esta página se actualiza automáticamente.',
+      'order.message.received': 'Hemos recibido tu pedido y lo estamos enviando a producción.',
+      'order.message.production': 'Tus artículos se están imprimiendo. Recibirás los datos de seguimiento cuando se envíen.',
+      'order.message.shipped': '¡Tu pedido está en camino!',
+      'order.message.delivered': 'Tu pedido ha sido entregado. ¡Que lo disfrutes!',
+      'order.message.canceled': 'Este pedido ha sido cancelado. Si no lo esperabas, ponte en contacto con nosotros.',
+      'order.attention': 'Hay un problema con este pedido y nuestro equipo ya está avisado. Te escribiremos por correo.',
+      'order.tracking': 'Seguimiento',
+      'order.carrier': 'Transportista',
+      'order.trackPackage': 'Seguir paquete →',
+      'order.items': 'Artículos',
+      'order.total': 'Total',
+      'order.shippingTo': 'Envío a',
+      'order.bookmark': 'Guarda <a href="{url}">la página de tu pedido</a> para consultarlo más tarde.',
+
+      'footer.tagline': 'Mapas donde la geografía se une al arte',
+      'footer.shop': 'Tienda',
+      'footer.info': 'Información',
+      'footer.contact': 'Contacto',
+      'footer.powered': 'Con la tecnología de Printful + Stripe',
+    },
+
+    de: {
+      'nav.products': 'Produkte ▾',
+      'header.currency': 'Währung',
+      'header.language': 'Sprache',
+      'header.openWishlist': 'Wunschliste öffnen',
+      'header.openCart': 'Warenkorb öffnen',
+
+      'category.all': 'Alle',
+      'category.apparel': 'Bekleidung',
+      'category.posters': 'Poster',
+      'category.stickers': 'Sticker',
+      'category.stationary': 'Schreibwaren',
+      'category.other': 'Sonstiges',
+      'category.products': 'Produkte',
+
+      'hero.eyebrow': 'Wo Geografie auf Kunst trifft',
+      'hero.title': 'Karten<br /><em>nach deinem Stil</em>',
+      'hero.sub': 'Poster, Shirts, Sticker — alles auf Bestellung gedruckt.<br />Jede Karte erzählt eine Geschichte.',
+      'hero.cta': 'Zur Kollektion',
+
+      'search.placeholder': 'Karten, Städte, Länder suchen…',
+      'search.clear': 'Löschen',
+      'filter.allCountries': 'Alle Länder',
+      'filter.allIn': 'Ganz {place}',
+      'continent.africa': 'Afrika',
+      'continent.asia': 'Asien',
+      'continent.europe': 'Europa',
+      'continent.north-america': 'Nord- und Mittelamerika',
+      'continent.south-america': 'Südamerika',
+      'continent.oceania': 'Ozeanien',
+      'geo.world': 'Welt',
+      'map.label': 'Nach Land stöbern',
+      'facet.price': 'Preis',
+      'facet.priceMin': 'Mindestpreis',
+      'facet.priceMax': 'Höchstpreis',
+      'facet.dimensions': 'Abmessungen',
+      'facet.size': 'Größe',
+      'facet.color': 'Farbe',
+      'filter.clearAll': 'Alle entfernen',
+      'sort.default': 'Sortieren: Standard',
+      'sort.priceAsc': 'Preis: aufsteigend',
+      'sort.priceDesc': 'Preis: absteigend',
+      'sort.nameAsc': 'Name: A bis Z',
+      'sort.nameDesc': 'Name: Z bis A',
+      'sort.tag.priceAsc': 'Preis ↑',
+      'sort.tag.priceDesc': 'Preis ↓',
+
+      'catalog.loading': 'Wird geladen...',
+      'catalog.count.one': '{count} Produkt',
+      'catalog.count.other': '{count} Produkte',
+      'catalog.loadFailed': 'Produkte konnten nicht geladen werden. Bitte lade die Seite neu.',
+      'catalog.noResults': 'Keine Produkte gefunden.',
+      'catalog.clearFilters': 'Filter entfernen',
+      'pagination.prev': '← Zurück',
+      'pagination.next': 'Weiter →',
+      'pagination.info': 'Seite {page} von {total}',
+
+      'product.from': 'Ab {price}',
+      'product.back': '{name} Rückseite',
+      'product.front': 'Vorderseite',
+      'product.viewImage': 'Bild {n} ansehen',
+      'product.imageAlt': '{name} Ansicht {n}',
+      'product.note': 'Gedruckt und versendet von Printful',
+      'product.unavailable': 'Dieses Produkt ist nicht mehr erhältlich',
+      'product.perkPrinted': '✓ Auf Bestellung gedruckt von Printful',
+      'product.perkShips': '✓ Weltweiter Versand',
+      'product.perkReturns': '✓ Kostenlose Rücksendung bei defekten Artikeln',
+      'product.related': 'Mehr {category}',
+      'product.descCountry': '{name} — ein einzigartiges Kartendesign mit {country} aus unserer Kollektion {collection}.',
+      'product.descGeneric': '{name} — ein einzigartiges Kartendesign aus der Overlay-Maps-Kollektion {collection}.',
+      'product.descPrinted': 'Auf Bestellung gedruckt und weltweit versendet von Printful.',
+      'product.descOptions': 'Erhältlich in {count} Varianten.',
+      'breadcrumb.home': 'Startseite',
+      'breadcrumb.label': 'Brotkrümelnavigation',
+
+      'variant.selectOption': 'Option wählen',
+      'variant.sizeDimensions': 'Größe / Abmessungen',
+      'variant.option': 'Option',
+      'variant.color': 'Farbe',
+      'variant.size': 'Größe',
+      'variant.quantity': 'Menge',
+      'cart.add': 'In den Warenkorb',
+      'cart.addWithPrice': 'In den Warenkorb — {price}',
+      'cart.selectOptions': 'Optionen wählen',
+      'cart.added': 'Zum Warenkorb hinzugefügt!',
+
+      'wishlist.title': 'Deine Wunschliste',
+      'wishlist.sharedTitle': 'Geteilte Wunschliste',
+      'wishlist.close': 'Wunschliste schließen',
+      'wishlist.empty': 'Noch nichts gespeichert. Tippe bei einem Design auf ♡, um es hier zu behalten.',
+      'wishlist.sharedEmpty': 'Keines dieser Designs ist noch erhältlich.',
+      'wishlist.add': 'Auf die Wunschliste',
+      'wishlist.remove': 'Von der Wunschliste entfernen',
+      'wishlist.saved': 'Auf deiner Wunschliste gespeichert',
+      'wishlist.removed': 'Von deiner Wunschliste entfernt',
+      'wishlist.saveAll': 'Alle auf meine Wunschliste',
+      'wishlist.savedAll': 'Zu deiner Wunschliste hinzugefügt',
+      'wishlist.moveToCart': 'In den Warenkorb',
+      'wishlist.option': 'Option',
+      'wishlist.unavailable': 'Nicht mehr erhältlich',
+      'wishlist.share': 'Wunschliste teilen',
+      'wishlist.shareTitle': 'Meine Overlay-Maps-Wunschliste',
+      'wishlist.copied': 'Link zur Wunschliste kopiert',
+
+      'cartLink.share': 'Warenkorb teilen',
+      'cartLink.shareTitle': 'Mein Overlay-Maps-Warenkorb',
+      'cartLink.copied': 'Link zum Warenkorb kopiert',
+      'cartLink.shareFailed': 'Der Warenkorb-Link konnte nicht erstellt werden. Bitte versuche es erneut.',
+      'cartLink.invalid': 'Dieser Warenkorb-Link ist ungültig oder wurde verändert.',
+      'cartLink.loadFailed': 'Der geteilte Warenkorb konnte nicht geladen werden. Bitte versuche es erneut.',
+      'cartLink.allUnavailable': 'Keiner der Artikel in diesem geteilten Warenkorb ist noch erhältlich.',
+      'cartLink.loaded': 'Geteilter Warenkorb geladen',
+      'cartLink.offer.one': 'Ein geteilter Warenkorb mit {count} Artikel',
+      'cartLink.offer.other': 'Ein geteilter Warenkorb mit {count} Artikeln',
+      'cartLink.merge': 'Zu meinem Warenkorb hinzufügen',
+      'cartLink.replace': 'Meinen Warenkorb ersetzen',
+      'cartLink.dismiss': 'Schließen',
+      'cartLink.merged': 'Zu deinem Warenkorb hinzugefügt',
+      'cartLink.replaced': 'Dein Warenkorb wurde ersetzt',
+      'cartLink.unavailable.one': '{count} Artikel ist nicht mehr erhältlich und wurde weggelassen.',
+      'cartLink.unavailable.other': '{count} Artikel sind nicht mehr erhältlich und wurden weggelassen.',
+
+      'reconcile.title': 'Dein Warenkorb wurde aktualisiert',
+      'reconcile.price': '{name}: Preis geändert von {old} auf {new}',
+      'reconcile.removed': '{name} ist nicht mehr erhältlich und wurde entfernt',
+      'reconcile.dismiss': 'Schließen',
+      'reconcile.toast.one': 'Dein Warenkorb wurde aktualisiert ({count} Änderung)',
+      'reconcile.toast.other': 'Dein Warenkorb wurde aktualisiert ({count} Änderungen)',
+
+      'cart.title': 'Dein Warenkorb',
+      'cart.empty': 'Dein Warenkorb ist leer.',
+      'cart.subtotal': 'Zwischensumme',
+      'cart.remove': 'Entfernen',
+      'cart.total': 'Gesamt',
+      'cart.checkout': 'Zur Kasse →',
+      'cart.loading': 'Wird geladen…',
+      'cart.selectShippingFirst': 'Bitte zuerst Versand wählen',
+      'cart.canceled': 'Bezahlung abgebrochen — dein Warenkorb bleibt gespeichert.',
+      'cart.error': 'Fehler: {message}',
+      'cart.checkoutFailed': 'Bezahlung fehlgeschlagen',
+      'cart.itemsRemoved': 'Einige Artikel sind nicht mehr verfügbar und wurden entfernt. Bitte prüfe deinen Warenkorb.',
+      'cart.pricesChanged': 'Einige Preise haben sich geändert. Bitte prüfe deinen Warenkorb vor der Bezahlung.',
+      'cart.each': '{price} pro Stück',
+      'cart.quantity': 'Menge von {name}',
+      'cart.decrease': 'Menge verringern',
+      'cart.increase': 'Menge erhöhen',
+      'cart.maxQuantity': 'Du kannst bis zu {max} Stück pro Artikel bestellen.',
+      'cart.removed': '{name} wurde aus dem Warenkorb entfernt.',
+      'cart.undo': 'Rückgängig',
+      'cart.saveForLater': 'Für später speichern',
+      'cart.savedTitle': 'Für später gespeichert ({count})',
+      'cart.moveToCart': 'In den Warenkorb',
+      'cart.removeSaved': 'Aus gespeicherten Artikeln entfernen',
+
+      'promo.placeholder': 'Gutscheincode',
+      'promo.apply': 'Einlösen',
+      'promo.applied': '{code} eingelöst',
+      'promo.codeRow': 'Code {code}',
+      'promo.addMore': 'Noch {amount} bis zum kostenlosen Versand',
+      'promo.qualifies': 'Deine Bestellung wird kostenlos versendet',
+      'promo.rule.stickers_3_for_2': '3 Sticker zum Preis von 2',
+      'promo.rule.poster_tshirt_same_country': '{percent}% Rabatt auf ein Poster + T-Shirt aus demselben Land',
+
+      'shipping.estimate': 'Versandkosten berechnen',
+      'shipping.calculate': 'Berechnen',
+      'shipping.calculating': 'Wird berechnet…',
+      'shipping.selectCountry': 'Land wählen…',
+      'shipping.selectCountryFirst': 'Bitte zuerst ein Land wählen',
+      'shipping.label': 'Versand',
+      'shipping.free': 'Kostenlos',
+      'shipping.note': 'Versandkosten werden oben oder an der Kasse berechnet',
+      'shipping.noRates': 'Für dieses Land sind keine Versandoptionen verfügbar.',
+      'shipping.failed': 'Versandkosten konnten nicht berechnet werden. Bitte versuche es erneut.',
+      'shipping.changed': 'Die Versandoptionen haben sich geändert. Bitte prüfe den Versand vor dem Bezahlen.',
+      'shipping.days': '{min}–{max} Werktage',
+
+      'tax.vat': 'MwSt.',
+      'tax.gst': 'GST',
+      'tax.sales_tax': 'Umsatzsteuer',
+      'tax.row': '{tax} ({rate} %)',
+      'tax.includedRow': 'Inkl. {tax} ({rate} %)',
+      'tax.duties': 'Bei der Zustellung können Einfuhrabgaben und Zölle anfallen',
+      'tax.atCheckout': 'Steuern werden an der Kasse berechnet',
+
+      'order.pageTitle': 'Deine Bestellung — Overlay Maps',
+      'order.title': 'Deine Bestellung',
+      'order.confirmedPageTitle': 'Bestellung bestätigt — Overlay Maps',
+      'order.confirmedTitle': 'Bestellung bestätigt!',
+      'order.thanks': 'Danke für deine Bestellung. Du bekommst eine Versandbestätigung per E-Mail, sobald deine Bestellung unterwegs ist.',
+      'order.loading': 'Deine Bestellung wird geladen…',
+      'order.backToShop': 'Zurück zum Shop',
+      'order.noReference': 'Dieser Link enthält keine Bestellnummer.',
+      'order.loadFailed': 'Deine Bestelldaten konnten gerade nicht geladen werden ({error}). Bitte lade die Seite gleich neu.',
+      'order.stage.received': 'Bestellung eingegangen',
+      'order.stage.production': 'In Produktion',
+      'order.stage.shipped': 'Versendet',
+      'order.stage.delivered': 'Zugestellt',
+      'order.message.payment_pending': 'Wir warten darauf, dass deine Bank die Zahlung bestätigt. Diese Seite aktualisiert sich automatisch.',
+      'order.message.received': 'Wir haben deine Bestellung erhalten und geben sie in Produktion.',
+      'order.message.production': 'Deine Artikel werden gedruckt. Die Sendungsverfolgung bekommst du, sobald sie verschickt sind.',
+      'order.message.shipped': 'Deine Bestellung ist unterwegs!',
+      'order.message.delivered': 'Deine Bestellung wurde zugestellt. Viel Freude damit!',
+      'order.message.canceled': 'Diese Bestellung wurde storniert. Falls du das nicht erwartet hast, melde dich bitte bei uns.',
+      'order.attention': 'Es gibt ein Problem mit dieser Bestellung und unser Team ist informiert. Wir melden uns per E-Mail.',
+      'order.tracking': 'Sendungsverfolgung',
+      'order.carrier': 'Versanddienst',
+      'order.trackPackage': 'Paket verfolgen →',
+      'order.items': 'Artikel',
+      'order.total': 'Gesamt',
+      'order.shippingTo': 'Versand an',
+      'order.bookmark': 'Speichere <a href="{url}">deine Bestellseite</a>, um später nachzusehen.',
+
+      'footer.tagline': 'Karten, wo Geografie auf Kunst trifft',
+      'footer.shop': 'Shop',
+      'footer.info': 'Info',
+      'footer.contact': 'Kontakt',
+      'footer.powered': 'Bereitgestellt von Printful + Stripe',
+    },
+  };
+
+  const hasDOM = typeof document !== 'undefined';
+  const lang = hasDOM ? detectLanguage() : DEFAULT_LANGUAGE;
+  const locale = hasDOM ? detectLocale(lang) : LANGUAGES[DEFAULT_LANGUAGE].locale;
+
+  function isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+  }
+
+  function detectLanguage() {
+    // Generated pages are fixed to the language they were built in
+    const pageLang = document.documentElement.dataset.lang;
+    if (isSupported(pageLang)) {
+      localStorage.setItem(LANG_KEY, pageLang);
+      return pageLang;
+    }
+
+    const param = new URLSearchParams(location.search).get('lang');
+    if (isSupported(param)) {
+      localStorage.setItem(LANG_KEY, param);
+      return param;
+    }
+
+    const saved = localStorage.getItem(LANG_KEY);
+    if (isSupported(saved)) return saved;
+
+    for (const tag of navigator.languages || [navigator.language]) {
+      const base = String(tag || '').split('-')[0].toLowerCase();
+      if (isSupported(base)) return base;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  // Keep the visitor's region (es-MX, en-GB…) for number formatting when it matches the language
+  function detectLocale(language) {
+    const match = (navigator.languages || [navigator.language])
+      .find(tag => String(tag || '').split('-')[0].toLowerCase() === language);
+    return match || LANGUAGES[language].locale;
+  }
+
+  /** Translate `key` into `language`, filling {placeholders} from `vars` */
+  function translate(language, key, vars = {}) {
+    const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  }
+
+  function t(key, vars) {
+    return translate(lang, key, vars);
+  }
+
+  /** Plural-aware translate: looks up `${key}.one` / `${key}.other` for `count` */
+  function tn(key, count, vars = {}) {
+    const form = new Intl.PluralRules(locale).select(count) === 'one' ? 'one' : 'other';
+    return translate(lang, `${key}.${form}`, { count, ...vars });
+  }
+
+  /** Display name of a product category, falling back to the raw value */
+  function categoryLabel(category, language = lang) {
+    const key = `category.${category}`;
+    return MESSAGES[language]?.[key] || MESSAGES[DEFAULT_LANGUAGE][key] || category;
+  }
+
+  /** Localised country name for an ISO 3166 alpha-2 code */
+  function regionName(code, fallback = code) {
+    try {
+      return new Intl.DisplayNames([locale], { type: 'region' }).of(code) || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  /**
+   * Translate static markup: data-i18n (text), data-i18n-html (trusted catalog
+   * markup), data-i18n-placeholder and data-i18n-aria-label.
+   */
+  function applyTranslations(container = document) {
+    container.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    container.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    container.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    container.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  /**
+   * Switch language. Generated pages link to their translations with
+   * <link rel="alternate" hreflang>, so we navigate there; everywhere else
+   * the choice is saved and the page reloaded.
+   */
+  function setLanguage(code) {
+    if (!isSupported(code) || code === lang) return;
+    localStorage.setItem(LANG_KEY, code);
+
+    const alternate = document.querySelector(`link[rel="alternate"][hreflang="${code}"]`);
+    if (alternate) {
+      location.href = alternate.href;
+      return;
+    }
+    const url = new URL(location.href);
+    url.searchParams.delete('lang');
+    location.href = url.toString();
+  }
+
+  function initLanguageSelect() {
+    const select = document.getElementById('languageSelect');
+    if (!select) return;
+
+    // On a generated page, only offer languages it was actually built in
+    const pageLang = document.documentElement.dataset.lang;
+    const available = Object.keys(LANGUAGES).filter(code =>
+      !pageLang || code === lang || document.querySelector(`link[rel="alternate"][hreflang="${code}"]`));
+    if (available.length < 2) {
+      select.hidden = true;
+      return;
+    }
+
+    select.innerHTML = available
+      .map(code => `<option value="${code}" ${code === lang ? 'selected' : ''}>${LANGUAGES[code].label}</option>`)
+      .join('');
+    select.addEventListener('change', () => setLanguage(select.value));
+  }
+
+  if (hasDOM) {
+    document.documentElement.lang = lang;
+    document.addEventListener('DOMContentLoaded', () => {
+      applyTranslations();
+      initLanguageSelect();
+    });
+  }
+
+  root.I18n = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    MESSAGES,
+    lang,
+    locale,
+    t,
+    tn,
+    translate,
+    categoryLabel,
+    regionName,
+    applyTranslations,
+    setLanguage,
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
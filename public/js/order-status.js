@@ -0,0 +1,125 @@
+/**
+ * Overlay Maps — Order status
+ * Renders the live order summary + production → shipped → delivered timeline
+ * on success.html and order.html. Both read ?session_id= from the URL.
+ * /js/i18n.js must be loaded first.
+ */
+
+const { t, locale } = window.I18n;
+
+const CONFIG = {
+  API_BASE: 'https://overlay-maps.vercel.app',
+  POLL_MS: 20000,   // refresh while we wait for payment / Printful webhooks
+  MAX_POLLS: 15,
+};
+
+const TIMELINE = ['received', 'production', 'shipped', 'delivered'];
+
+// Stages with a message in i18n.js (order.message.*)
+const STAGE_MESSAGES = ['payment_pending', ...TIMELINE, 'canceled'];
+
+let polls = 0;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const sessionId = new URLSearchParams(location.search).get('session_id');
+  const container = document.getElementById('orderStatus');
+  if (!container) return;
+
+  if (!sessionId) {
+    container.innerHTML = `<p class="order-status-note">${t('order.noReference')}</p>`;
+    return;
+  }
+  loadOrderStatus(sessionId, container);
+});
+
+async function loadOrderStatus(sessionId, container) {
+  try {
+    const res = await fetch(`${CONFIG.API_BASE}/api/order-status?session_id=${encodeURIComponent(sessionId)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    renderOrderStatus(data, container);
+
+    const settled = ['shipped', 'delivered', 'canceled'].includes(data.stage);
+    if (!settled && ++polls < CONFIG.MAX_POLLS) {
+      setTimeout(() => loadOrderStatus(sessionId, container), CONFIG.POLL_MS);
+    }
+  } catch (err) {
+    console.error('Failed to load order status:', err);
+    container.innerHTML = `<p class="order-status-note">${t('order.loadFailed', { error: escapeHtml(err.message) })}</p>`;
+  }
+}
+
+function renderOrderStatus(data, container) {
+  const currentIdx = TIMELINE.indexOf(data.stage);
+  const orderUrl = `order.html?session_id=${encodeURIComponent(data.sessionId)}`;
+
+  const timeline = data.stage === 'canceled' || data.stage === 'payment_pending' ? '' : `
+    <ol class="order-timeline">
+      ${TIMELINE.map((stage, i) => `
+        <li class="order-timeline-step ${i < currentIdx ? 'done' : ''} ${i === currentIdx ? 'current' : ''}">
+          <span class="order-timeline-dot"></span>
+          <span class="order-timeline-label">${t(`order.stage.${stage}`)}</span>
+        </li>`).join('')}
+    </ol>`;
+
+  const attention = data.attention
+    ? `<p class="order-status-attention">${t('order.attention')}</p>`
+    : '';
+
+  const tracking = data.tracking?.length ? `
+    <div class="order-section">
+      <p class="order-section-title">${t('order.tracking')}</p>
+      ${data.tracking.map(track => `
+        <p class="order-tracking">
+          ${escapeHtml(track.carrier || t('order.carrier'))}${track.number ? ` · ${escapeHtml(track.number)}` : ''}
+          ${track.url ? `<a href="${escapeHtml(track.url)}" target="_blank" rel="noopener">${t('order.trackPackage')}</a>` : ''}
+        </p>`).join('')}
+    </div>` : '';
+
+  const items = data.items.map(i => `
+    <div class="order-line">
+      <span>${i.quantity} × ${escapeHtml(i.name)}</span>
+      <span>${formatPrice(i.amount, data.currency)}</span>
+    </div>`).join('');
+
+  const addr = data.shippingAddress;
+  const shipTo = addr ? `
+    <div class="order-section">
+      <p class="order-section-title">${t('order.shippingTo')}</p>
+      <p>${[addr.name, [addr.postalCode, addr.city].filter(Boolean).join(' '), addr.country].filter(Boolean).map(escapeHtml).join('<br />')}</p>
+    </div>` : '';
+
+  container.innerHTML = `
+    <p class="order-status-message">${STAGE_MESSAGES.includes(data.stage) ? t(`order.message.${data.stage}`) : ''}</p>
+    ${attention}
+    ${timeline}
+    ${tracking}
+    <div class="order-section">
+      <p class="order-section-title">${t('order.items')}</p>
+      ${items}
+      ${data.shipping ? `<div class="order-line"><span>${t('shipping.label')}</span><span>${formatPrice(data.shipping, data.currency)}</span></div>` : ''}
+      <div class="order-line order-line-total"><span>${t('order.total')}</span><span>${formatPrice(data.total, data.currency)}</span></div>
+    </div>
+    ${shipTo}
+    <p class="order-status-note">${t('order.bookmark', { url: orderUrl })}</p>`;
+}
+
+// ═══════════════════════════════════════════
+// UTILS
+// ═══════════════════════════════════════════
+function formatPrice(amount, currency = 'EUR') {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: 2,
+  }).format(amount);
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
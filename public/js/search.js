@@ -0,0 +1,189 @@
+/**
+ * Overlay Maps — Catalog search
+ * Client-side search index used by store.js.
+ *
+ * Text is folded (lower case, accents stripped: "Bogotá" → "bogota"), split into
+ * words and canonicalised through PHRASES and SYNONYMS, so "brasil" finds "Brazil"
+ * and "tshirt", "tee" and "T-Shirt" all find t-shirts. A query word matches a
+ * document word exactly, as a prefix (while typing), or within a small edit
+ * distance (typos). Every query word has to match; products are ranked by the
+ * sum of their best match per word, weighted by field.
+ *
+ * Exposes window.Search:
+ *   createIndex(products, fieldsFn)  — fieldsFn(product) → { name, places, tags, category } (strings or arrays)
+ *   search(index, query)             — Map(product id → score); empty query → null
+ *   highlight(text, query)           — escaped HTML with matched words in <mark>
+ */
+
+(function (root) {
+  const FIELD_WEIGHTS = { name: 3, places: 2.5, tags: 2, category: 1.5 };
+
+  const MATCH_EXACT = 1;
+  const MATCH_PREFIX = 0.75;
+  const MATCH_TYPO = 0.5;
+  const PHRASE_BONUS = 2;  // the whole query appears as-is in the name
+
+  // Multi-word names collapsed to one word before matching (folded text)
+  const PHRASES = [
+    [/\bt ?shirts?\b/g, 'tshirt'],
+    [/\bunited states( of america)?\b/g, 'usa'],
+    [/\bunited kingdom\b|\bgreat britain\b/g, 'uk'],
+    [/\bczech republic\b/g, 'czechia'],
+    [/\bnorth macedonia\b/g, 'macedonia'],
+    [/\bsouth korea\b/g, 'korea'],
+    [/\bbosnia and herzegovina\b/g, 'bosnia'],
+    [/\bart prints?\b/g, 'poster'],
+  ];
+
+  // Word → canonical word. Country aliases, product types and a few plurals
+  const SYNONYMS = {
+    // Places
+    brasil: 'brazil', holland: 'netherlands', britain: 'uk', america: 'usa', us: 'usa',
+    catalunya: 'catalonia', cataluna: 'catalonia', espana: 'spain', turkiye: 'turkey',
+    burma: 'myanmar', esfahan: 'isfahan', deutschland: 'germany', nederland: 'netherlands',
+    // Product types
+    tee: 'tshirt', tees: 'tshirt', shirt: 'tshirt', shirts: 'tshirt',
+    hoody: 'hoodie', hoodies: 'hoodie', sweatshirt: 'hoodie', sweater: 'hoodie',
+    print: 'poster', prints: 'poster', posters: 'poster', framed: 'poster', wallart: 'poster',
+    stickers: 'sticker', decal: 'sticker', decals: 'sticker',
+    stationery: 'stationary', notebooks: 'notebook', journal: 'notebook',
+    mugs: 'mug', cup: 'mug', totes: 'tote', bag: 'tote',
+    maps: 'map', rivers: 'river', roads: 'road', coordinates: 'coordinate',
+  };
+
+  function fold(text) {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  function canonical(word) {
+    return SYNONYMS[word] || word;
+  }
+
+  /** Folded words of a text, multi-word names collapsed */
+  function words(text) {
+    let folded = fold(text).replace(/[^\p{L}\p{N}]+/gu, ' ');
+    for (const [pattern, replacement] of PHRASES) folded = folded.replace(pattern, replacement);
+    return folded.split(' ').filter(Boolean);
+  }
+
+  /** Folded, canonical words of a text */
+  function tokenize(text) {
+    return words(text).map(canonical);
+  }
+
+  function createIndex(products, fieldsFn) {
+    return products.map(product => {
+      const fields = fieldsFn(product);
+      const tokens = {};
+      for (const field of Object.keys(FIELD_WEIGHTS)) {
+        const value = fields[field];
+        const text = Array.isArray(value) ? value.join(' ') : value;
+        // The words as written too, so a typo of "print" still finds it
+        tokens[field] = [...new Set([...tokenize(text), ...words(text)])];
+      }
+      return { id: product.id, tokens, name: fold(fields.name) };
+    });
+  }
+
+  function search(index, query) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (!queryTokens.length) return null;
+    const phrase = fold(query).trim();
+
+    const scores = new Map();
+    for (const doc of index) {
+      let total = 0;
+      for (const q of queryTokens) {
+        let best = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+          for (const word of doc.tokens[field]) {
+            best = Math.max(best, weight * matchQuality(q, word));
+            if (best === weight * MATCH_EXACT && weight === FIELD_WEIGHTS.name) break;
+          }
+        }
+        if (!best) { total = 0; break; }  // every query word must match
+        total += best;
+      }
+      if (!total) continue;
+      if (phrase.length > 2 && doc.name.includes(phrase)) total += PHRASE_BONUS;
+      scores.set(doc.id, total);
+    }
+    return scores;
+  }
+
+  /** 0 (no match) to 1 (exact) for a query word against a document word */
+  function matchQuality(q, word) {
+    if (q === word) return MATCH_EXACT;
+    if (q.length >= 2 && word.startsWith(q)) return MATCH_PREFIX;
+    const allowed = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+    if (allowed && Math.abs(q.length - word.length) <= allowed && editDistance(q, word, allowed) <= allowed) {
+      return MATCH_TYPO;
+    }
+    return 0;
+  }
+
+  /** Damerau–Levenshtein (adjacent transpositions count once), giving up above `max` */
+  function editDistance(a, b, max) {
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d = Math.min(d, prev2[j - 2] + 1);
+        }
+        row.push(d);
+        rowMin = Math.min(rowMin, d);
+      }
+      if (rowMin > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * Escaped `text` with the words matching `query` wrapped in <mark>. Pairs of
+   * words are tried too, so "tshirt" marks both halves of "T-Shirt".
+   */
+  function highlight(text, query) {
+    text = String(text || '');
+    const queryTokens = [...new Set(tokenize(query))];
+    if (!queryTokens.length) return escapeHtml(text);
+
+    const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({ start: m.index, end: m.index + m[0].length, text: m[0] }));
+    const matches = word => tokenize(word).some(token => queryTokens.some(q => matchQuality(q, token) > 0));
+
+    const spans = [];
+    for (let i = 0; i < words.length; i++) {
+      const next = words[i + 1];
+      if (next && matches(`${words[i].text}${next.text}`) && !matches(words[i].text)) {
+        spans.push([words[i].start, next.end]);
+        i++;
+      } else if (matches(words[i].text)) {
+        spans.push([words[i].start, words[i].end]);
+      }
+    }
+
+    let html = '';
+    let pos = 0;
+    for (const [start, end] of spans) {
+      html += escapeHtml(text.slice(pos, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+      pos = end;
+    }
+    return html + escapeHtml(text.slice(pos));
+  }
+
+  function escapeHtml(str) {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  root.Search = { createIndex, search, highlight };
+})(typeof window !== 'undefined' ? window : globalThis);
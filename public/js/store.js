@@ -1,6 +1,6 @@
 /**
  * Overlay Maps Store — store.js
- * Features: search, category filter, country filter, sort, pagination, URL state
+ * Features: search, category/place/variant facets, sort, pagination, URL state
  */
 
 // ═══════════════════════════════════════════
@@ -9,61 +9,68 @@
 const CONFIG = {
   API_BASE: 'https://overlay-maps.vercel.app',
   STRIPE_PK: 'pk_live_51QsNPRL50YWJ2vn2WmXXYkWHFyQKm5kH9HjN8D8i5GpLi7KQKZL0sAh55nzRRqcf7dvVJZ5SyBg0ZhOuPDhm7Rma00xr5IBa3',
-  CART_KEY: 'overlaymaps_cart',
   PAGE_SIZE: 24,
 };
 
-const THUMBNAIL_OVERRIDES = {
-  // 420536143: 'https://your-custom-image-url.jpg',
-};
+const { t, tn } = I18n;
+const LOCALE = I18n.locale;
+
+// Continents in the place filter, in display order — ids match api/_lib/geo.js
+const CONTINENTS = ['europe', 'north-america', 'south-america', 'asia', 'africa', 'oceania'];
 
 // ═══════════════════════════════════════════
 // STATE
 // ═══════════════════════════════════════════
 let allProducts = [];
 let filteredProducts = [];
-let activeCategory = 'all';
-let activeCountry = 'all';
+const placeLabels = new Map();  // place filter value → label, for the active filter tag
+let placeCounts = new Map();    // place filter value → number of products
+let places = new Map();         // ISO code → geo entity, for every place in the catalog
+let activeCategories = new Set();  // empty = every category
+// Variant facets (see variantFacets): selected values per facet, any of which may match
+const activeFacets = { dimensions: new Set(), size: new Set(), color: new Set() };
+let priceRange = null;        // [min, max] in catalog currency, null = any price
+let priceBounds = null;       // [min, max] over every variant, set once products load
+let activeCountry = 'all';   // a continent, ISO country or region code, or 'world' (see buildCountryFilter)
 let activeSearch = '';
+let searchIndex = [];         // see buildSearchIndex
 let activeSort = 'default';
 let currentPage = 1;
-let cart = loadCart();
 let currentProduct = null;
 let selectedPrimary = null;
 let selectedVariant = null;
 let quantity = 1;
-let selectedShippingOption = null;
 
 // ═══════════════════════════════════════════
 // INIT
 // ═══════════════════════════════════════════
 document.addEventListener('DOMContentLoaded', () => {
-  initStripe();
-  initCartUI();
+  initCart();
   initFilterButtons();
   initSearch();
   initSort();
   initModal();
   initPagination();
   readURLState();
+  initWorldMap();
   fetchProducts();
-  initShippingEstimator();
+  initWishlist();
+  initCartLinks();
 
   if (new URLSearchParams(location.search).get('canceled')) {
-    showToast('Checkout canceled — your cart is still saved.');
+    showToast(t('cart.canceled'));
   }
 });
 
-function initStripe() {
-  window._stripe = Stripe(CONFIG.STRIPE_PK);
-}
-
 // ═══════════════════════════════════════════
 // URL STATE — shareable/bookmarkable filters
 // ═══════════════════════════════════════════
 function readURLState() {
   const p = new URLSearchParams(location.search);
-  if (p.get('category')) activeCategory = p.get('category');
+  activeCategories = new Set(p.getAll('category').filter(c => c !== 'all'));
+  for (const facet of VARIANT_FACETS) activeFacets[facet] = new Set(p.getAll(facet));
+  const price = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(p.get('price') || '');
+  if (price) priceRange = [Number(price[1]), Number(price[2])];
   if (p.get('country')) activeCountry = p.get('country');
   if (p.get('search')) activeSearch = p.get('search');
   if (p.get('sort')) activeSort = p.get('sort');
@@ -77,16 +84,31 @@ function readURLState() {
   if (activeSort !== 'default') {
     document.getElementById('sortSelect').value = activeSort;
   }
-  if (activeCategory !== 'all') {
-    document.querySelectorAll('.filter-btn').forEach(b => {
-      b.classList.toggle('active', b.dataset.cat === activeCategory);
-    });
-  }
+  syncCategoryButtons();
 }
 
+// Back/forward between filter states pushed by pushURLState
+window.addEventListener('popstate', () => {
+  resetFacets();
+  activeCountry = 'all';
+  activeSearch = '';
+  activeSort = 'default';
+  currentPage = 1;
+  document.getElementById('searchInput').value = '';
+  document.getElementById('searchClear').style.display = 'none';
+  document.getElementById('sortSelect').value = 'default';
+  readURLState();
+  syncPriceSlider();
+  const countrySelect = document.getElementById('countryFilter');
+  if (countrySelect) countrySelect.value = placeLabels.has(activeCountry) ? activeCountry : 'all';
+  if (allProducts.length) applyFiltersAndRender({ pushState: false });
+});
+
 function pushURLState() {
   const p = new URLSearchParams();
-  if (activeCategory !== 'all') p.set('category', activeCategory);
+  activeCategories.forEach(c => p.append('category', c));
+  for (const facet of VARIANT_FACETS) activeFacets[facet].forEach(v => p.append(facet, v));
+  if (priceRange) p.set('price', `${priceRange[0]}-${priceRange[1]}`);
   if (activeCountry !== 'all') p.set('country', activeCountry);
   if (activeSearch) p.set('search', activeSearch);
   if (activeSort !== 'default') p.set('sort', activeSort);
@@ -103,10 +125,15 @@ function pushURLState() {
 // ═══════════════════════════════════════════
 async function fetchProducts() {
   try {
-    const res = await fetch(`${CONFIG.API_BASE}/api/products`);
+    // Hidden products aren't listed, but carts holding them are still valid
+    const res = await fetch(`${CONFIG.API_BASE}/api/products?include=hidden`);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const { products } = await res.json();
+    const { products: catalog } = await res.json();
+    const products = catalog.filter(p => !p.hidden);
     allProducts = products;
+    searchIndex = buildSearchIndex(products);
+    buildPriceFacet(products);
+    Cart.reconcile(catalog);
     buildCountryFilter(products);
     // Sync country select to URL state
     if (activeCountry !== 'all') {
@@ -117,7 +144,7 @@ async function fetchProducts() {
     console.error('Failed to load products:', err);
     document.getElementById('productGrid').innerHTML = `
       <p style="color:var(--text-muted);grid-column:1/-1;text-align:center;padding:4rem 0">
-        Failed to load products. Please refresh the page.
+        ${t('catalog.loadFailed')}
       </p>`;
   }
 }
@@ -125,28 +152,21 @@ async function fetchProducts() {
 // ═══════════════════════════════════════════
 // FILTER + SORT + SEARCH PIPELINE
 // ═══════════════════════════════════════════
-function applyFiltersAndRender() {
+function applyFiltersAndRender({ pushState = true } = {}) {
   let results = [...allProducts];
 
-  // Category filter
-  if (activeCategory !== 'all') {
-    results = results.filter(p => p.category === activeCategory);
-  }
-
-  // Country filter
+  // Place filter — a continent or country also matches the regions inside it
   if (activeCountry !== 'all') {
-    results = results.filter(p => p.country === activeCountry);
+    results = results.filter(p => placeKeys(p).has(activeCountry));
   }
 
-  // Search filter
-  if (activeSearch.trim()) {
-    const q = activeSearch.toLowerCase().trim();
-    results = results.filter(p =>
-      p.name.toLowerCase().includes(q) ||
-      (p.country && p.country.toLowerCase().includes(q)) ||
-      (p.category && p.category.toLowerCase().includes(q))
-    );
-  }
+  // Search filter — fuzzy, see js/search.js
+  const scores = Search.search(searchIndex, activeSearch);
+  if (scores) results = results.filter(p => scores.has(p.id));
+
+  // Facets — counts are for the products left by every other filter
+  renderFacets(facetCounts(results));
+  results = results.filter(p => matchesFacets(p));
 
   // Sort
   switch (activeSort) {
@@ -154,6 +174,11 @@ function applyFiltersAndRender() {
     case 'price-desc': results.sort((a, b) => b.minPrice - a.minPrice); break;
     case 'name-asc':   results.sort((a, b) => a.name.localeCompare(b.name)); break;
     case 'name-desc':  results.sort((a, b) => b.name.localeCompare(a.name)); break;
+    default:
+      // Featured first, then by sort weight (see api/_lib/product-metadata.js);
+      // best match first while searching
+      results.sort((a, b) => (scores ? scores.get(b.id) - scores.get(a.id) : 0)
+        || (b.featured - a.featured) || ((b.sortWeight || 0) - (a.sortWeight || 0)));
   }
 
   filteredProducts = results;
@@ -164,7 +189,8 @@ function applyFiltersAndRender() {
 
   renderPage();
   renderActiveFilterTags();
-  pushURLState();
+  updateWorldMap();
+  if (pushState) pushURLState();
 }
 
 // ═══════════════════════════════════════════
@@ -178,35 +204,36 @@ function renderPage() {
   const start = (currentPage - 1) * CONFIG.PAGE_SIZE;
   const pageItems = filteredProducts.slice(start, start + CONFIG.PAGE_SIZE);
 
-  countEl.textContent = `${total} product${total !== 1 ? 's' : ''}`;
+  countEl.textContent = tn('catalog.count', total);
 
   if (total === 0) {
-    grid.innerHTML = `<p style="color:var(--text-muted);grid-column:1/-1;text-align:center;padding:4rem 0">No products found. <button onclick="clearAllFilters()" style="color:var(--accent);background:none;border:none;cursor:pointer;font-family:inherit;font-size:inherit">Clear filters</button></p>`;
+    grid.innerHTML = `<p style="color:var(--text-muted);grid-column:1/-1;text-align:center;padding:4rem 0">${t('catalog.noResults')} <button onclick="clearAllFilters()" style="color:var(--accent);background:none;border:none;cursor:pointer;font-family:inherit;font-size:inherit">${t('catalog.clearFilters')}</button></p>`;
     document.getElementById('paginationBar').style.display = 'none';
     return;
   }
 
   grid.innerHTML = pageItems.map(p => {
-    const thumb = THUMBNAIL_OVERRIDES[p.id] || p.thumbnail || '';
+    const thumb = p.thumbnail || '';
     const backImg = p.images?.find(i => i.type === 'back');
     const backUrl = backImg?.url || '';
     return `
     <article class="product-card${backUrl ? ' has-back' : ''}" data-id="${p.id}" tabindex="0" role="button" aria-label="${p.name}">
       <div class="product-card-img">
+        ${Wishlist.heartButton(p.id, 'card-wishlist')}
         <img class="card-img-front" src="${thumb}" alt="${p.name}" loading="lazy" onerror="this.style.display='none'" />
-        ${backUrl ? `<img class="card-img-back" src="${backUrl}" alt="${p.name} back" loading="lazy" />` : ''}
+        ${backUrl ? `<img class="card-img-back" src="${backUrl}" alt="${t('product.back', { name: p.name })}" loading="lazy" />` : ''}
       </div>
       <div class="product-card-body">
-        <span class="product-card-cat">${p.category}${p.country ? ` · ${p.country}` : ''}</span>
+        <span class="product-card-cat">${I18n.categoryLabel(p.category)}${productPlaces(p) ? ` · ${productPlaces(p)}` : ''}</span>
         <h3 class="product-card-name">${highlightSearch(p.name)}</h3>
-        <div class="product-card-price">From <strong>${formatPrice(p.minPrice, p.currency)}</strong></div>
+        <div class="product-card-price">${t('product.from', { price: `<strong>${formatCatalogPrice(p.minPrice, p.currency)}</strong>` })}</div>
       </div>
     </article>`;
   }).join('');
 
   grid.querySelectorAll('.product-card').forEach(card => {
     card.addEventListener('click', () => openModal(parseInt(card.dataset.id)));
-    card.addEventListener('keydown', e => { if (e.key === 'Enter') openModal(parseInt(card.dataset.id)); });
+    card.addEventListener('keydown', e => { if (e.key === 'Enter' && e.target === card) openModal(parseInt(card.dataset.id)); });
   });
 
   // Pagination
@@ -215,16 +242,14 @@ function renderPage() {
     bar.style.display = 'none';
   } else {
     bar.style.display = 'flex';
-    document.getElementById('pageInfo').textContent = `Page ${currentPage} of ${totalPages}`;
+    document.getElementById('pageInfo').textContent = t('pagination.info', { page: currentPage, total: totalPages });
     document.getElementById('prevPage').disabled = currentPage === 1;
     document.getElementById('nextPage').disabled = currentPage === totalPages;
   }
 }
 
 function highlightSearch(name) {
-  if (!activeSearch.trim()) return name;
-  const q = activeSearch.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  return name.replace(new RegExp(`(${q})`, 'gi'), '<mark>$1</mark>');
+  return Search.highlight(name, activeSearch);
 }
 
 // ═══════════════════════════════════════════
@@ -234,35 +259,48 @@ function renderActiveFilterTags() {
   const container = document.getElementById('activeFilters');
   const tags = [];
 
-  if (activeCategory !== 'all') {
-    tags.push(`<button class="filter-tag" onclick="removeCategoryFilter()">
-      ${activeCategory} ✕</button>`);
+  activeCategories.forEach(cat => {
+    tags.push(`<button class="filter-tag" data-facet="category" data-value="${escapeHtml(cat)}">
+      ${I18n.categoryLabel(cat)} ✕</button>`);
+  });
+  for (const facet of VARIANT_FACETS) {
+    activeFacets[facet].forEach(value => {
+      tags.push(`<button class="filter-tag" data-facet="${facet}" data-value="${escapeHtml(value)}">
+        ${escapeHtml(value)} ✕</button>`);
+    });
+  }
+  if (priceRange) {
+    tags.push(`<button class="filter-tag" onclick="removePriceFilter()">
+      ${formatPriceRange(priceRange)} ✕</button>`);
   }
   if (activeCountry !== 'all') {
     tags.push(`<button class="filter-tag" onclick="removeCountryFilter()">
-      ${activeCountry} ✕</button>`);
+      ${placeLabels.get(activeCountry) || activeCountry} ✕</button>`);
   }
   if (activeSearch) {
     tags.push(`<button class="filter-tag" onclick="removeSearchFilter()">
       "${activeSearch}" ✕</button>`);
   }
   if (activeSort !== 'default') {
-    const labels = { 'price-asc': 'Price ↑', 'price-desc': 'Price ↓', 'name-asc': 'A→Z', 'name-desc': 'Z→A' };
+    const labels = {
+      'price-asc': t('sort.tag.priceAsc'), 'price-desc': t('sort.tag.priceDesc'),
+      'name-asc': t('sort.tag.nameAsc'), 'name-desc': t('sort.tag.nameDesc'),
+    };
     tags.push(`<button class="filter-tag" onclick="removeSortFilter()">
       ${labels[activeSort]} ✕</button>`);
   }
 
   if (tags.length > 1) {
-    tags.push(`<button class="filter-tag filter-tag-clear" onclick="clearAllFilters()">Clear all</button>`);
+    tags.push(`<button class="filter-tag filter-tag-clear" onclick="clearAllFilters()">${t('filter.clearAll')}</button>`);
   }
 
   container.innerHTML = tags.join('');
 }
 
-function removeCategoryFilter() {
-  activeCategory = 'all';
+function removePriceFilter() {
+  priceRange = null;
   currentPage = 1;
-  document.querySelectorAll('.filter-btn').forEach(b => b.classList.toggle('active', b.dataset.cat === 'all'));
+  syncPriceSlider();
   applyFiltersAndRender();
 }
 function removeCountryFilter() {
@@ -284,12 +322,12 @@ function removeSortFilter() {
   applyFiltersAndRender();
 }
 function clearAllFilters() {
-  activeCategory = 'all';
+  resetFacets();
   activeCountry = 'all';
   activeSearch = '';
   activeSort = 'default';
   currentPage = 1;
-  document.querySelectorAll('.filter-btn').forEach(b => b.classList.toggle('active', b.dataset.cat === 'all'));
+  syncPriceSlider();
   document.getElementById('countryFilter').value = 'all';
   document.getElementById('searchInput').value = '';
   document.getElementById('searchClear').style.display = 'none';
@@ -361,24 +399,307 @@ function initPagination() {
 // ═══════════════════════════════════════════
 // FILTER BUTTONS
 // ═══════════════════════════════════════════
+// Categories are multi-select: "All" clears the selection
 function initFilterButtons() {
   document.querySelectorAll('.filter-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-      document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      activeCategory = btn.dataset.cat;
+      if (btn.dataset.cat === 'all') activeCategories.clear();
+      else toggle(activeCategories, btn.dataset.cat);
       currentPage = 1;
+      syncCategoryButtons();
       applyFiltersAndRender();
     });
   });
+
+  // Facet chips and their filter tags
+  const onFacetClick = e => {
+    const btn = e.target.closest('[data-facet]');
+    if (!btn || btn.disabled) return;
+    const selected = btn.dataset.facet === 'category' ? activeCategories : activeFacets[btn.dataset.facet];
+    toggle(selected, btn.dataset.value);
+    currentPage = 1;
+    syncCategoryButtons();
+    applyFiltersAndRender();
+  };
+  document.getElementById('facetPanel').addEventListener('click', onFacetClick);
+  document.getElementById('activeFilters').addEventListener('click', onFacetClick);
+
+  const onPriceInput = () => {
+    const min = document.getElementById('priceMin');
+    const max = document.getElementById('priceMax');
+    // Keep the handles from crossing
+    if (Number(min.value) > Number(max.value)) {
+      if (document.activeElement === min) min.value = max.value; else max.value = min.value;
+    }
+    document.getElementById('priceRangeValue').textContent = formatPriceRange([Number(min.value), Number(max.value)]);
+  };
+  const onPriceChange = () => {
+    const range = [Number(document.getElementById('priceMin').value), Number(document.getElementById('priceMax').value)];
+    priceRange = range[0] <= priceBounds[0] && range[1] >= priceBounds[1] ? null : range;
+    currentPage = 1;
+    applyFiltersAndRender();
+  };
+  for (const id of ['priceMin', 'priceMax']) {
+    document.getElementById(id).addEventListener('input', onPriceInput);
+    document.getElementById(id).addEventListener('change', onPriceChange);
+  }
+}
+
+function syncCategoryButtons() {
+  document.querySelectorAll('.filter-btn').forEach(b => {
+    const active = b.dataset.cat === 'all' ? !activeCategories.size : activeCategories.has(b.dataset.cat);
+    b.classList.toggle('active', active);
+    b.setAttribute('aria-pressed', active);
+  });
+}
+
+function resetFacets() {
+  activeCategories.clear();
+  for (const facet of VARIANT_FACETS) activeFacets[facet].clear();
+  priceRange = null;
+  syncCategoryButtons();
+}
+
+function toggle(set, value) {
+  if (set.has(value)) set.delete(value); else set.add(value);
+}
+
+// ═══════════════════════════════════════════
+// FACETS — price, dimensions, size and color, from each product's variants
+// ═══════════════════════════════════════════
+const VARIANT_FACETS = ['dimensions', 'size', 'color'];
+const SIZE_ORDER = ['XXS', 'XS', 'S', 'M', 'L', 'XL', '2XL', 'XXL', '3XL', 'XXXL', '4XL', '5XL', '6XL'];
+// "50×70 cm", "18″×24″", "12x16 in"
+const DIMENSIONS_RE = /^(\d+(?:[.,]\d+)?)\s*(?:cm|in|″|")?\s*[×xX]\s*(\d+(?:[.,]\d+)?)\s*(cm|in|″|")?$/;
+
+const variantFacetCache = new WeakMap();
+
+/**
+ * A variant's facet values, from its option names (see parseVariantName in
+ * api/_lib/catalog.js): { dimensions, size, color }, null where it has none.
+ * Apparel options are "<color> / <size>", so the color is whichever one isn't the size.
+ */
+function variantFacets(variant) {
+  if (variantFacetCache.has(variant)) return variantFacetCache.get(variant);
+  const values = [variant.options?.primary, variant.options?.secondary].filter(Boolean);
+  const size = values.find(v => SIZE_ORDER.includes(v.toUpperCase())) || null;
+  const dimensions = values.map(parseDimensions).find(Boolean) || null;
+  const color = size ? values.find(v => v !== size && !parseDimensions(v)) || null : null;
+  const facets = { dimensions, size: size && size.toUpperCase(), color };
+  variantFacetCache.set(variant, facets);
+  return facets;
 }
 
+/** "50 x 70cm" → "50×70 cm", '18" x 24"' → "18″×24″"; null if it isn't dimensions */
+function parseDimensions(value) {
+  const match = DIMENSIONS_RE.exec(value.trim());
+  if (!match) return null;
+  const [, width, height, unit] = match;
+  if (unit === 'cm') return `${width}×${height} cm`;
+  if (unit) return `${width}″×${height}″`;
+  return `${width}×${height}`;
+}
+
+/** Whether a variant passes the price and variant facets, ignoring `except` */
+function variantMatches(variant, except) {
+  if (variant.available === false) return false;
+  if (except !== 'price' && priceRange && (variant.price < priceRange[0] || variant.price > priceRange[1])) return false;
+  const facets = variantFacets(variant);
+  return VARIANT_FACETS.every(facet =>
+    facet === except || !activeFacets[facet].size || activeFacets[facet].has(facets[facet]));
+}
+
+/**
+ * Whether a product passes the category and variant facets, ignoring `except`.
+ * Variant facets have to hold for one variant: "50×70 cm under €40" means a
+ * 50×70 cm variant that costs under €40.
+ */
+function matchesFacets(product, except) {
+  if (except !== 'category' && activeCategories.size && !activeCategories.has(product.category)) return false;
+  const variantFiltered = (except !== 'price' && priceRange)
+    || VARIANT_FACETS.some(facet => facet !== except && activeFacets[facet].size);
+  return !variantFiltered || product.variants.some(v => variantMatches(v, except));
+}
+
+/**
+ * Products per facet value among `products`, each facet counted with every
+ * filter applied except its own — so picking a value shows how many you'd get.
+ * Returns { category, dimensions, size, color }: Map(value → count).
+ */
+function facetCounts(products) {
+  const counts = { category: new Map() };
+  for (const facet of VARIANT_FACETS) counts[facet] = new Map();
+  const add = (map, value) => map.set(value, (map.get(value) || 0) + 1);
+
+  for (const product of products) {
+    if (matchesFacets(product, 'category')) add(counts.category, product.category);
+    for (const facet of VARIANT_FACETS) {
+      if (!matchesFacets(product, facet)) continue;
+      const values = new Set(product.variants
+        .filter(v => variantMatches(v, facet))
+        .map(v => variantFacets(v)[facet])
+        .filter(Boolean));
+      values.forEach(value => add(counts[facet], value));
+    }
+  }
+  return counts;
+}
+
+/** Category button counts and the dimension/size/color chips */
+function renderFacets(counts) {
+  document.querySelectorAll('.filter-btn').forEach(btn => {
+    const cat = btn.dataset.cat;
+    const count = cat === 'all'
+      ? [...counts.category.values()].reduce((a, b) => a + b, 0)
+      : counts.category.get(cat) || 0;
+    btn.innerHTML = `${cat === 'all' ? t('category.all') : I18n.categoryLabel(cat)} <span class="filter-count">${count}</span>`;
+  });
+
+  // Every value in the catalog, so a choice that now matches nothing stays visible (disabled)
+  for (const facet of VARIANT_FACETS) {
+    const values = new Set(allProducts.flatMap(p => p.variants.map(v => variantFacets(v)[facet])).filter(Boolean));
+    const group = document.querySelector(`.facet[data-facet-group="${facet}"]`);
+    group.hidden = !values.size;
+    group.querySelector('.facet-options').innerHTML = sortFacetValues(facet, [...values]).map(value => {
+      const count = counts[facet].get(value) || 0;
+      const active = activeFacets[facet].has(value);
+      return `<button class="facet-chip${active ? ' active' : ''}" data-facet="${facet}" data-value="${escapeHtml(value)}"
+        aria-pressed="${active}"${!count && !active ? ' disabled' : ''}>${escapeHtml(value)} <span class="filter-count">${count}</span></button>`;
+    }).join('');
+  }
+}
+
+function sortFacetValues(facet, values) {
+  if (facet === 'size') return values.sort((a, b) => SIZE_ORDER.indexOf(a) - SIZE_ORDER.indexOf(b));
+  if (facet === 'dimensions') {
+    const area = v => v.split(/[×\s″]+/).slice(0, 2).reduce((a, n) => a * parseFloat(n.replace(',', '.')), 1);
+    return values.sort((a, b) => area(a) - area(b));
+  }
+  return values.sort((a, b) => a.localeCompare(b, LOCALE));
+}
+
+/** Slider bounds from the cheapest and dearest variant, whole units */
+function buildPriceFacet(products) {
+  const prices = products.flatMap(p => p.variants.map(v => v.price));
+  if (!prices.length) return;
+  priceBounds = [Math.floor(Math.min(...prices)), Math.ceil(Math.max(...prices))];
+  for (const id of ['priceMin', 'priceMax']) {
+    const input = document.getElementById(id);
+    input.min = priceBounds[0];
+    input.max = priceBounds[1];
+  }
+  document.querySelector('.facet[data-facet-group="price"]').hidden = priceBounds[0] === priceBounds[1];
+  syncPriceSlider();
+}
+
+function syncPriceSlider() {
+  if (!priceBounds) return;
+  const [min, max] = priceRange || priceBounds;
+  document.getElementById('priceMin').value = min;
+  document.getElementById('priceMax').value = max;
+  document.getElementById('priceRangeValue').textContent = formatPriceRange([min, max]);
+}
+
+function formatPriceRange([min, max]) {
+  const currency = allProducts[0]?.currency || 'EUR';
+  return `${formatCatalogPrice(min, currency)} – ${formatCatalogPrice(max, currency)}`;
+}
+
+/**
+ * Search fields per product (weights in js/search.js). Places include the visitor's
+ * language, so "Alemania" finds Germany on the Spanish site.
+ */
+function buildSearchIndex(products) {
+  return Search.createIndex(products, p => ({
+    name: p.name,
+    places: [
+      ...productCountries(p),
+      ...(p.geo || []).flatMap(g => [g.name, placeName(g)]),
+    ],
+    tags: p.tags || [],
+    category: p.category ? [p.category, I18n.categoryLabel(p.category)] : [],
+  }));
+}
+
+/** All countries/regions a product shows, primary first */
+function productCountries(product) {
+  return product.countries || (product.country ? [product.country] : []);
+}
+
+/** The product's places for display, in the visitor's language where we know the country */
+function productPlaces(product) {
+  return product.geo?.length
+    ? product.geo.map(placeName).join(', ')
+    : productCountries(product).join(', ');
+}
+
+function placeName(geo) {
+  if (geo.type === 'world') return t('geo.world');
+  return geo.type === 'country' ? I18n.regionName(geo.code, geo.name) : geo.name;
+}
+
+/** Every filter value that matches a product: its places, their countries and continents */
+function placeKeys(product) {
+  const keys = new Set();
+  for (const g of product.geo || []) {
+    keys.add(g.code);
+    if (g.country) keys.add(g.country);
+    if (g.continent) keys.add(g.continent);
+  }
+  return keys;
+}
+
+/**
+ * Place filter as continent → country → region, with product counts. Values are
+ * continent ids ('europe'), ISO 3166 country and region codes ('ES', 'ES-CT') and 'world'.
+ */
 function buildCountryFilter(products) {
-  const countries = [...new Set(products.map(p => p.country).filter(Boolean))].sort();
   const select = document.getElementById('countryFilter');
   if (!select) return;
-  select.innerHTML = `<option value="all">All countries</option>`
-    + countries.map(c => `<option value="${c}">${c}</option>`).join('');
+
+  const counts = new Map();
+  places = new Map();
+  for (const p of products) {
+    for (const key of placeKeys(p)) counts.set(key, (counts.get(key) || 0) + 1);
+    for (const g of p.geo || []) places.set(g.code, g);
+  }
+  // A region's parent country is listed even when no design covers the whole country
+  for (const g of [...places.values()]) {
+    if (g.type === 'region' && !places.has(g.country)) {
+      places.set(g.country, { code: g.country, name: g.country, type: 'country', country: g.country, continent: g.continent });
+    }
+  }
+
+  const byName = (a, b) => placeName(a).localeCompare(placeName(b), LOCALE);
+  const countries = [...places.values()].filter(g => g.type === 'country').sort(byName);
+  const regions = [...places.values()].filter(g => g.type === 'region').sort(byName);
+  const option = (value, label, indent = '') => {
+    placeLabels.set(value, label);
+    return `<option value="${value}">${indent}${label} (${counts.get(value) || 0})</option>`;
+  };
+
+  placeCounts = counts;
+  placeLabels.clear();
+  select.innerHTML = `<option value="all">${t('filter.allCountries')}</option>`
+    + CONTINENTS.filter(c => counts.has(c)).map(continent => {
+      const label = t(`continent.${continent}`);
+      return `<optgroup label="${label}">`
+        + option(continent, t('filter.allIn', { place: label }))
+        + countries.filter(c => c.continent === continent).map(c =>
+          option(c.code, placeName(c))
+          + regions.filter(r => r.country === c.code).map(r => option(r.code, placeName(r), '\u00a0\u00a0– ')).join('')
+        ).join('')
+        + '</optgroup>';
+    }).join('')
+    + (counts.has('world') ? option('world', t('geo.world')) : '');
+
+  // Old links filtered by country name (?country=Costa%20Rica) — map them to the code
+  if (activeCountry !== 'all' && !placeLabels.has(activeCountry)) {
+    const match = [...places.values()].find(g =>
+      g.name.toLowerCase() === activeCountry.toLowerCase() || g.code.toLowerCase() === activeCountry.toLowerCase());
+    activeCountry = match ? match.code : 'all';
+  }
+
   select.addEventListener('change', () => {
     activeCountry = select.value;
     currentPage = 1;
@@ -386,6 +707,38 @@ function buildCountryFilter(products) {
   });
 }
 
+// ═══════════════════════════════════════════
+// WORLD MAP — the same filter as countryFilter, see world-map.js
+// ═══════════════════════════════════════════
+function initWorldMap() {
+  WorldMap.init(document.getElementById('worldMap'), {
+    onSelect(code) {
+      // Clicking the selected country again clears the filter
+      activeCountry = activeCountry === code ? 'all' : code;
+      document.getElementById('countryFilter').value = activeCountry;
+      currentPage = 1;
+      applyFiltersAndRender();
+    },
+    tooltip(code, count) {
+      const place = places.get(code) || { code, name: code, type: 'country' };
+      return `${placeName(place)} · ${tn('catalog.count', count)}`;
+    },
+  });
+}
+
+function updateWorldMap() {
+  const countries = [...places.values()].filter(g => g.type === 'country');
+  const selected = places.get(activeCountry);
+  const active = selected?.type === 'region' ? [selected.country]
+    : selected ? [selected.code]
+    : countries.filter(g => g.continent === activeCountry).map(g => g.code);
+
+  WorldMap.update({
+    counts: new Map(countries.map(g => [g.code, placeCounts.get(g.code) || 0])),
+    active: new Set(active),
+  });
+}
+
 // ═══════════════════════════════════════════
 // PRODUCT MODAL
 // ═══════════════════════════════════════════
@@ -409,12 +762,14 @@ function openModal(productId) {
   selectedVariant = null;
   quantity = 1;
 
-  const thumb = THUMBNAIL_OVERRIDES[product.id] || product.thumbnail || '';
+  const thumb = product.thumbnail || '';
   document.getElementById('modalImage').src = thumb;
   document.getElementById('modalImage').alt = product.name;
-  document.getElementById('modalCategory').textContent = product.category;
+  document.getElementById('modalCategory').textContent = I18n.categoryLabel(product.category);
   document.getElementById('modalTitle').textContent = product.name;
-  document.getElementById('modalPrice').textContent = `From ${formatPrice(product.minPrice, product.currency)}`;
+  document.getElementById('modalWishlist').dataset.wishlistId = product.id;
+  Wishlist.syncHearts();
+  document.getElementById('modalPrice').textContent = t('product.from', { price: formatCatalogPrice(product.minPrice, product.currency) });
   document.getElementById('qtyVal').textContent = '1';
 
   renderModalThumbs(product, thumb, null);
@@ -423,6 +778,46 @@ function openModal(productId) {
   document.getElementById('productModal').classList.add('open');
   document.getElementById('productModal').setAttribute('aria-hidden', 'false');
   document.body.style.overflow = 'hidden';
+
+  refreshModalProduct(product.id);
+}
+
+/**
+ * Re-fetch the product in the modal from /api/product, so prices and variants are
+ * live rather than as old as the catalog snapshot. The variant picker is only
+ * redrawn if the variants actually changed.
+ */
+async function refreshModalProduct(productId) {
+  let res, data;
+  try {
+    res = await fetch(`${CONFIG.API_BASE}/api/product?id=${productId}`);
+    data = await res.json();
+  } catch {
+    return;  // keep showing the catalog copy
+  }
+  if (currentProduct?.id !== productId) return;
+
+  if (res.status === 404) {
+    allProducts = allProducts.filter(p => p.id !== productId);
+    closeModal();
+    showToast(t('product.unavailable'));
+    applyFiltersAndRender({ pushState: false });
+    return;
+  }
+  if (!res.ok) return;
+
+  const { product } = data;
+  const changed = JSON.stringify(product.variants) !== JSON.stringify(currentProduct.variants);
+  allProducts = allProducts.map(p => (p.id === productId ? product : p));
+  searchIndex = buildSearchIndex(allProducts);
+  currentProduct = product;
+  if (!changed) return;
+
+  selectedPrimary = null;
+  selectedVariant = null;
+  document.getElementById('modalPrice').textContent = t('product.from', { price: formatCatalogPrice(product.minPrice, product.currency) });
+  renderVariants(product);
+  updateAddBtn();
 }
 
 function renderModalThumbs(product, activeUrl, activeVariantId) {
@@ -441,10 +836,10 @@ function renderModalThumbs(product, activeUrl, activeVariantId) {
     i.type === 'front' && i.variantId === activeVariantId
   ) || product.images.find(i => i.isDefault);
 
-  const frontUrl = frontImg?.url || THUMBNAIL_OVERRIDES[product.id] || product.thumbnail || '';
+  const frontUrl = frontImg?.url || product.thumbnail || '';
   if (frontUrl) {
     seen.add(frontUrl);
-    thumbs.push({ url: frontUrl, label: 'Front' });
+    thumbs.push({ url: frontUrl, label: t('product.front') });
   }
 
   // Shared: back, label_inside (variantId === null && isShared)
@@ -510,7 +905,7 @@ function renderVariants(product) {
   section.style.display = 'block';
   const firstKey = groupKeys[0];
   const isSizeGroup = /^(xs|s|m|l|xl|xxl|2xl|3xl|\d+x\d+|a\d+|\d+cm)/i.test(firstKey);
-  primaryLabel.textContent = isSizeGroup ? 'Size / Dimensions' : 'Option';
+  primaryLabel.textContent = isSizeGroup ? t('variant.sizeDimensions') : t('variant.option');
 
   primaryOpts.innerHTML = groupKeys.map(key =>
     `<button class="variant-opt" data-primary="${key}">${key}</button>`
@@ -553,7 +948,7 @@ function renderSecondaryVariants(product, primaryKey) {
   }
 
   secondarySection.style.display = 'block';
-  secondaryLabel.textContent = 'Color';
+  secondaryLabel.textContent = t('variant.color');
 
   secondaryOpts.innerHTML = variants.map(v => `
     <button class="variant-opt ${v.available ? '' : 'unavailable'}"
@@ -592,7 +987,7 @@ function updateModalImage(variant) {
       if (groupMatch) newUrl = groupMatch.url;
     }
   }
-  if (!newUrl) newUrl = THUMBNAIL_OVERRIDES[currentProduct.id] || currentProduct.thumbnail || '';
+  if (!newUrl) newUrl = currentProduct.thumbnail || '';
 
   img.src = newUrl;
 
@@ -603,7 +998,7 @@ function updateModalImage(variant) {
 function updateModalPrice() {
   if (selectedVariant) {
     document.getElementById('modalPrice').textContent =
-      formatPrice(selectedVariant.price, selectedVariant.currency);
+      formatCatalogPrice(selectedVariant.price, selectedVariant.currency);
   }
 }
 
@@ -611,8 +1006,8 @@ function updateAddBtn() {
   const btn = document.getElementById('addToCartBtn');
   btn.disabled = !selectedVariant;
   btn.textContent = selectedVariant
-    ? `Add to cart — ${formatPrice(selectedVariant.price * quantity, selectedVariant.currency)}`
-    : 'Select options';
+    ? t('cart.addWithPrice', { price: formatCatalogPrice(selectedVariant.price, selectedVariant.currency, quantity) })
+    : t('cart.selectOptions');
 }
 
 function setQty(n) {
@@ -623,165 +1018,90 @@ function setQty(n) {
 
 function handleAddToCart() {
   if (!selectedVariant || !currentProduct) return;
-  addToCart({
+  Cart.add({
     variantId: selectedVariant.id,
     catalogVariantId: selectedVariant.catalogVariantId || null,
     name: currentProduct.name,
     variantLabel: [selectedPrimary, selectedVariant.options?.secondary].filter(Boolean).join(' / '),
     price: selectedVariant.price,
     currency: selectedVariant.currency,
-    thumbnail: THUMBNAIL_OVERRIDES[currentProduct.id] || currentProduct.thumbnail,
+    thumbnail: currentProduct.thumbnail,
     quantity,
   });
   closeModal();
-  openCart();
-  showToast('Added to cart!');
+  Cart.open();
+  showToast(t('cart.added'));
 }
 
 // ═══════════════════════════════════════════
-// CART
+// CART — see cart.js
 // ═══════════════════════════════════════════
-function loadCart() {
-  try { return JSON.parse(localStorage.getItem(CONFIG.CART_KEY)) || []; }
-  catch { return []; }
-}
-
-function saveCart() {
-  localStorage.setItem(CONFIG.CART_KEY, JSON.stringify(cart));
-}
-
-function addToCart(item) {
-  const existing = cart.find(i => i.variantId === item.variantId);
-  if (existing) {
-    existing.quantity = Math.min(20, existing.quantity + item.quantity);
-  } else {
-    cart.push({ ...item });
-  }
-  saveCart();
-  renderCart();
-  updateCartCount();
-}
-
-function removeFromCart(variantId) {
-  cart = cart.filter(i => i.variantId !== variantId);
-  saveCart();
-  renderCart();
-  updateCartCount();
-}
-
-function renderCart() {
-  const container = document.getElementById('cartItems');
-  const footer = document.getElementById('cartFooter');
-  const totalEl = document.getElementById('cartTotal');
-
-  if (cart.length === 0) {
-    container.innerHTML = '<p class="cart-empty">Your cart is empty.</p>';
-    footer.style.display = 'none';
-    return;
-  }
-
-  container.innerHTML = cart.map(item => `
-    <div class="cart-item">
-      <img class="cart-item-img" src="${item.thumbnail || ''}" alt="${item.name}"
-           onerror="this.style.display='none'" />
-      <div>
-        <div class="cart-item-name">${item.name}</div>
-        ${item.variantLabel ? `<div class="cart-item-variant">${item.variantLabel}</div>` : ''}
-        <div class="cart-item-price">${item.quantity} × ${formatPrice(item.price, item.currency)}</div>
-      </div>
-      <button class="cart-item-remove" data-variant="${item.variantId}" aria-label="Remove">✕</button>
-    </div>
-  `).join('');
-
-  container.querySelectorAll('.cart-item-remove').forEach(btn => {
-    btn.addEventListener('click', () => removeFromCart(parseInt(btn.dataset.variant)));
+function initCart() {
+  Cart.init({
+    apiBase: CONFIG.API_BASE,
+    stripeKey: CONFIG.STRIPE_PK,
+    toast: showToast,
   });
-
-  const currency = cart[0]?.currency || 'EUR';
-  const total = cart.reduce((sum, i) => sum + i.price * i.quantity, 0);
-  totalEl.textContent = formatPrice(total, currency);
-  footer.style.display = 'flex';
+  Cart.on('currency', refreshPrices);
 }
 
-function updateCartCount() {
-  const count = cart.reduce((sum, i) => sum + i.quantity, 0);
-  const el = document.getElementById('cartCount');
-  el.textContent = count;
-  el.classList.toggle('visible', count > 0);
-}
-
-function initCartUI() {
-  document.getElementById('cartToggle').addEventListener('click', openCart);
-  document.getElementById('cartClose').addEventListener('click', closeCart);
-  document.getElementById('cartOverlay').addEventListener('click', closeCart);
-  document.getElementById('checkoutBtn').addEventListener('click', handleCheckout);
-  renderCart();
-  updateCartCount();
-}
-
-function openCart() {
-  document.getElementById('cartDrawer').classList.add('open');
-  document.getElementById('cartOverlay').classList.add('open');
-  document.getElementById('cartDrawer').setAttribute('aria-hidden', 'false');
+// ═══════════════════════════════════════════
+// WISHLIST — see wishlist.js
+// ═══════════════════════════════════════════
+function initWishlist() {
+  Wishlist.init({
+    apiBase: CONFIG.API_BASE,
+    findProduct: id => allProducts.find(p => p.id === id),
+    addToCart: Cart.add,
+    openCart: Cart.open,
+    formatPrice: formatCatalogPrice,
+    productUrl: productPath,
+    toast: showToast,
+  });
 }
 
-function closeCart() {
-  document.getElementById('cartDrawer').classList.remove('open');
-  document.getElementById('cartOverlay').classList.remove('open');
-  document.getElementById('cartDrawer').setAttribute('aria-hidden', 'true');
+// ═══════════════════════════════════════════
+// CART LINKS — see cart-links.js
+// ═══════════════════════════════════════════
+function initCartLinks() {
+  CartLinks.init({
+    apiBase: CONFIG.API_BASE,
+    getCart: Cart.items,
+    addToCart: Cart.add,
+    replaceCart: Cart.replace,
+    openCart: Cart.open,
+    toast: showToast,
+  });
 }
 
 // ═══════════════════════════════════════════
-// STRIPE CHECKOUT
+// CURRENCY — see cart.js
 // ═══════════════════════════════════════════
-async function handleCheckout() {
-  if (cart.length === 0) return;
-  const btn = document.getElementById('checkoutBtn');
-  btn.disabled = true;
-  btn.textContent = 'Loading...';
-
-  try {
-    const res = await fetch(`${CONFIG.API_BASE}/api/create-checkout`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        items: cart,
-        shipping: selectedShippingOption ? {
-          id: selectedShippingOption.id,
-          name: selectedShippingOption.name,
-          rate: selectedShippingOption.rate,
-          currency: selectedShippingOption.currency,
-        } : null,
-      }),
-    });
-    if (!res.ok) {
-      const err = await res.json();
-      throw new Error(err.error || 'Checkout failed');
-    }
-    const { sessionId, url } = await res.json();
-    if (url) {
-      window.location.href = url;
-    } else {
-      const result = await window._stripe.redirectToCheckout({ sessionId });
-      if (result.error) throw new Error(result.error.message);
-    }
-  } catch (err) {
-    console.error('Checkout error:', err);
-    showToast(`Error: ${err.message}`);
-    btn.disabled = false;
-    btn.textContent = 'Checkout →';
+const { formatCatalogPrice } = Cart;
+
+/** Re-render every price on the page after the currency or rates change (the drawer redraws itself) */
+function refreshPrices() {
+  if (allProducts.length) {
+    renderPage();
+    renderActiveFilterTags();
+    syncPriceSlider();
+  }
+  if (currentProduct) {
+    if (selectedVariant) updateModalPrice();
+    else document.getElementById('modalPrice').textContent = t('product.from', { price: formatCatalogPrice(currentProduct.minPrice, currentProduct.currency) });
+    updateAddBtn();
   }
 }
 
 // ═══════════════════════════════════════════
 // UTILS
 // ═══════════════════════════════════════════
-function formatPrice(amount, currency = 'EUR') {
-  return new Intl.NumberFormat('nl-NL', {
-    style: 'currency',
-    currency: currency.toUpperCase(),
-    minimumFractionDigits: 2,
-  }).format(amount);
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 function showToast(msg) {
@@ -803,130 +1123,6 @@ function showToast(msg) {
   toast._timer = setTimeout(() => { toast.style.opacity = '0'; }, 3000);
 }
 
-
-// ═══════════════════════════════════════════
-// SHIPPING ESTIMATOR
-// ═══════════════════════════════════════════
-const SHIP_COUNTRIES = [
-  ['AR','Argentina'],['AU','Australia'],['AT','Austria'],['BE','Belgium'],
-  ['BR','Brazil'],['CA','Canada'],['CO','Colombia'],['DK','Denmark'],
-  ['FI','Finland'],['FR','France'],['DE','Germany'],['IE','Ireland'],
-  ['IT','Italy'],['JP','Japan'],['KR','South Korea'],['MX','Mexico'],
-  ['NL','Netherlands'],['NZ','New Zealand'],['NO','Norway'],['PL','Poland'],
-  ['PT','Portugal'],['SG','Singapore'],['ES','Spain'],['SE','Sweden'],
-  ['CH','Switzerland'],['GB','United Kingdom'],['US','United States'],
-];
-
-function initShippingEstimator() {
-  const select = document.getElementById('shippingCountrySelect');
-  const calcBtn = document.getElementById('calcShippingBtn');
-  if (!select || !calcBtn) return;
-
-  select.innerHTML = '<option value="">Select country\u2026</option>' +
-    SHIP_COUNTRIES.map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
-
-  calcBtn.addEventListener('click', calcShipping);
-}
-
-async function calcShipping() {
-  if (!cart.length) return;
-  const country = document.getElementById('shippingCountrySelect')?.value;
-  if (!country) { showToast('Please select a country first'); return; }
-
-  const ratesList = document.getElementById('shippingRatesList');
-  const calcBtn = document.getElementById('calcShippingBtn');
-  if (!ratesList || !calcBtn) return;
-
-  calcBtn.disabled = true;
-  calcBtn.textContent = '\u2026';
-  ratesList.innerHTML = '<p class="shipping-loading">Calculating\u2026</p>';
-
-  try {
-    const res = await fetch(`${CONFIG.API_BASE}/api/shipping-rates`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        country_code: country,
-        items: cart.map(i => ({ 
-  variantId: i.variantId, 
-  catalogVariantId: i.catalogVariantId,
-  quantity: i.quantity 
-})),
-      }),
-    });
-    const { rates, error } = await res.json();
-
-    if (error || !rates?.length) {
-      ratesList.innerHTML = `<p class="shipping-error">${error || 'No rates available for this country.'}</p>`;
-      return;
-    }
-
-    ratesList.innerHTML = rates.map((r, idx) =>
-      `<label class="shipping-rate-option">
-        <input type="radio" name="shippingRate" value="${r.id}" data-rate='${JSON.stringify(r)}' ${idx === 0 ? 'checked' : ''} />
-        <span class="shipping-rate-info">
-          <span class="shipping-rate-name">${r.name}</span>
-          ${r.minDays ? `<span class="shipping-rate-days">${r.minDays}\u2013${r.maxDays || r.minDays} business days</span>` : ''}
-        </span>
-        <span class="shipping-rate-price">${formatPrice(r.rate, r.currency)}</span>
-      </label>`
-    ).join('');
-
-    const firstInput = ratesList.querySelector('input[type="radio"]');
-    if (firstInput) {
-      selectedShippingOption = JSON.parse(firstInput.dataset.rate);
-      updateShippingDisplay();
-    }
-
-    ratesList.querySelectorAll('input[type="radio"]').forEach(radio => {
-      radio.addEventListener('change', () => {
-        selectedShippingOption = JSON.parse(radio.dataset.rate);
-        updateShippingDisplay();
-      });
-    });
-  } catch {
-    ratesList.innerHTML = '<p class="shipping-error">Failed to calculate shipping. Please try again.</p>';
-  } finally {
-    calcBtn.disabled = false;
-    calcBtn.textContent = 'Calculate';
-  }
-}
-
-function resetShipping() {
-  selectedShippingOption = null;
-  const ratesList = document.getElementById('shippingRatesList');
-  if (ratesList) ratesList.innerHTML = '';
-  updateShippingDisplay();
-}
-
-function updateShippingDisplay() {
-  const shippingRow = document.getElementById('shippingTotalRow');
-  const grandTotalRow = document.getElementById('grandTotalRow');
-  const shippingNote = document.getElementById('shippingNote');
-  if (!shippingRow || !grandTotalRow) return;
-
-  if (selectedShippingOption && cart.length) {
-    const subtotal = cart.reduce((s, i) => s + i.price * i.quantity, 0);
-    const currency = cart[0]?.currency || 'EUR';
-    document.getElementById('shippingTotalLabel').textContent = selectedShippingOption.name;
-    document.getElementById('shippingTotal').textContent = formatPrice(selectedShippingOption.rate, selectedShippingOption.currency);
-    document.getElementById('grandTotal').innerHTML = `<strong>${formatPrice(subtotal + selectedShippingOption.rate, currency)}</strong>`;
-    shippingRow.style.display = 'flex';
-    grandTotalRow.style.display = 'flex';
-    if (shippingNote) shippingNote.style.display = 'none';
-  } else {
-    shippingRow.style.display = 'none';
-    grandTotalRow.style.display = 'none';
-    if (shippingNote) shippingNote.style.display = 'block';
-  }
-
-  const checkoutBtn = document.getElementById('checkoutBtn');
-  if (checkoutBtn) {
-    checkoutBtn.disabled = !selectedShippingOption || cart.length === 0;
-    checkoutBtn.textContent = selectedShippingOption ? 'Checkout →' : 'Select shipping first';
-  }
-}
-
 // ═══════════════════════════════════════════
 // NAV PRODUCTS DROPDOWN
 // ═══════════════════════════════════════════
@@ -940,6 +1136,16 @@ function slugify(name) {
     .substring(0, 80);
 }
 
+/**
+ * Static page for a product, in the current language (see scripts/build-seo.js).
+ * The API sends each product's page slug, numbered for duplicate names; the
+ * name is only a fallback for products it hasn't slugged.
+ */
+function productPath(product) {
+  const prefix = I18n.lang === I18n.DEFAULT_LANGUAGE ? '' : `/${I18n.lang}`;
+  return `${prefix}/products/${product.slug || slugify(product.name)}/`;
+}
+
 function populateNavDropdown(products) {
   const menu = document.getElementById('navProductsMenu');
   const btn = document.getElementById('navProductsBtn');
@@ -955,9 +1161,9 @@ function populateNavDropdown(products) {
 
   let html = '';
   Object.entries(categories).forEach(([cat, items]) => {
-    html += `<div class="nav-dropdown-heading">${cat.charAt(0).toUpperCase() + cat.slice(1)}</div>`;
+    html += `<div class="nav-dropdown-heading">${I18n.categoryLabel(cat)}</div>`;
     items.forEach(p => {
-      html += `<a class="nav-dropdown-item" href="/products/${slugify(p.name)}/">${p.name}</a>`;
+      html += `<a class="nav-dropdown-item" href="${productPath(p)}">${p.name}</a>`;
     });
   });
   menu.innerHTML = html;
@@ -0,0 +1,362 @@
+/**
+ * Overlay Maps — Wishlist
+ * Saved designs, shared by the store (store.js) and the static product pages
+ * (product-page.js). Kept in localStorage under overlaymaps_wishlist, next to
+ * the cart, and in sync across tabs.
+ *
+ * Any button with data-wishlist-id="<product id>" is a heart toggle; the page
+ * supplies the product behind it through findProduct. The drawer lists the
+ * saved designs with a variant picker to move one into the cart, and a share
+ * link: /?wishlist=<id>,<id> opens the sender's list read-only, with
+ * "save all" and the same move-to-cart.
+ *
+ * Exposes window.Wishlist:
+ *   init({ apiBase, findProduct(id), addToCart(item), openCart(), formatPrice(amount, currency),
+ *          productUrl(product), toast(message) })
+ *   heartButton(productId, className)  — the toggle's HTML
+ *   syncHearts()                       — re-sync every toggle on the page with the list
+ *   open(), has(id), toggle(product)
+ */
+
+(function (root) {
+  const STORAGE_KEY = 'overlaymaps_wishlist';
+  const SHARE_PARAM = 'wishlist';
+  const MAX_ITEMS = 50;
+
+  const { t } = root.I18n;
+
+  let options = {};
+  let items = load();
+  let shared = null;              // product ids from a shared link, while the drawer shows them
+  const products = new Map();     // id → product (null if gone), loaded for the variant pickers
+
+  // ═══════════════════════════════════════════
+  // STORAGE
+  // ═══════════════════════════════════════════
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    changed();
+  }
+
+  function changed() {
+    syncHearts();
+    updateCount();
+    if (isOpen()) render();
+  }
+
+  /** What the drawer needs before the product itself has loaded */
+  function snapshot(product) {
+    return {
+      id: product.id,
+      name: product.name,
+      thumbnail: product.thumbnail || null,
+      minPrice: product.minPrice,
+      currency: product.currency || 'EUR',
+      addedAt: Date.now(),
+    };
+  }
+
+  function has(id) {
+    return items.some(item => item.id === id);
+  }
+
+  /** Add or remove a product; returns whether it's now saved */
+  function toggle(product) {
+    if (has(product.id)) {
+      items = items.filter(item => item.id !== product.id);
+    } else {
+      items = [snapshot(product), ...items].slice(0, MAX_ITEMS);
+      products.set(product.id, product);
+    }
+    save();
+    return has(product.id);
+  }
+
+  function remove(id) {
+    items = items.filter(item => item.id !== id);
+    save();
+  }
+
+  // ═══════════════════════════════════════════
+  // HEART TOGGLES
+  // ═══════════════════════════════════════════
+  function heartButton(productId, className = '') {
+    const saved = has(productId);
+    return `<button type="button" class="wishlist-heart ${className}" data-wishlist-id="${productId}"
+      aria-pressed="${saved}" aria-label="${escapeHtml(t(saved ? 'wishlist.remove' : 'wishlist.add'))}">${saved ? '♥' : '♡'}</button>`;
+  }
+
+  function syncHearts() {
+    document.querySelectorAll('[data-wishlist-id]').forEach(btn => {
+      const saved = has(Number(btn.dataset.wishlistId));
+      btn.setAttribute('aria-pressed', saved);
+      btn.setAttribute('aria-label', t(saved ? 'wishlist.remove' : 'wishlist.add'));
+      btn.textContent = saved ? '♥' : '♡';
+    });
+  }
+
+  function onHeartClick(e) {
+    const btn = e.target.closest('[data-wishlist-id]');
+    if (!btn) return;
+    e.preventDefault();
+    e.stopPropagation();  // hearts sit inside clickable product cards
+    const product = options.findProduct?.(Number(btn.dataset.wishlistId));
+    if (!product) return;
+    options.toast?.(t(toggle(product) ? 'wishlist.saved' : 'wishlist.removed'));
+  }
+
+  // ═══════════════════════════════════════════
+  // DRAWER
+  // ═══════════════════════════════════════════
+  function init(opts) {
+    options = opts;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cart-overlay';
+    overlay.id = 'wishlistOverlay';
+    const drawer = document.createElement('aside');
+    drawer.className = 'cart-drawer wishlist-drawer';
+    drawer.id = 'wishlistDrawer';
+    drawer.setAttribute('aria-hidden', 'true');
+    drawer.innerHTML = `
+      <div class="cart-header">
+        <h2 id="wishlistTitle">${t('wishlist.title')}</h2>
+        <button class="cart-drawer-close" id="wishlistClose" aria-label="${escapeHtml(t('wishlist.close'))}">✕</button>
+      </div>
+      <div class="cart-items" id="wishlistItems"></div>
+      <div class="cart-footer" id="wishlistFooter"></div>`;
+    document.body.append(overlay, drawer);
+
+    overlay.addEventListener('click', close);
+    drawer.querySelector('#wishlistClose').addEventListener('click', close);
+    drawer.addEventListener('click', onDrawerClick);
+    document.getElementById('wishlistToggle')?.addEventListener('click', open);
+    // Capture phase, so a heart inside a product card doesn't also open the card
+    document.addEventListener('click', onHeartClick, true);
+    document.addEventListener('keydown', e => { if (e.key === 'Escape' && isOpen()) close(); });
+
+    // Another tab changed the list
+    window.addEventListener('storage', e => {
+      if (e.key !== STORAGE_KEY) return;
+      items = load();
+      changed();
+    });
+
+    updateCount();
+    syncHearts();
+
+    const ids = parseShared(new URLSearchParams(location.search).get(SHARE_PARAM));
+    if (ids.length) {
+      shared = ids;
+      open();
+    }
+  }
+
+  function open() {
+    document.getElementById('wishlistDrawer').classList.add('open');
+    document.getElementById('wishlistOverlay').classList.add('open');
+    document.getElementById('wishlistDrawer').setAttribute('aria-hidden', 'false');
+    render();
+  }
+
+  function close() {
+    shared = null;
+    document.getElementById('wishlistDrawer').classList.remove('open');
+    document.getElementById('wishlistOverlay').classList.remove('open');
+    document.getElementById('wishlistDrawer').setAttribute('aria-hidden', 'true');
+  }
+
+  function isOpen() {
+    return document.getElementById('wishlistDrawer')?.classList.contains('open');
+  }
+
+  function updateCount() {
+    const el = document.getElementById('wishlistCount');
+    if (!el) return;
+    el.textContent = items.length;
+    el.classList.toggle('visible', items.length > 0);
+  }
+
+  /** The saved list, or the shared one; products load in the background for the pickers */
+  function render() {
+    const list = shared
+      ? shared.map(id => items.find(item => item.id === id) || snapshotOf(id)).filter(Boolean)
+      : items;
+    document.getElementById('wishlistTitle').textContent = t(shared ? 'wishlist.sharedTitle' : 'wishlist.title');
+
+    const container = document.getElementById('wishlistItems');
+    const footer = document.getElementById('wishlistFooter');
+    container.innerHTML = list.length
+      ? list.map(renderItem).join('')
+      : `<p class="cart-empty">${t(shared ? 'wishlist.sharedEmpty' : 'wishlist.empty')}</p>`;
+
+    footer.innerHTML = shared
+      ? `<button class="btn-primary btn-full" data-action="save-all">${t('wishlist.saveAll')}</button>`
+      : `<button class="shipping-calc-btn" data-action="share">${t('wishlist.share')}</button>`;
+    footer.style.display = list.length ? 'flex' : 'none';
+
+    const missing = (shared || items.map(item => item.id)).filter(id => !products.has(id));
+    if (missing.length) loadProducts(missing).then(() => { if (isOpen()) render(); });
+  }
+
+  // A shared item that isn't in our own list: from its loaded product, once we have it
+  function snapshotOf(id) {
+    const product = products.get(id);
+    if (product === null) return null;
+    return product ? snapshot(product) : { id, name: '…', thumbnail: null, minPrice: null, currency: 'EUR' };
+  }
+
+  function renderItem(item) {
+    const product = products.get(item.id);
+    const variants = (product?.variants || []).filter(v => v.available !== false);
+    const url = product && options.productUrl ? options.productUrl(product) : null;
+    const name = escapeHtml(item.name);
+
+    let move = '';
+    if (product === null) {
+      move = `<div class="cart-item-variant">${t('wishlist.unavailable')}</div>`;
+    } else if (variants.length) {
+      move = `<div class="wishlist-move">
+          ${variants.length > 1 ? `<select class="country-select wishlist-variant" aria-label="${escapeHtml(t('wishlist.option'))}">
+            ${variants.map(v => `<option value="${v.id}">${escapeHtml(variantLabel(v))} — ${options.formatPrice(v.price, v.currency)}</option>`).join('')}
+          </select>` : ''}
+          <button class="shipping-calc-btn" data-action="move" data-id="${item.id}">${t('wishlist.moveToCart')}</button>
+        </div>`;
+    }
+
+    return `
+      <div class="cart-item wishlist-item" data-id="${item.id}">
+        <img class="cart-item-img" src="${escapeHtml(item.thumbnail || '')}" alt="${name}" onerror="this.style.visibility='hidden'" />
+        <div>
+          ${url ? `<a class="cart-item-name" href="${escapeHtml(url)}">${name}</a>` : `<div class="cart-item-name">${name}</div>`}
+          ${item.minPrice != null ? `<div class="cart-item-price">${t('product.from', { price: options.formatPrice(item.minPrice, item.currency) })}</div>` : ''}
+          ${move}
+        </div>
+        ${shared ? '' : `<button class="cart-item-remove" data-action="remove" data-id="${item.id}" aria-label="${escapeHtml(t('wishlist.remove'))}">✕</button>`}
+      </div>`;
+  }
+
+  function onDrawerClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = Number(btn.dataset.id);
+
+    switch (btn.dataset.action) {
+      case 'remove':
+        remove(id);
+        break;
+      case 'move':
+        moveToCart(id, btn.closest('.wishlist-item').querySelector('.wishlist-variant')?.value);
+        break;
+      case 'share':
+        share();
+        break;
+      case 'save-all': {
+        const add = shared.filter(id => products.get(id) && !has(id)).map(id => snapshot(products.get(id)));
+        items = [...add, ...items].slice(0, MAX_ITEMS);
+        shared = null;
+        save();
+        options.toast?.(t('wishlist.savedAll'));
+        break;
+      }
+    }
+  }
+
+  /** Add the chosen variant to the cart; it leaves our own list, a shared one stays as sent */
+  function moveToCart(id, variantId) {
+    const product = products.get(id);
+    if (!product) return;
+    const variants = product.variants.filter(v => v.available !== false);
+    const variant = variants.find(v => String(v.id) === variantId) || variants[0];
+    if (!variant) return;
+
+    options.addToCart({
+      variantId: variant.id,
+      catalogVariantId: variant.catalogVariantId || null,
+      name: product.name,
+      variantLabel: variantLabel(variant),
+      price: variant.price,
+      currency: variant.currency,
+      thumbnail: product.thumbnail,
+      quantity: 1,
+    });
+    if (!shared) remove(id);
+    close();
+    options.openCart?.();
+    options.toast?.(t('cart.added'));
+  }
+
+  async function loadProducts(ids) {
+    await Promise.all(ids.map(async id => {
+      const local = options.findProduct?.(id);
+      if (local) return products.set(id, local);
+      try {
+        const res = await fetch(`${options.apiBase}/api/product?id=${id}`);
+        if (res.status === 404) return products.set(id, null);
+        if (res.ok) products.set(id, (await res.json()).product);
+      } catch {
+        // Offline — the item stays without a picker until the drawer is reopened
+      }
+    }));
+  }
+
+  // ═══════════════════════════════════════════
+  // SHARING
+  // ═══════════════════════════════════════════
+  function shareUrl() {
+    const params = new URLSearchParams({ [SHARE_PARAM]: items.map(item => item.id).join(',') });
+    if (root.I18n.lang !== root.I18n.DEFAULT_LANGUAGE) params.set('lang', root.I18n.lang);
+    return `${location.origin}/?${params}`;
+  }
+
+  async function share() {
+    const url = shareUrl();
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: t('wishlist.shareTitle'), url });
+        return;
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+      }
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      options.toast?.(t('wishlist.copied'));
+    } catch {
+      window.prompt(t('wishlist.share'), url);
+    }
+  }
+
+  /** Product ids from a ?wishlist= value, ignoring anything that isn't one */
+  function parseShared(value) {
+    if (!value) return [];
+    const ids = value.split(',').filter(id => /^\d{1,12}$/.test(id)).map(Number);
+    return [...new Set(ids)].slice(0, MAX_ITEMS);
+  }
+
+  // ═══════════════════════════════════════════
+  // UTILS
+  // ═══════════════════════════════════════════
+  function variantLabel(variant) {
+    return [variant.options?.primary, variant.options?.secondary].filter(Boolean).join(' / ');
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  root.Wishlist = { init, open, has, toggle, heartButton, syncHearts };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,151 @@
+/**
+ * Overlay Maps — World map browser
+ * Draws the catalog's countries as a clickable SVG map from the bundled GeoJSON
+ * (data/world-110m.geojson: Natural Earth 1:110m countries, public domain, keyed by
+ * ISO 3166-1 alpha-2 code). No tile service, no dependencies.
+ *
+ * Exposes window.WorldMap:
+ *   init(container, { onSelect(code), label(code), tooltip(code, count) })
+ *   update({ counts: Map(code → products), active: Set(codes) })
+ *
+ * Countries with products are shaded by count and clickable; the rest are drawn
+ * for context only.
+ */
+
+(function (root) {
+  const GEOJSON_URL = 'data/world-110m.geojson';
+
+  // Equirectangular, cropped to the inhabited latitudes
+  const LAT_TOP = 84;
+  const LAT_BOTTOM = -58;
+  const WIDTH = 360;
+  const HEIGHT = LAT_TOP - LAT_BOTTOM;
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  let container = null;
+  let options = {};
+  let svg = null;
+  let tooltip = null;
+  let shapes = new Map();  // code → <path>
+  let state = { counts: new Map(), active: new Set() };
+
+  async function init(el, opts = {}) {
+    container = el;
+    options = opts;
+    if (!container) return;
+
+    let geojson;
+    try {
+      const res = await fetch(GEOJSON_URL);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      geojson = await res.json();
+    } catch (err) {
+      // The select filter still works without the map
+      console.warn('World map unavailable:', err.message);
+      container.hidden = true;
+      return;
+    }
+
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+    svg.setAttribute('class', 'world-map-svg');
+    svg.setAttribute('role', 'group');
+
+    for (const feature of geojson.features) {
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', geometryPath(feature.geometry));
+      path.setAttribute('class', 'world-map-country');
+      path.dataset.code = feature.id;
+      svg.appendChild(path);
+      shapes.set(feature.id, path);
+    }
+
+    tooltip = document.createElement('div');
+    tooltip.className = 'world-map-tooltip';
+    tooltip.hidden = true;
+
+    container.replaceChildren(svg, tooltip);
+    bindEvents();
+    render();
+  }
+
+  function update(next) {
+    state = { ...state, ...next };
+    render();
+  }
+
+  function render() {
+    if (!svg) return;
+    const max = Math.max(1, ...state.counts.values());
+
+    for (const [code, path] of shapes) {
+      const count = state.counts.get(code) || 0;
+      const active = state.active.has(code);
+      path.classList.toggle('has-products', count > 0);
+      path.classList.toggle('active', active);
+      // Square root so one big country doesn't wash out the rest
+      path.style.fillOpacity = count > 0 ? (0.3 + 0.7 * Math.sqrt(count / max)).toFixed(2) : '';
+
+      if (count > 0) {
+        path.setAttribute('tabindex', '0');
+        path.setAttribute('role', 'button');
+        path.setAttribute('aria-pressed', String(active));
+        path.setAttribute('aria-label', options.tooltip ? options.tooltip(code, count) : code);
+      } else {
+        path.removeAttribute('tabindex');
+        path.removeAttribute('role');
+        path.removeAttribute('aria-pressed');
+        path.removeAttribute('aria-label');
+      }
+    }
+  }
+
+  function bindEvents() {
+    const countryAt = target => {
+      const code = target.closest?.('.world-map-country')?.dataset.code;
+      return code && state.counts.get(code) ? code : null;
+    };
+
+    svg.addEventListener('click', e => {
+      const code = countryAt(e.target);
+      if (code) options.onSelect?.(code);
+    });
+    svg.addEventListener('keydown', e => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      const code = countryAt(e.target);
+      if (!code) return;
+      e.preventDefault();
+      options.onSelect?.(code);
+    });
+
+    svg.addEventListener('mousemove', e => {
+      const code = countryAt(e.target);
+      if (!code) { tooltip.hidden = true; return; }
+      const bounds = container.getBoundingClientRect();
+      tooltip.textContent = options.tooltip ? options.tooltip(code, state.counts.get(code)) : code;
+      tooltip.style.left = `${e.clientX - bounds.left}px`;
+      tooltip.style.top = `${e.clientY - bounds.top}px`;
+      tooltip.hidden = false;
+    });
+    svg.addEventListener('mouseleave', () => { tooltip.hidden = true; });
+  }
+
+  // ═══════════════════════════════════════════
+  // GEOMETRY
+  // ═══════════════════════════════════════════
+  function geometryPath(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.map(rings => rings.map(ringPath).join('')).join('');
+  }
+
+  function ringPath(ring) {
+    return ring.map(([lon, lat], i) => {
+      const x = (lon + 180).toFixed(1);
+      const y = (LAT_TOP - Math.max(LAT_BOTTOM, Math.min(LAT_TOP, lat))).toFixed(1);
+      return `${i ? 'L' : 'M'}${x} ${y}`;
+    }).join('') + 'Z';
+  }
+
+  root.WorldMap = { init, update };
+})(window);
@@ -7,13 +7,18 @@
  *   node scripts/build-seo.js
  *
  * Requires:
- *   PRINTFUL_API_KEY and PRINTFUL_STORE_ID env vars (same as your Vercel env)
- *   Or set API_BASE to your live Vercel API to use the /api/products endpoint
+ *   PRINTFUL_API_KEY and PRINTFUL_STORE_ID env vars (same as your Vercel env) —
+ *   the catalog is then built directly through the shared Printful client.
+ *   Without them it falls back to the live /api/products endpoint at API_BASE.
  *
  * Output:
- *   public/products/[slug]/index.html  — one page per product
- *   public/sitemap.xml                 — full sitemap
- *   public/robots.txt                  — robots file
+ *   public/products/[slug]/index.html         — one page per product (English)
+ *   public/[lang]/products/[slug]/index.html  — the same page in every other language
+ *   public/sitemap.xml                        — full sitemap with hreflang alternates
+ *   public/robots.txt                         — robots file
+ *
+ * Page text comes from the translation catalog in public/js/i18n.js, the same
+ * one the browser uses for everything rendered client-side.
  *
  * Run this script locally or as part of your GitHub Actions CI after each push.
  */
@@ -21,6 +26,10 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { fetchPrintfulCatalog, productSlugs } from '../api/_lib/catalog.js';
+import '../public/js/i18n.js';  // classic script — registers globalThis.I18n
+
+const { LANGUAGES, DEFAULT_LANGUAGE, translate, categoryLabel } = globalThis.I18n;
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -32,22 +41,50 @@ const API_BASE  = 'https://overlay-maps.vercel.app';
 const OUTPUT_DIR = path.join(__dirname, '..', 'public');
 
 // ═══════════════════════════════════════════
-// SLUGIFY
+// LANGUAGES
 // ═══════════════════════════════════════════
-function slugify(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .trim()
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .substring(0, 80);
+// English lives at the root, every other language under /[lang]/
+function langPrefix(lang) {
+  return lang === DEFAULT_LANGUAGE ? '' : `/${lang}`;
+}
+
+function productUrl(slug, lang) {
+  return `${STORE_URL}${langPrefix(lang)}/products/${slug}/`;
+}
+
+// The storefront itself is one page; ?lang= picks its language
+function homePath(lang, category) {
+  const params = new URLSearchParams();
+  if (category) params.set('category', category);
+  if (lang !== DEFAULT_LANGUAGE) params.set('lang', lang);
+  const query = params.toString();
+  return query ? `/?${query}` : '/';
+}
+
+function ogLocale(lang) {
+  return LANGUAGES[lang].locale.replace('-', '_');
+}
+
+function hreflangLinks(slug) {
+  return [
+    ...Object.keys(LANGUAGES).map(lang =>
+      `<link rel="alternate" hreflang="${lang}" href="${productUrl(slug, lang)}" />`),
+    `<link rel="alternate" hreflang="x-default" href="${productUrl(slug, DEFAULT_LANGUAGE)}" />`,
+  ].join('\n  ');
 }
 
 // ═══════════════════════════════════════════
 // FETCH PRODUCTS
 // ═══════════════════════════════════════════
 async function fetchProducts() {
+  if (process.env.PRINTFUL_API_KEY && process.env.PRINTFUL_STORE_ID) {
+    console.log('Fetching products from Printful...');
+    // No function time limit here — let slow catalogs finish
+    const products = (await fetchPrintfulCatalog({ deadline: Infinity })).filter(p => !p.hidden);
+    console.log(`Found ${products.length} products.`);
+    return products;
+  }
+
   console.log('Fetching products from API...');
   const res = await fetch(`${API_BASE}/api/products`);
   if (!res.ok) throw new Error(`API returned ${res.status}`);
@@ -59,14 +96,16 @@ async function fetchProducts() {
 // ═══════════════════════════════════════════
 // GENERATE PRODUCT PAGE HTML
 // ═══════════════════════════════════════════
-function generateProductPage(product, allProducts) {
-  const slug = slugify(product.name);
-  const url = `${STORE_URL}/products/${slug}/`;
+function generateProductPage(product, allProducts, slugs, lang) {
+  const t = (key, vars) => translate(lang, key, vars);
+  const slug = slugs.get(product.id);
+  const url = productUrl(slug, lang);
   const thumb = product.thumbnail || '';
-  const price = product.minPrice
-    ? new Intl.NumberFormat('nl-NL', { style: 'currency', currency: product.currency || 'EUR' }).format(product.minPrice)
-    : '';
-  const description = buildDescription(product);
+  const formatPrice = (amount, currency) =>
+    new Intl.NumberFormat(LANGUAGES[lang].locale, { style: 'currency', currency: currency || 'EUR' }).format(amount);
+  const price = product.minPrice ? formatPrice(product.minPrice, product.currency) : '';
+  const description = buildDescription(product, lang);
+  const category = product.category ? categoryLabel(product.category, lang) : t('category.products');
 
   // Related products (same category, different product)
   const related = allProducts
@@ -101,14 +140,14 @@ function generateProductPage(product, allProducts) {
     '@context': 'https://schema.org',
     '@type': 'BreadcrumbList',
     itemListElement: [
-      { '@type': 'ListItem', position: 1, name: 'Home', item: STORE_URL },
-      { '@type': 'ListItem', position: 2, name: capitalize(product.category || 'Products'), item: `${STORE_URL}/?category=${product.category}` },
+      { '@type': 'ListItem', position: 1, name: t('breadcrumb.home'), item: `${STORE_URL}${homePath(lang)}` },
+      { '@type': 'ListItem', position: 2, name: category, item: `${STORE_URL}${homePath(lang, product.category)}` },
       { '@type': 'ListItem', position: 3, name: product.name, item: url },
     ],
   };
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${lang}" data-lang="${lang}">
 <head>
   <meta charset="UTF-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
@@ -117,6 +156,7 @@ function generateProductPage(product, allProducts) {
   <title>${product.name} — Overlay Maps</title>
   <meta name="description" content="${escapeAttr(description)}" />
   <link rel="canonical" href="${url}" />
+  ${hreflangLinks(slug)}
 
   <!-- Open Graph -->
   <meta property="og:type" content="product" />
@@ -125,6 +165,7 @@ function generateProductPage(product, allProducts) {
   <meta property="og:url" content="${url}" />
   ${thumb ? `<meta property="og:image" content="${escapeAttr(thumb)}" />` : ''}
   <meta property="og:site_name" content="Overlay Maps" />
+  <meta property="og:locale" content="${ogLocale(lang)}" />
 
   <!-- Twitter Card -->
   <meta name="twitter:card" content="summary_large_image" />
@@ -151,17 +192,21 @@ function generateProductPage(product, allProducts) {
 <!-- HEADER -->
 <header class="site-header">
   <div class="header-inner">
-    <a href="/" class="logo">
+    <a href="${escapeHtml(homePath(lang))}" class="logo">
       <span class="logo-mark">◈</span>
       <span class="logo-text">Overlay Maps</span>
     </a>
     <nav class="main-nav">
-      <a href="/?category=apparel">Apparel</a>
-      <a href="/?category=posters">Posters</a>
-      <a href="/?category=stickers">Stickers</a>
-      <a href="/?category=stationary">Stationary</a>
+      ${['apparel', 'posters', 'stickers', 'stationary'].map(cat =>
+        `<a href="${escapeHtml(homePath(lang, cat))}">${categoryLabel(cat, lang)}</a>`).join('\n      ')}
     </nav>
-    <button class="cart-btn" id="cartToggle" aria-label="Open cart">
+    <select id="languageSelect" class="country-select language-select" aria-label="${t('header.language')}"></select>
+    <select id="currencySelect" class="country-select currency-select" aria-label="${t('header.currency')}"></select>
+    <button class="cart-btn wishlist-btn" id="wishlistToggle" aria-label="${t('header.openWishlist')}">
+      <span class="cart-icon">♡</span>
+      <span class="cart-count" id="wishlistCount">0</span>
+    </button>
+    <button class="cart-btn" id="cartToggle" aria-label="${t('header.openCart')}">
       <span class="cart-icon">◫</span>
       <span class="cart-count" id="cartCount">0</span>
     </button>
@@ -169,11 +214,11 @@ function generateProductPage(product, allProducts) {
 </header>
 
 <!-- BREADCRUMB -->
-<nav class="breadcrumb" aria-label="Breadcrumb">
+<nav class="breadcrumb" aria-label="${t('breadcrumb.label')}">
   <div class="breadcrumb-inner">
-    <a href="/">Home</a>
+    <a href="${escapeHtml(homePath(lang))}">${t('breadcrumb.home')}</a>
     <span class="breadcrumb-sep">›</span>
-    <a href="/?category=${product.category || 'all'}">${capitalize(product.category || 'Products')}</a>
+    <a href="${escapeHtml(homePath(lang, product.category || 'all'))}">${escapeHtml(category)}</a>
     <span class="breadcrumb-sep">›</span>
     <span>${escapeHtml(product.name)}</span>
   </div>
@@ -199,33 +244,36 @@ function generateProductPage(product, allProducts) {
         ${product.images.slice(0, 6).map((img, i) => `
         <button class="product-thumb-btn ${i === 0 ? 'active' : ''}"
                 onclick="setMainImage('${escapeAttr(img.url)}', this)"
-                aria-label="View image ${i + 1}">
-          <img src="${escapeAttr(img.url)}" alt="${escapeAttr(product.name)} view ${i + 1}" loading="lazy" />
+                aria-label="${escapeAttr(t('product.viewImage', { n: i + 1 }))}">
+          <img src="${escapeAttr(img.url)}" alt="${escapeAttr(t('product.imageAlt', { name: product.name, n: i + 1 }))}" loading="lazy" />
         </button>`).join('')}
       </div>` : ''}
     </div>
 
     <!-- Product info -->
     <div class="product-page-info">
-      <p class="product-page-cat">${escapeHtml(product.category || '')}${product.country ? ` · ${escapeHtml(product.country)}` : ''}</p>
-      <h1 class="product-page-title">${escapeHtml(product.name)}</h1>
-      <p class="product-page-price" id="productPrice">From <strong>${price}</strong></p>
+      <p class="product-page-cat">${product.category ? escapeHtml(category) : ''}${countryList(product) ? ` · ${escapeHtml(countryList(product))}` : ''}</p>
+      <div class="product-page-title-row">
+        <h1 class="product-page-title">${escapeHtml(product.name)}</h1>
+        <button type="button" class="wishlist-heart" data-wishlist-id="${product.id}" aria-pressed="false" aria-label="${t('wishlist.add')}">♡</button>
+      </div>
+      <p class="product-page-price" id="productPrice">${t('product.from', { price: `<strong data-price="${product.minPrice}" data-currency="${product.currency || 'EUR'}">${price}</strong>` })}</p>
 
       <p class="product-page-desc">${escapeHtml(description)}</p>
 
       <!-- Variant selector (populated by JS) -->
       <div id="variantSection" class="variant-section" style="display:none">
-        <label class="variant-label" id="variantLabel">Select option</label>
+        <label class="variant-label" id="variantLabel">${t('variant.selectOption')}</label>
         <div class="variant-options" id="variantOptions"></div>
       </div>
       <div id="secondarySection" class="variant-section" style="display:none">
-        <label class="variant-label" id="secondaryLabel">Color</label>
+        <label class="variant-label" id="secondaryLabel">${t('variant.color')}</label>
         <div class="variant-options" id="secondaryOptions"></div>
       </div>
 
       <!-- Quantity -->
       <div class="qty-row">
-        <label class="variant-label">Quantity</label>
+        <label class="variant-label">${t('variant.quantity')}</label>
         <div class="qty-control">
           <button class="qty-btn" id="qtyMinus">−</button>
           <span class="qty-val" id="qtyVal">1</span>
@@ -233,12 +281,12 @@ function generateProductPage(product, allProducts) {
         </div>
       </div>
 
-      <button class="btn-primary btn-full" id="addToCartBtn" disabled>Select options</button>
+      <button class="btn-primary btn-full" id="addToCartBtn" disabled>${t('cart.selectOptions')}</button>
 
       <div class="product-page-meta">
-        <p>✓ Printed on demand by Printful</p>
-        <p>✓ Ships worldwide</p>
-        <p>✓ Free returns on defective items</p>
+        <p>${t('product.perkPrinted')}</p>
+        <p>${t('product.perkShips')}</p>
+        <p>${t('product.perkReturns')}</p>
       </div>
     </div>
   </div>
@@ -246,22 +294,20 @@ function generateProductPage(product, allProducts) {
   ${related.length > 0 ? `
   <!-- RELATED PRODUCTS -->
   <section class="related-products">
-    <h2 class="related-title">More ${capitalize(product.category || 'products')}</h2>
+    <h2 class="related-title">${escapeHtml(t('product.related', { category }))}</h2>
     <div class="related-grid">
       ${related.map(r => {
-        const rSlug = slugify(r.name);
-        const rPrice = r.minPrice
-          ? new Intl.NumberFormat('nl-NL', { style: 'currency', currency: r.currency || 'EUR' }).format(r.minPrice)
-          : '';
+        const rSlug = slugs.get(r.id);
+        const rPrice = r.minPrice ? formatPrice(r.minPrice, r.currency) : '';
         return `
-      <a class="related-card" href="/products/${rSlug}/">
+      <a class="related-card" href="${langPrefix(lang)}/products/${rSlug}/">
         <div class="product-card-img">
           <img src="${escapeAttr(r.thumbnail || '')}" alt="${escapeAttr(r.name)}" loading="lazy" />
         </div>
         <div class="product-card-body">
-          <span class="product-card-cat">${escapeHtml(r.category || '')}${r.country ? ` · ${escapeHtml(r.country)}` : ''}</span>
+          <span class="product-card-cat">${escapeHtml(r.category ? categoryLabel(r.category, lang) : '')}${countryList(r) ? ` · ${escapeHtml(countryList(r))}` : ''}</span>
           <h3 class="product-card-name">${escapeHtml(r.name)}</h3>
-          <div class="product-card-price">From <strong>${rPrice}</strong></div>
+          <div class="product-card-price">${t('product.from', { price: `<strong data-price="${r.minPrice}" data-currency="${r.currency || 'EUR'}">${rPrice}</strong>` })}</div>
         </div>
       </a>`;
       }).join('')}
@@ -273,35 +319,49 @@ function generateProductPage(product, allProducts) {
 <div class="cart-overlay" id="cartOverlay"></div>
 <aside class="cart-drawer" id="cartDrawer" aria-hidden="true">
   <div class="cart-header">
-    <h2>Your Cart</h2>
+    <h2>${t('cart.title')}</h2>
     <button class="cart-drawer-close" id="cartClose">✕</button>
   </div>
   <div class="cart-items" id="cartItems">
-    <p class="cart-empty">Your cart is empty.</p>
+    <p class="cart-empty">${t('cart.empty')}</p>
   </div>
   <div class="cart-footer" id="cartFooter" style="display:none">
     <div class="cart-total-row">
-      <span>Subtotal</span>
+      <span>${t('cart.subtotal')}</span>
       <span id="cartTotal">€0.00</span>
     </div>
+    <div id="cartDiscounts" class="cart-discounts"></div>
+    <div class="cart-promo">
+      <div class="shipping-input-row">
+        <input type="text" id="promoCodeInput" class="promo-input" placeholder="${t('promo.placeholder')}" autocomplete="off" />
+        <button class="shipping-calc-btn" id="applyPromoBtn">${t('promo.apply')}</button>
+      </div>
+      <p class="promo-message" id="promoMessage"></p>
+    </div>
     <div class="cart-shipping-estimator">
-      <label class="variant-label">Estimate Shipping</label>
+      <label class="variant-label">${t('shipping.estimate')}</label>
       <div class="shipping-input-row">
         <select id="shippingCountrySelect" class="country-select"></select>
-        <button class="shipping-calc-btn" id="calcShippingBtn">Calculate</button>
+        <button class="shipping-calc-btn" id="calcShippingBtn">${t('shipping.calculate')}</button>
       </div>
       <div id="shippingRatesList" class="shipping-rates-list"></div>
     </div>
     <div class="cart-total-row" id="shippingTotalRow" style="display:none">
-      <span id="shippingTotalLabel">Shipping</span>
+      <span id="shippingTotalLabel">${t('shipping.label')}</span>
       <span id="shippingTotal">€0.00</span>
     </div>
+    <div class="cart-total-row" id="taxTotalRow" style="display:none">
+      <span id="taxTotalLabel">${t('tax.vat')}</span>
+      <span id="taxTotal">€0.00</span>
+    </div>
     <div class="cart-total-row cart-grand-total" id="grandTotalRow" style="display:none">
-      <span><strong>Total</strong></span>
+      <span><strong>${t('cart.total')}</strong></span>
       <span id="grandTotal"><strong>€0.00</strong></span>
     </div>
-    <p class="cart-shipping-note" id="shippingNote">Shipping calculated above or at checkout</p>
-    <button class="btn-primary btn-full" id="checkoutBtn">Checkout →</button>
+    <p class="cart-shipping-note" id="shippingNote">${t('shipping.note')}</p>
+    <p class="cart-tax-note" id="taxNote" style="display:none"></p>
+    <button class="btn-primary btn-full" id="checkoutBtn">${t('cart.checkout')}</button>
+    <button class="shipping-calc-btn cart-share-btn" id="shareCartBtn">${t('cartLink.share')}</button>
   </div>
 </aside>
 
@@ -310,21 +370,20 @@ function generateProductPage(product, allProducts) {
   <div class="footer-inner">
     <div>
       <p class="footer-brand">◈ Overlay Maps</p>
-      <p>Maps where Geo meets Art</p>
+      <p>${t('footer.tagline')}</p>
     </div>
     <div>
-      <p class="footer-heading">Shop</p>
-      <a href="/?category=apparel">Apparel</a>
-      <a href="/?category=posters">Posters</a>
-      <a href="/?category=stickers">Stickers</a>
+      <p class="footer-heading">${t('footer.shop')}</p>
+      ${['apparel', 'posters', 'stickers'].map(cat =>
+        `<a href="${escapeHtml(homePath(lang, cat))}">${categoryLabel(cat, lang)}</a>`).join('\n      ')}
     </div>
     <div>
-      <p class="footer-heading">Info</p>
-      <a href="mailto:info@overlaymaps.com">Contact</a>
+      <p class="footer-heading">${t('footer.info')}</p>
+      <a href="mailto:info@overlaymaps.com">${t('footer.contact')}</a>
       <a href="https://www.instagram.com/overlaymaps" target="_blank">Instagram</a>
     </div>
   </div>
-  <p class="footer-copy">© ${new Date().getFullYear()} Overlay Maps • Powered by Printful + Stripe</p>
+  <p class="footer-copy">© ${new Date().getFullYear()} Overlay Maps • ${t('footer.powered')}</p>
 </footer>
 
 <script>
@@ -340,6 +399,11 @@ window.PRODUCT = ${JSON.stringify({
   currency: product.currency,
 })};
 </script>
+<script src="/js/i18n.js"></script>
+<script src="/js/cart.js"></script>
+<script src="/js/wishlist.js"></script>
+<script src="/js/cart-links.js"></script>
+<script src="/js/cart-reconcile.js"></script>
 <script type="module" src="/js/product-page.js"></script>
 
 </body>
@@ -349,26 +413,26 @@ window.PRODUCT = ${JSON.stringify({
 // ═══════════════════════════════════════════
 // GENERATE SITEMAP
 // ═══════════════════════════════════════════
-function generateSitemap(products) {
+function generateSitemap(slugs) {
   const today = new Date().toISOString().split('T')[0];
-  const productUrls = products.map(p => {
-    const slug = slugify(p.name);
-    return `  <url>
-    <loc>${STORE_URL}/products/${slug}/</loc>
+  const languages = Object.keys(LANGUAGES);
+
+  // Every language version is listed, each carrying the full set of alternates
+  const entry = (urlFor, changefreq, priority) => languages.map(lang => `  <url>
+    <loc>${escapeHtml(urlFor(lang))}</loc>
+${[...languages, 'x-default'].map(alt =>
+    `    <xhtml:link rel="alternate" hreflang="${alt}" href="${escapeHtml(urlFor(alt === 'x-default' ? DEFAULT_LANGUAGE : alt))}" />`).join('\n')}
     <lastmod>${today}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.8</priority>
-  </url>`;
-  }).join('\n');
+    <changefreq>${changefreq}</changefreq>
+    <priority>${priority}</priority>
+  </url>`).join('\n');
+
+  const home = entry(lang => `${STORE_URL}${homePath(lang)}`, 'daily', '1.0');
+  const productUrls = slugs.map(slug => entry(lang => productUrl(slug, lang), 'weekly', '0.8')).join('\n');
 
   return `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${STORE_URL}/</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>daily</changefreq>
-    <priority>1.0</priority>
-  </url>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${home}
 ${productUrls}
 </urlset>`;
 }
@@ -379,6 +443,7 @@ ${productUrls}
 function generateRobots() {
   return `User-agent: *
 Allow: /
+Disallow: /admin
 
 Sitemap: ${STORE_URL}/sitemap.xml
 `;
@@ -387,17 +452,27 @@ Sitemap: ${STORE_URL}/sitemap.xml
 // ═══════════════════════════════════════════
 // HELPERS
 // ═══════════════════════════════════════════
-function buildDescription(product) {
+function buildDescription(product, lang) {
+  // Custom description from api/_lib/product-metadata.json: one text, or one per language
+  if (typeof product.description === 'string') return product.description;
+  if (product.description) return product.description[lang] || product.description.en || Object.values(product.description)[0];
+
+  const vars = {
+    name: product.name,
+    country: product.country,
+    category: product.category || 'product',
+    collection: product.category ? categoryLabel(product.category, lang) : translate(lang, 'category.products'),
+  };
   const parts = [];
-  if (product.country) parts.push(`${product.name} — a unique map-themed ${product.category || 'product'} featuring ${product.country}.`);
-  else parts.push(`${product.name} — a unique map-themed ${product.category || 'product'} from Overlay Maps.`);
-  parts.push('Printed on demand and shipped worldwide by Printful.');
-  if (product.variants?.length > 1) parts.push(`Available in ${product.variants.length} options.`);
+  if (product.country) parts.push(translate(lang, 'product.descCountry', vars));
+  else parts.push(translate(lang, 'product.descGeneric', vars));
+  parts.push(translate(lang, 'product.descPrinted'));
+  if (product.variants?.length > 1) parts.push(translate(lang, 'product.descOptions', { count: product.variants.length }));
   return parts.join(' ');
 }
 
-function capitalize(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+function countryList(product) {
+  return (product.countries || [product.country]).filter(Boolean).join(', ');
 }
 
 function escapeHtml(str) {
@@ -418,39 +493,34 @@ function escapeAttr(str) {
 async function main() {
   const products = await fetchProducts();
 
-  // Create products directory
-  const productsDir = path.join(OUTPUT_DIR, 'products');
-  if (!fs.existsSync(productsDir)) fs.mkdirSync(productsDir, { recursive: true });
+  // Same numbering for duplicate names as /api/product?slug= (see productSlugs)
+  const slugs = productSlugs(products);
 
-  // Track slugs for duplicate detection
-  const slugsSeen = new Map();
+  const languages = Object.keys(LANGUAGES);
+  const total = products.length * languages.length;
   let generated = 0;
 
-  for (const product of products) {
-    let slug = slugify(product.name);
-
-    // Handle duplicate slugs
-    if (slugsSeen.has(slug)) {
-      const count = slugsSeen.get(slug) + 1;
-      slugsSeen.set(slug, count);
-      slug = `${slug}-${count}`;
-    } else {
-      slugsSeen.set(slug, 1);
-    }
-
-    const dir = path.join(productsDir, slug);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-    const html = generateProductPage(product, products);
-    fs.writeFileSync(path.join(dir, 'index.html'), html, 'utf8');
-    generated++;
-    process.stdout.write(`\r  Generated ${generated}/${products.length}: ${slug}`);
+  for (const lang of languages) {
+    // Create products directory
+    const productsDir = path.join(OUTPUT_DIR, langPrefix(lang), 'products');
+    if (!fs.existsSync(productsDir)) fs.mkdirSync(productsDir, { recursive: true });
+
+    products.forEach(product => {
+      const slug = slugs.get(product.id);
+      const dir = path.join(productsDir, slug);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+      const html = generateProductPage(product, products, slugs, lang);
+      fs.writeFileSync(path.join(dir, 'index.html'), html, 'utf8');
+      generated++;
+      process.stdout.write(`\r  Generated ${generated}/${total}: ${langPrefix(lang)}/products/${slug}`);
+    });
   }
 
-  console.log(`\n✓ Generated ${generated} product pages`);
+  console.log(`\n✓ Generated ${generated} product pages in ${languages.length} languages`);
 
   // Sitemap
-  const sitemap = generateSitemap(products);
+  const sitemap = generateSitemap([...slugs.values()]);
   fs.writeFileSync(path.join(OUTPUT_DIR, 'sitemap.xml'), sitemap, 'utf8');
   console.log('✓ Generated sitemap.xml');
 
@@ -459,7 +529,7 @@ async function main() {
   fs.writeFileSync(path.join(OUTPUT_DIR, 'robots.txt'), robots, 'utf8');
   console.log('✓ Generated robots.txt');
 
-  console.log(`\nDone! ${generated} product pages ready in public/products/`);
+  console.log(`\nDone! ${generated} product pages ready in public/products/ and public/[lang]/products/`);
   console.log(`Submit your sitemap to Google Search Console: ${STORE_URL}/sitemap.xml`);
 }
 